@@ -1,340 +1,2232 @@
 // Lyon Flood Lab — static demo app (no build tools required)
 // Data is synthetic for demonstration purposes.
 
-const lyonCenter = [45.764043, 4.835659];
+const {
+  lyonCenter,
+  DEFAULT_SEED,
+  DESIGN_STORMS,
+  HYDROGRAPH_SHAPES,
+  MEASURES,
+  MAX_CUSTOM_MEASURES,
+  MAX_MITIGATION_REDUCTION,
+  DRAWN_MEASURE_TYPES,
+  MAX_DRAWN_MEASURES,
+  OCCUPANCY_CLASSES,
+  DEFAULT_DAMAGE_CURVES,
+  UNCERTAINTY_DEFAULTS,
+  CRITICAL_ASSET_TYPES,
+  createSyntheticBuildings,
+  classifyUse,
+  measureAdoption,
+  measureCost,
+  measureEffect,
+  computeMitigationAttenuation,
+  customMeasuresFrom,
+  drawnMeasuresFrom,
+  drawnMeasureSize,
+  drawnRoiMeasures,
+  withDrawnMeasures,
+  geodesicLengthM,
+  geodesicAreaM2,
+  defaultTerrain,
+  createTerrainFromRaster,
+  generateFloodGeoJSON,
+  getDepthGrid,
+  depthIsobands,
+  WET_DEPTH_M,
+  HAZARD_CLASSES,
+  flowAtPoint,
+  hazardZones,
+  transectProfile,
+  normalizeCurve,
+  damageCurvesFrom,
+  evaluateScenarioArrays,
+  criticalAssetsFrom,
+  createCriticalAssets,
+  evaluateCriticalAssets,
+  PASSABLE_DEPTH_M,
+  buildingOccupants,
+  roadNetworkFrom,
+  createSyntheticNetwork,
+  evacuationPlan,
+  AGREEMENT_CLASSES,
+  observedFit,
+  agreementZones,
+  calibrationRunner,
+  selectedMeasureIds,
+  normalizeStorm,
+  roiRunner,
+  designRainfall,
+  stormHydrograph,
+  monteCarloRunner,
+  hydrographRunner,
+  formatEuro
+} = FloodModel;
+
 let map;
 let floodLayer;
 let buildingsLayer;
+let buildingsRenderer;
 let contoursLayer;
+let hazardLayer;
+let agreementLayer;
+let assetLayer;
+let routeLayer;
 let measureLayer;
+let drawnLayer;
 let damageChart;
+let curveChart;
+let stormChart;
+let timelineChart;
+let profileChart;
 let animationHandle = null;
-let sseSource = null;
+// Live stream: { source, lastId, retries, timer, parseErrors, frames } while on
+let live = null;
+// Set by pingServer; the report links the server PDF only when it answers
+let serverOnline = false;
 let drawControl = null;
+// Leaflet.draw handler started from the panel and what its shape is for:
+// { kind: 'drawn', type } or { kind: 'transect' }; null while measuring
+let drawingHandler = null;
+let drawing = null;
+// Depth profile transect ([lng, lat] line), its map line and hover marker
+let transect = null;
+let transectLine = null;
+let profileMarker = null;
+// Running length/area label while measuring
+let measureLiveLabel = null;
+let measureDrawKind = null;
+let roiRequestKey = null;
+let roiTimer = null;
+let evacuationTimer = null;
+let lastRoi = null;
+// Key of lastRoi while it answers the latest request; saves waiting for one
+let lastRoiKey = null;
+let roiWaiters = [];
+// Background worker for model runs: undefined until first used, false when
+// workers are unavailable (e.g. Chrome on file://) and jobs run on this thread
+let modelWorker;
+let workerData = null;
+// Building markers are made once per building set and restyled in place
+let buildingMarkers = [];
+let markersFor = null;
+// Latest applied evaluation: { totalDamage, ..., depth, damage, affected } typed arrays
+let lastEvaluation = null;
+let evaluationJob = 0;
+let evaluationApplied = 0;
+let evaluationSince = 0;
+let evaluationInFlight = false;
+let pendingEvaluation = null;
+// Pinned scenarios { level, mitigation } and the side-by-side comparison
+const pinned = { A: null, B: null };
+let comparing = false;
+let mapB = null;
+let compareLayers = null;
+let compareInputs = null;
+let syncingMaps = false;
+// Hydrograph of the custom design storm (see stormHydrograph), once edited
+let customStorm = null;
+// Hydrograph playback: { series, start, label, source: 'storm' | 'csv' },
+// the playback time (h) and the per-building event summary
+let timeline = null;
+let timelineTime = 0;
+let timelineSummary = null;
+let timelineInputs = null;
+let playbackHandle = null;
+// Batched worker jobs by type ('uncertainty', 'timeline', 'calibration', 'roi'): { id, onProgress, onResult }
+const activeJobs = {};
+let modelJobCounter = 0;
+let uncertaintyTimer = null;
+
+const backendBase = localStorage.getItem('lyonBackend') || 'http://localhost:3000';
+const pythonServiceBase = localStorage.getItem('pythonService') || 'http://localhost:5000';
+const apiKeyParam = new URLSearchParams(location.search).get('apiKey');
+
+const ROI_HORIZON_YEARS = 30;
+const ROI_DISCOUNT_RATE = 0.03;
+// Per-building change from scenario A to B
+const DELTA_STYLES = {
+  saved: { color: '#58a6ff', label: 'Dry in B (saved)' },
+  flooded: { color: '#ff7b72', label: 'Newly flooded in B' },
+  reduced: { color: '#7ee787', label: 'Less damage in B' },
+  increased: { color: '#f2cc60', label: 'More damage in B' },
+  unchanged: { color: '#8b949e', label: 'Same damage' }
+};
+const MEASURE_STYLE = { color: '#f2cc60', weight: 3, fillOpacity: 0.15 };
+const MAX_PROFILE_SAMPLES = 1000;
+const UNCERTAINTY_DELAY_MS = 250;
+const ROI_DELAY_MS = 250;
+const EVACUATION_DELAY_MS = 250;
+const MODEL_JOB_BATCH = 10;
+// Radius of the building modal's count of flooded neighbours
+const NEARBY_RADIUS_M = 250;
+
+// Seed of the synthetic buildings; a shared state may replace it before the first render
+let seed = Number(new URLSearchParams(location.search).get('seed')) || DEFAULT_SEED;
+
+// Seeded synthetic buildings and terrain until local data is loaded
+let buildings = createSyntheticBuildings(seed);
+let terrain = defaultTerrain();
+// Loaded sources: { name, url } (url only when fetched from a path the backend can read too)
+const dataset = { buildings: null, dem: null, assets: null, roads: null, observed: null, gauges: null };
+// Depth-damage curves by occupancy class, edited in the Damage curves panel
+let damageCurves = loadDamageCurves();
+// Mitigation registry: the built-in MEASURES plus the user's custom measures
+let customMeasures = loadCustomMeasures();
+let measureRegistry = [...MEASURES, ...customMeasures];
+// Barriers, basins and green zones drawn on the map (see drawnMeasuresFrom)
+let drawnMeasures = [];
+// ROI table cells by measure id
+let roiRows = {};
+
+function baseTiles() {
+  return L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    maxZoom: 19,
+    attribution: '© OpenStreetMap contributors'
+  });
+}
+
+function floodStyle() {
+  return { color: '#58a6ff', weight: 2, fillColor: '#58a6ff', fillOpacity: 0.25 };
+}
+
+function initMap() {
+  map = L.map('map', { zoomControl: true }).setView(lyonCenter, 12.6);
+
+  baseTiles().addTo(map);
+
+  floodLayer = L.geoJSON(null, { style: floodStyle }).addTo(map);
+
+  // One canvas for all building markers keeps tens of thousands interactive
+  buildingsRenderer = L.canvas({ padding: 0.5 });
+  buildingsLayer = L.layerGroup().addTo(map);
+  contoursLayer = L.layerGroup().addTo(map);
+  hazardLayer = L.layerGroup().addTo(map);
+  agreementLayer = L.layerGroup().addTo(map);
+  assetLayer = L.layerGroup().addTo(map);
+  routeLayer = L.layerGroup().addTo(map);
+  drawnLayer = L.layerGroup().addTo(map);
+  // Measurements stay on the map when the tool is closed
+  measureLayer = L.featureGroup().addTo(map);
+
+  drawControl = new L.Control.Draw({
+    position: 'topright',
+    draw: {
+      polyline: { shapeOptions: MEASURE_STYLE },
+      polygon: { shapeOptions: MEASURE_STYLE, allowIntersection: false },
+      circle: false,
+      rectangle: false,
+      marker: false,
+      circlemarker: false
+    },
+    edit: { featureGroup: measureLayer, remove: true }
+  });
+  map.on('moveend', syncURL);
+  map.on(L.Draw.Event.CREATED, onDrawCreated);
+  map.on(L.Draw.Event.DRAWSTART, (e) => {
+    measureDrawKind = drawing ? null : e.layerType;
+  });
+  map.on(L.Draw.Event.DRAWVERTEX, showLiveMeasurement);
+  map.on(L.Draw.Event.EDITED, (e) => {
+    e.layers.eachLayer(labelMeasurement);
+    saveMeasurements();
+  });
+  map.on(L.Draw.Event.DELETED, saveMeasurements);
+  map.on(L.Draw.Event.DRAWSTOP, () => {
+    drawingHandler = null;
+    drawing = null;
+    measureDrawKind = null;
+    measureLiveLabel?.remove();
+    measureLiveLabel = null;
+    renderDrawButtons();
+    renderProfileButton();
+  });
+}
+
+// Depth and damage come from the worker when there is one; only one request
+// is in flight and newer ones replace the queued request
+function renderBuildings(levelCm, mitigation) {
+  const request = { id: ++evaluationJob, levelCm, mitigation, curves: damageCurves, measures: measureRegistry, drawn: drawnMeasures };
+  const worker = getModelWorker();
+  if (!worker) {
+    applyEvaluation(request.id, evaluateScenarioArrays(buildings, levelCm, mitigation, modelContext()));
+    return;
+  }
+  if (evaluationInFlight) pendingEvaluation = request;
+  else postEvaluation(worker, request);
+}
+
+function postEvaluation(worker, request) {
+  evaluationInFlight = true;
+  if (syncWorkerData(worker)) evaluationSince = request.id;
+  worker.postMessage({ type: 'evaluate', ...request });
+}
+
+function onEvaluation(id, result) {
+  evaluationInFlight = false;
+  if (pendingEvaluation) {
+    postEvaluation(modelWorker, pendingEvaluation);
+    pendingEvaluation = null;
+  }
+  // Drop results older than what is shown or computed on replaced data
+  if (id < evaluationApplied || id < evaluationSince) return;
+  applyEvaluation(id, result);
+}
+
+function applyEvaluation(id, result) {
+  evaluationApplied = id;
+  lastEvaluation = result;
+  updateBuildingMarkers(result);
+
+  // KPI updates
+  document.getElementById('kpiTotalDamage').textContent = formatEuro(result.totalDamage);
+  document.getElementById('kpiBuildings').textContent = result.affectedCount.toString();
+  document.getElementById('kpiCritical').textContent = result.criticalCount.toString();
+  document.getElementById('kpiPeople').textContent = formatPeople(result.exposedPeople);
+  document.getElementById('kpiVulnerable').textContent = formatPeople(result.exposedVulnerable);
+
+  updateChart(result.damageByClass);
+  scheduleRoi();
+  scheduleEvacuation();
+}
+
+function buildingTooltip(i) {
+  const b = buildings[i];
+  const use = b.use ? `<br/>Use: ${html(b.use)} (${b.occupancy})` : `<br/>Class: ${b.occupancy}`;
+  const { occupants, vulnerable } = buildingOccupants(b);
+  return `ID #${html(b.id)}${use}<br/>Depth: ${lastEvaluation.depth[i].toFixed(2)} m<br/>Damage: ${formatEuro(lastEvaluation.damage[i])}` +
+    `<br/>Occupants: ${formatPeople(occupants)} (${formatPeople(vulnerable)} vulnerable)` + timelineTooltip(i);
+}
+
+function updateBuildingMarkers({ depth, affected }) {
+  if (markersFor !== buildings) {
+    buildingsLayer.clearLayers();
+    buildingMarkers = buildings.map((b, i) => {
+      const marker = L.circleMarker([b.lat, b.lng], {
+        renderer: buildingsRenderer,
+        radius: 3,
+        color: '#000',
+        weight: 1,
+        fillColor: '#7ee787',
+        fillOpacity: 0.9
+      });
+      // Tooltip text is built on hover from the latest results
+      marker.bindTooltip(() => buildingTooltip(i), { sticky: true });
+      marker.on('click', () => showImageModal(b.lat, b.lng, lastEvaluation.depth[i], lastEvaluation.damage[i], b.isCritical));
+      buildingsLayer.addLayer(marker);
+      return marker;
+    });
+    markersFor = buildings;
+  }
+  buildings.forEach((b, i) => {
+    const marker = buildingMarkers[i];
+    const fillColor = !affected[i] ? '#7ee787' : b.isCritical ? '#ff7b72' : '#f2cc60';
+    const radius = Math.round(Math.max(3, Math.min(10, depth[i] * 3 + 3)) * 2) / 2;
+    if (marker.options.fillColor !== fillColor) marker.setStyle({ fillColor });
+    if (marker.getRadius() !== radius) marker.setRadius(radius);
+    if (marker.isTooltipOpen()) marker.getTooltip().update();
+  });
+}
+
+// One ROI row per registered measure
+function renderRoiTable() {
+  const table = document.getElementById('roiRows');
+  table.innerHTML = '';
+  roiRows = {};
+  for (const m of [...measureRegistry, ...drawnRoiMeasures(drawnMeasures)]) {
+    const row = document.createElement('div');
+    row.className = 'roi-row inactive';
+    const cells = ['label', 'cost', 'avoided', 'bc'].map(() => row.appendChild(document.createElement('div')));
+    cells[0].textContent = m.label;
+    [cells[1].textContent, cells[2].textContent, cells[3].textContent] = ['€0', '€0', '0.0'];
+    table.appendChild(row);
+    roiRows[m.id] = { row, cost: cells[1], avoided: cells[2], bc: cells[3] };
+  }
+}
+
+function setRoi(cells, cost, avoided) {
+  cells.cost.textContent = formatEuro(cost);
+  cells.avoided.textContent = formatEuro(avoided);
+  cells.bc.textContent = cost > 0 ? (avoided / cost).toFixed(2) : '0.0';
+}
+
+function renderRoi(roi, key) {
+  lastRoi = roi;
+  lastRoiKey = key;
+  for (const waiter of roiWaiters) {
+    if (waiter.key === key) waiter.resolve(roi);
+    else waiter.reject(new Error('the scenario changed while saving'));
+  }
+  roiWaiters = [];
+  for (const m of roi.measures) {
+    const cells = roiRows[m.id];
+    if (!cells) continue;
+    // Selected measures get their share of the combination; others what they would avoid alone
+    setRoi(cells, m.cost, m.selected ? m.share.npvAvoided : m.standalone.npvAvoided);
+    cells.row.classList.toggle('inactive', !m.selected);
+    cells.row.title = m.selected
+      ? `${roi.shareMethod === 'approximate' ? 'Estimated share' : 'Share'} of the selected combination at ${m.adoption} % adoption`
+      : `Not selected — avoided damage if applied alone at ${m.adoption} %`;
+  }
+  document.getElementById('roiSummary').textContent =
+    `EAD ${formatEuro(roi.eadBaseline)} → ${formatEuro(roi.eadSelected)} per year · ` +
+    `NPV avoided ${formatEuro(roi.npvAvoided)} (${roi.horizon} yr, ${(roi.rate * 100).toFixed(1)} %)`;
+}
+
+// Drawn measures are always in place, so they count as selected
+function roiOptions(m, adoption) {
+  return {
+    adoption,
+    selected: [...selectedMeasureIds(m, measureRegistry), ...drawnMeasures.map((d) => d.id)],
+    horizon: ROI_HORIZON_YEARS,
+    rate: ROI_DISCOUNT_RATE
+  };
+}
+
+// EAD spans the whole stage–frequency curve, so it only changes with mitigation
+// and adoption (or data and curves, which reset the request key)
+function roiKey(m, adoption) {
+  return JSON.stringify([m, adoption, customMeasures, drawnMeasures]);
+}
+
+// Same computation as the backend, off the main thread
+function startRoiJob(m, adoption, key) {
+  startModelJob('roi', { options: roiOptions(m, adoption), curves: damageCurves, measures: measureRegistry, drawn: drawnMeasures }, {
+    onProgress: () => {},
+    onResult: (result) => {
+      if (key === roiRequestKey) renderRoi(result, key);
+    }
+  });
+}
+
+// ROI of the scenario on screen: the one shown when it is still current,
+// else the one on its way or a new model job's
+function currentRoi() {
+  const m = getMitigationState();
+  const adoption = getAdoption();
+  const key = roiKey(m, adoption);
+  if (lastRoi && lastRoiKey === key && roiRequestKey === key) return Promise.resolve(lastRoi);
+  return new Promise((resolve, reject) => {
+    roiWaiters.push({ key, resolve, reject });
+    if (key === roiRequestKey) return;
+    clearTimeout(roiTimer);
+    roiRequestKey = key;
+    lastRoiKey = null;
+    startRoiJob(m, adoption, key);
+  });
+}
+
+// Once the scenario settles: the EAD runs the model along the whole
+// stage–frequency curve
+function scheduleRoi() {
+  clearTimeout(roiTimer);
+  roiTimer = setTimeout(updateRoiBackend, ROI_DELAY_MS);
+}
+
+async function updateRoiBackend() {
+  const m = getMitigationState();
+  const adoption = getAdoption();
+  const key = roiKey(m, adoption);
+  if (key === roiRequestKey) return;
+  roiRequestKey = key;
+  lastRoiKey = null;
+  let roi;
+  try {
+    if (!datasetOnBackend()) throw new Error('dataset only loaded in the browser');
+    const url = new URL(`${backendBase}/api/roi-ead`);
+    setMeasureParams(url.searchParams);
+    url.searchParams.set('horizon', String(ROI_HORIZON_YEARS));
+    url.searchParams.set('rate', String(ROI_DISCOUNT_RATE));
+    url.searchParams.set('seed', String(seed));
+    setDatasetParams(url.searchParams);
+    setCurveParams(url.searchParams);
+    if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+    const res = await fetch(url.toString(), { cache: 'no-store' });
+    if (!res.ok) throw new Error('roi-ead failed');
+    roi = await res.json();
+  } catch {
+    if (key === roiRequestKey) startRoiJob(m, adoption, key);
+    return;
+  }
+  if (key !== roiRequestKey) return; // superseded while waiting for the server
+  renderRoi(roi, key);
+}
+
+function renderFlood(levelCm, mitigation) {
+  const gj = generateFloodGeoJSON(levelCm, mitigationReduction(mitigation), modelTerrain());
+  floodLayer.clearLayers();
+  floodLayer.addData(gj);
+}
+
+function initChart() {
+  const ctx = document.getElementById('damageChart');
+  damageChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: OCCUPANCY_CLASSES.map((c) => c.label),
+      datasets: [
+        { label: 'Damage (€)', data: [0, 0, 0, 0], backgroundColor: ['#58a6ff', '#f2cc60', '#ff7b72', '#7ee787'] },
+        // Uncertainty bands, filled only in uncertainty mode
+        {
+          label: 'P5–P95',
+          data: [],
+          grouped: false,
+          barPercentage: 0.35,
+          backgroundColor: 'rgba(230, 237, 243, 0.15)',
+          borderColor: 'rgba(230, 237, 243, 0.7)',
+          borderWidth: 1
+        },
+        {
+          type: 'line',
+          label: 'P50',
+          data: [],
+          showLine: false,
+          pointStyle: 'line',
+          pointRadius: 9,
+          borderColor: '#e6edf3',
+          borderWidth: 2
+        }
+      ]
+    },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { grid: { color: 'rgba(255,255,255,0.06)' } },
+        y: { grid: { color: 'rgba(255,255,255,0.06)' }, ticks: { callback: (v) => formatEuro(v) } }
+      }
+    }
+  });
+}
+
+function updateChart(damageByClass) {
+  damageChart.data.datasets[0].data = OCCUPANCY_CLASSES.map((c) => damageByClass[c.id]);
+  damageChart.update();
+}
+
+// ---- Model worker ----
+
+function getModelWorker() {
+  if (modelWorker === undefined) {
+    try {
+      modelWorker = new Worker('./worker.js');
+      modelWorker.onmessage = onWorkerMessage;
+      modelWorker.onerror = () => {
+        // Failed to load: run on this thread from now on
+        modelWorker.terminate();
+        modelWorker = false;
+        evaluationInFlight = false;
+        pendingEvaluation = null;
+        for (const type of Object.keys(activeJobs)) delete activeJobs[type];
+        timelineInputs = null;
+        roiRequestKey = null;
+        scheduleRoi();
+        renderAll();
+      };
+    } catch {
+      modelWorker = false;
+    }
+  }
+  return modelWorker;
+}
+
+function onWorkerMessage(e) {
+  const message = e.data;
+  if (message.type === 'evaluate') {
+    onEvaluation(message.id, message.result);
+    return;
+  }
+  const type = message.type === 'progress' ? message.job : message.type;
+  const job = activeJobs[type];
+  if (!job || job.id !== message.id) return;
+  if (message.type === 'progress') {
+    job.onProgress(message.done, message.runs);
+  } else {
+    delete activeJobs[type];
+    job.onResult(message.result);
+  }
+}
+
+// Posts buildings and terrain when they changed since the last job; true if posted
+function syncWorkerData(worker) {
+  if (workerData && workerData.buildings === buildings && workerData.terrain === terrain) return false;
+  // The worker builds its own synthetic terrain
+  worker.postMessage({ type: 'data', buildings, terrain: terrain.source === 'synthetic' ? null : terrain });
+  workerData = { buildings, terrain };
+  return true;
+}
+
+// Same-thread twins of the worker's batched jobs
+function localJobRunner(type, payload) {
+  const context = { terrain, curves: payload.curves, measures: payload.measures, drawn: payload.drawn };
+  if (type === 'uncertainty') return monteCarloRunner(buildings, payload.levelCm, payload.mitigation, context, payload.options);
+  if (type === 'calibration') return calibrationRunner(payload.observed, payload.mitigation, context, payload.options);
+  if (type === 'roi') return roiRunner(buildings, payload.options, context);
+  return hydrographRunner(buildings, payload.series, payload.mitigation, context);
+}
+
+// Starts a batched job, superseding any running job of the same type. Runs
+// in the worker when there is one, else in slices on this thread.
+function startModelJob(type, payload, { onProgress, onResult }) {
+  const id = ++modelJobCounter;
+  activeJobs[type] = { id, onProgress, onResult };
+  onProgress(0, type === 'timeline' ? payload.series.length : payload.options.runs);
+
+  const worker = getModelWorker();
+  if (worker) {
+    if (syncWorkerData(worker)) evaluationSince = evaluationJob + 1;
+    worker.postMessage({ type, id, ...payload });
+    return;
+  }
+  const runner = localJobRunner(type, payload);
+  const batch = () => {
+    if (activeJobs[type]?.id !== id) return;
+    if (runner.step(MODEL_JOB_BATCH)) {
+      delete activeJobs[type];
+      onResult(runner.summary());
+      return;
+    }
+    onProgress(runner.done, runner.runs);
+    setTimeout(batch, 0);
+  };
+  batch();
+}
+
+function cancelModelJob(type) {
+  delete activeJobs[type];
+}
+
+// ---- Uncertainty (Monte Carlo) ----
+
+function uncertaintyEnabled() {
+  return document.getElementById('uncertaintyMode').checked;
+}
+
+// Re-run after the scenario settles (slider drags and animation frames)
+function scheduleUncertainty() {
+  clearTimeout(uncertaintyTimer);
+  if (!uncertaintyEnabled()) {
+    cancelModelJob('uncertainty');
+    clearUncertainty();
+    return;
+  }
+  uncertaintyTimer = setTimeout(runUncertainty, UNCERTAINTY_DELAY_MS);
+}
+
+function runUncertainty() {
+  const options = { ...UNCERTAINTY_DEFAULTS, runs: Number(document.getElementById('uncertaintyRuns').value), seed };
+  startModelJob('uncertainty', {
+    levelCm: Number(document.getElementById('levelSlider').value),
+    mitigation: getMitigationState(),
+    curves: damageCurves,
+    measures: measureRegistry,
+    drawn: drawnMeasures,
+    options
+  }, { onProgress: showUncertaintyProgress, onResult: renderUncertainty });
+}
+
+function showUncertaintyProgress(done, runs) {
+  document.getElementById('uncertaintySummary').textContent = `Running ${done}/${runs}…`;
+}
+
+function renderUncertainty(u) {
+  const range = (p, format) => `P5 ${format(p.p5)} · P50 ${format(p.p50)} · P95 ${format(p.p95)}`;
+  const count = (v) => String(Math.round(v));
+  document.getElementById('uncertaintySummary').textContent =
+    `Total damage ${range(u.totalDamage, formatEuro)}\n` +
+    `Buildings affected ${range(u.affectedCount, count)}\n` +
+    `${u.runs} runs · level ±${UNCERTAINTY_DEFAULTS.levelSd} cm, curves ±${UNCERTAINTY_DEFAULTS.curveSd * 100} %, ` +
+    `values ±${UNCERTAINTY_DEFAULTS.valueSd * 100} % (1σ) · seed ${seed}`;
+  damageChart.data.datasets[1].data = OCCUPANCY_CLASSES.map((c) => [u.damageByClass[c.id].p5, u.damageByClass[c.id].p95]);
+  damageChart.data.datasets[2].data = OCCUPANCY_CLASSES.map((c) => u.damageByClass[c.id].p50);
+  damageChart.update();
+}
+
+function clearUncertainty() {
+  document.getElementById('uncertaintySummary').textContent = '';
+  if (!damageChart.data.datasets[1].data.length) return;
+  damageChart.data.datasets[1].data = [];
+  damageChart.data.datasets[2].data = [];
+  damageChart.update();
+}
+
+// ---- Depth-damage curves ----
+
+function loadDamageCurves() {
+  try {
+    const saved = localStorage.getItem('lyonCurves');
+    return saved ? damageCurvesFrom(JSON.parse(saved)) : DEFAULT_DAMAGE_CURVES;
+  } catch {
+    return DEFAULT_DAMAGE_CURVES;
+  }
+}
+
+function customCurveIds() {
+  return OCCUPANCY_CLASSES.map((c) => c.id)
+    .filter((id) => JSON.stringify(damageCurves[id]) !== JSON.stringify(DEFAULT_DAMAGE_CURVES[id]));
+}
+
+// Only edited curves travel to the backend; it fills in the defaults
+function setCurveParams(params) {
+  const ids = customCurveIds();
+  if (ids.length) params.set('curves', JSON.stringify(Object.fromEntries(ids.map((id) => [id, damageCurves[id]]))));
+}
+
+function setDamageCurve(id, points) {
+  damageCurves = { ...damageCurves, [id]: points };
+  const custom = customCurveIds();
+  if (custom.length) localStorage.setItem('lyonCurves', JSON.stringify(Object.fromEntries(custom.map((c) => [c, damageCurves[c]]))));
+  else localStorage.removeItem('lyonCurves');
+  roiRequestKey = null;
+  renderCurveEditor();
+  renderAll();
+}
+
+function initCurveChart() {
+  curveChart = new Chart(document.getElementById('curveChart'), {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      parsing: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { type: 'linear', min: 0, title: { display: true, text: 'Depth (m)' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+        y: { min: 0, max: 1, title: { display: true, text: 'Damage ratio' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+      }
+    }
+  });
+}
+
+function renderCurveEditor() {
+  const id = document.getElementById('curveClass').value;
+  const points = damageCurves[id];
+  const table = document.getElementById('curveTable');
+  table.innerHTML = '';
+  points.forEach(([depth, ratio], i) => {
+    const row = document.createElement('div');
+    row.className = 'curve-row';
+    row.innerHTML =
+      `<input type="number" min="0" step="0.1" value="${depth}" aria-label="Depth (m)" />` +
+      `<input type="number" min="0" max="1" step="0.01" value="${ratio}" aria-label="Damage ratio" />` +
+      '<button class="btn" title="Remove point">×</button>';
+    const [depthInput, ratioInput, remove] = row.children;
+    const update = () => {
+      const next = points.slice();
+      next[i] = [depthInput.value, ratioInput.value];
+      const clean = normalizeCurve(next);
+      if (clean.length >= 2) setDamageCurve(id, clean);
+      else renderCurveEditor();
+    };
+    depthInput.addEventListener('change', update);
+    ratioInput.addEventListener('change', update);
+    remove.disabled = points.length <= 2;
+    remove.addEventListener('click', () => setDamageCurve(id, points.filter((_, j) => j !== i)));
+    table.appendChild(row);
+  });
+  document.getElementById('curveStatus').textContent = customCurveIds().length
+    ? `Custom curves: ${customCurveIds().join(', ')}`
+    : 'Default curves (JRC Europe)';
+
+  const colors = damageChart.data.datasets[0].backgroundColor;
+  curveChart.data.datasets = OCCUPANCY_CLASSES.map((c, k) => ({
+    label: c.label,
+    data: damageCurves[c.id].map(([x, y]) => ({ x, y })),
+    borderColor: colors[k],
+    borderWidth: c.id === id ? 2.5 : 1,
+    pointRadius: c.id === id ? 3 : 0,
+    borderDash: c.id === id ? [] : [4, 3]
+  }));
+  curveChart.update();
+}
+
+function addCurvePoint() {
+  const id = document.getElementById('curveClass').value;
+  const points = damageCurves[id];
+  const [lastDepth, lastRatio] = points[points.length - 1];
+  setDamageCurve(id, [...points, [lastDepth + 1, lastRatio]]);
+}
+
+function resetDamageCurve() {
+  const id = document.getElementById('curveClass').value;
+  setDamageCurve(id, DEFAULT_DAMAGE_CURVES[id]);
+}
+
+// ---- Mitigation measures ----
+
+function loadCustomMeasures() {
+  try {
+    return customMeasuresFrom(JSON.parse(localStorage.getItem('lyonMeasures') || '[]'));
+  } catch {
+    return [];
+  }
+}
+
+function saveCustomMeasures() {
+  localStorage.setItem('lyonMeasures', JSON.stringify(customMeasures.map(measureDefinition)));
+}
+
+// What a custom measure needs to be rebuilt (storage, links, backend)
+function measureDefinition({ id, label, unit, defaultAdoption, cost, effect }) {
+  return { id, label, unit, defaultAdoption, cost, effect };
+}
+
+function setCustomMeasures(list) {
+  customMeasures = list;
+  measureRegistry = [...MEASURES, ...customMeasures];
+  renderRoiTable();
+}
+
+function modelContext() {
+  return { terrain, curves: damageCurves, measures: measureRegistry, drawn: drawnMeasures };
+}
+
+// Terrain with the drawn measures burnt in, for depth grids drawn on the map
+function modelTerrain() {
+  return withDrawnMeasures(terrain, drawnMeasures);
+}
+
+// Depth grids only need the combined reduction, which custom measures change
+function mitigationReduction(mitigation) {
+  return computeMitigationAttenuation(mitigation, measureRegistry);
+}
+
+// { measureId: adoption % } for the ticked measures
+function getMitigationState() {
+  const m = {};
+  for (const measure of measureRegistry) {
+    const row = document.getElementById(`measure-${measure.id}`);
+    if (row?.querySelector('input[type="checkbox"]').checked) m[measure.id] = Number(row.querySelector('input[type="range"]').value);
+  }
+  return m;
+}
+
+// Slider adoption of every measure, ticked or not (the ROI table uses them all)
+function getAdoption() {
+  const adoption = {};
+  for (const measure of measureRegistry) {
+    const slider = document.querySelector(`#measure-${measure.id} input[type="range"]`);
+    adoption[measure.id] = slider ? Number(slider.value) : measure.defaultAdoption;
+  }
+  return adoption;
+}
+
+// Flags (`gr=1`), adoption other than the default (`gra=40`) and custom measures (`cm`)
+function setMeasureParams(params) {
+  const m = getMitigationState();
+  const adoption = getAdoption();
+  for (const measure of measureRegistry) {
+    params.set(measure.param, m[measure.id] ? '1' : '0');
+    if (adoption[measure.id] !== measure.defaultAdoption) params.set(`${measure.param}a`, String(adoption[measure.id]));
+  }
+  if (customMeasures.length) params.set('cm', JSON.stringify(customMeasures.map(measureDefinition)));
+  if (drawnMeasures.length) params.set('dm', JSON.stringify(drawnMeasures));
+}
+
+function describeAdoption(measure, adoption) {
+  const unit = measure.unit ? ` ${measure.unit}` : '';
+  const effect = (measureEffect(measure, adoption) * 100).toFixed(1);
+  return `${adoption} %${unit} · ${formatEuro(measureCost(measure, adoption))} · −${effect} % peak`;
+}
+
+// Checkbox and adoption slider per registered measure
+function renderMeasureList(mitigation, adoption) {
+  const list = document.getElementById('measureList');
+  list.innerHTML = '';
+  for (const measure of measureRegistry) {
+    const a = measureAdoption(measure, adoption[measure.id] ?? true) || measure.defaultAdoption;
+    const row = document.createElement('div');
+    row.className = 'measure';
+    row.id = `measure-${measure.id}`;
+    row.innerHTML = `
+      <div class="control checkbox">
+        <input type="checkbox" id="mit-${measure.id}" />
+        <label for="mit-${measure.id}"></label>
+        ${measure.custom ? '<button class="btn" title="Remove measure">×</button>' : ''}
+      </div>
+      <div class="measure-adoption">
+        <input type="range" min="1" max="100" step="1" aria-label="Adoption" />
+        <span></span>
+      </div>`;
+    const checkbox = row.querySelector('input[type="checkbox"]');
+    const slider = row.querySelector('input[type="range"]');
+    const text = row.querySelector('span');
+    row.querySelector('label').textContent = measure.label;
+    checkbox.checked = measureAdoption(measure, mitigation[measure.id]) > 0;
+    slider.value = String(a);
+    text.textContent = describeAdoption(measure, a);
+    checkbox.addEventListener('change', renderAll);
+    slider.addEventListener('input', () => {
+      text.textContent = describeAdoption(measure, Number(slider.value));
+      renderAll();
+    });
+    row.querySelector('button')?.addEventListener('click', () => removeCustomMeasure(measure.id));
+    list.appendChild(row);
+  }
+  document.getElementById('btnAddMeasure').disabled = customMeasures.length >= MAX_CUSTOM_MEASURES;
+}
+
+// The form gives the peak reduction at full adoption; saturating measures
+// reach half their maximum at the half-effect adoption
+function addCustomMeasure() {
+  const value = (id) => Number(document.getElementById(id).value);
+  const status = document.getElementById('measureStatus');
+  const label = document.getElementById('measureLabel').value.trim();
+  if (!label) {
+    status.textContent = 'Give the measure a name.';
+    return;
+  }
+  const reduction = value('measureReduction') / 100;
+  const half = Math.max(1, value('measureHalf'));
+  const effect = document.getElementById('measureEffectType').value === 'saturating'
+    ? { type: 'saturating', max: reduction * (100 + half) / 100, half }
+    : { type: 'linear', perPercent: reduction / 100 };
+  const next = Math.max(0, ...customMeasures.map((m) => Number(m.id.slice(1)))) + 1;
+  const definition = {
+    id: `c${next}`,
+    label,
+    unit: document.getElementById('measureUnit').value,
+    defaultAdoption: value('measureDefaultAdoption'),
+    cost: { fixed: value('measureCostFixed'), perPercent: value('measureCostPerPercent') },
+    effect
+  };
+  const m = { ...getMitigationState(), [definition.id]: true };
+  const adoption = getAdoption();
+  setCustomMeasures(customMeasuresFrom([...customMeasures.map(measureDefinition), definition]));
+  saveCustomMeasures();
+  renderMeasureList(m, adoption);
+  status.textContent = `Added ${label}.`;
+  document.getElementById('measureLabel').value = '';
+  renderAll();
+}
+
+function removeCustomMeasure(id) {
+  const m = getMitigationState();
+  const adoption = getAdoption();
+  setCustomMeasures(customMeasures.filter((measure) => measure.id !== id));
+  saveCustomMeasures();
+  renderMeasureList(m, adoption);
+  document.getElementById('measureStatus').textContent = '';
+  renderAll();
+}
+
+// ---- Drawn measures ----
+
+function drawnStyle(type) {
+  const { geometry, color } = DRAWN_MEASURE_TYPES[type];
+  return geometry === 'line'
+    ? { color, weight: 5, opacity: 0.9 }
+    : { color, weight: 2, fillColor: color, fillOpacity: 0.25 };
+}
+
+function describeDrawnMeasure(d) {
+  const size = drawnMeasureSize(d);
+  const extent = size.lengthM !== undefined
+    ? `${(size.lengthM / 1000).toFixed(2)} km, crest ${d.height} m`
+    : `${(size.areaM2 / 10000).toFixed(1)} ha`;
+  return `${extent} · ${formatEuro(size.cost)}`;
+}
+
+// Hands the map to a Leaflet.draw handler for `purpose`, ending any other
+function startDrawing(purpose, handler) {
+  drawingHandler?.disable();
+  drawing = purpose;
+  drawingHandler = handler;
+  handler.enable();
+  renderDrawButtons();
+  renderProfileButton();
+}
+
+// Starts drawing a measure of `type` on the map; the same button cancels
+function startDrawnMeasure(type) {
+  if (drawing?.type === type) {
+    drawingHandler.disable();
+    return;
+  }
+  if (drawnMeasures.length >= MAX_DRAWN_MEASURES) {
+    document.getElementById('drawnStatus').textContent = `At most ${MAX_DRAWN_MEASURES} drawn measures.`;
+    return;
+  }
+  const options = { shapeOptions: drawnStyle(type) };
+  startDrawing({ kind: 'drawn', type }, DRAWN_MEASURE_TYPES[type].geometry === 'line'
+    ? new L.Draw.Polyline(map, options)
+    : new L.Draw.Polygon(map, { ...options, allowIntersection: false }));
+}
+
+function renderDrawButtons() {
+  for (const button of document.querySelectorAll('[data-draw]')) {
+    const type = button.dataset.draw;
+    button.classList.toggle('primary', drawing?.type === type);
+    button.textContent = drawing?.type === type ? 'Cancel' : DRAWN_MEASURE_TYPES[type].label;
+  }
+}
+
+// Shapes finished with Leaflet.draw go where their drawing was started:
+// drawn measures, the profile transect, or measurements from the toolbar
+function onDrawCreated(e) {
+  if (!drawing) {
+    addMeasurement(e.layer);
+    return;
+  }
+  const latLngs = e.layer instanceof L.Polygon ? e.layer.getLatLngs()[0] : e.layer.getLatLngs();
+  const coords = latLngs.map((p) => [p.lng, p.lat]);
+  if (drawing.kind === 'transect') setTransect(coords);
+  else addDrawnMeasure(drawing.type, coords);
+}
+
+function addDrawnMeasure(type, coords) {
+  const next = Math.max(0, ...drawnMeasures.map((d) => Number(d.id.slice(1)))) + 1;
+  const height = Number(document.getElementById('barrierHeight').value);
+  const added = drawnMeasuresFrom([...drawnMeasures, { id: `d${next}`, type, coords, height }]);
+  document.getElementById('drawnStatus').textContent = added.length > drawnMeasures.length ? '' : 'Draw at least two points (three for an area).';
+  setDrawnMeasures(added);
+  renderAll();
+}
+
+function removeDrawnMeasure(id) {
+  setDrawnMeasures(drawnMeasures.filter((d) => d.id !== id));
+  renderAll();
+}
+
+function setDrawnMeasures(list) {
+  drawnMeasures = list;
+  renderDrawnMeasures();
+  renderRoiTable();
+}
+
+// Map shapes and the panel list, labelled like their ROI rows
+function renderDrawnMeasures() {
+  const list = document.getElementById('drawnList');
+  drawnLayer.clearLayers();
+  list.innerHTML = '';
+  const labels = drawnRoiMeasures(drawnMeasures);
+  drawnMeasures.forEach((d, i) => {
+    const latLngs = d.coords.map(([lng, lat]) => [lat, lng]);
+    const shape = DRAWN_MEASURE_TYPES[d.type].geometry === 'line' ? L.polyline(latLngs, drawnStyle(d.type)) : L.polygon(latLngs, drawnStyle(d.type));
+    shape.bindTooltip(`${labels[i].label}<br/>${describeDrawnMeasure(d)}`, { sticky: true });
+    drawnLayer.addLayer(shape);
+
+    const row = document.createElement('div');
+    row.className = 'drawn-row';
+    row.innerHTML = '<span class="swatch"></span><div></div><button class="btn" title="Remove">×</button>';
+    row.querySelector('.swatch').style.background = DRAWN_MEASURE_TYPES[d.type].color;
+    row.querySelector('div').textContent = `${labels[i].label} — ${describeDrawnMeasure(d)}`;
+    row.querySelector('button').addEventListener('click', () => removeDrawnMeasure(d.id));
+    list.appendChild(row);
+  });
+}
+
+// ---- Scenario comparison (A/B) ----
+
+function currentScenario() {
+  return { level: Number(document.getElementById('levelSlider').value), mitigation: getMitigationState(), drawn: drawnMeasures };
+}
+
+function describeScenario({ level, mitigation, drawn }) {
+  const measures = Object.entries(mitigation).filter(([, a]) => a > 0)
+    .map(([id, a]) => `${measureRegistry.find((m) => m.id === id)?.label || id} ${a} %`);
+  if (drawn.length) measures.push(`${drawn.length} drawn`);
+  return `${level} cm · ${measures.length ? measures.join(' + ') : 'no mitigation'}`;
+}
+
+function pinScenario(slot) {
+  pinned[slot] = currentScenario();
+  renderPins();
+  if (comparing) renderComparison();
+}
+
+// Puts a pinned scenario back into the controls
+function loadPinned(slot) {
+  const { level, mitigation, drawn } = pinned[slot];
+  document.getElementById('levelSlider').value = String(level);
+  renderMeasureList(mitigation, { ...getAdoption(), ...mitigation });
+  setDrawnMeasures(drawn);
+  renderAll();
+}
+
+function renderPins() {
+  for (const slot of ['A', 'B']) {
+    const label = document.getElementById(`pin${slot}`);
+    label.textContent = pinned[slot] ? describeScenario(pinned[slot]) : 'not pinned';
+    label.disabled = !pinned[slot];
+  }
+  document.getElementById('btnCompare').disabled = !(pinned.A && pinned.B);
+}
+
+function initCompareMap() {
+  mapB = L.map('mapB', { zoomControl: false, attributionControl: false }).setView(map.getCenter(), map.getZoom());
+  baseTiles().addTo(mapB);
+  const deltaRenderer = (target) => L.canvas({ padding: 0.5 }).addTo(target);
+  compareLayers = {
+    floodA: L.geoJSON(null, { style: floodStyle }),
+    floodB: L.geoJSON(null, { style: floodStyle }).addTo(mapB),
+    deltaA: L.layerGroup(),
+    deltaB: L.layerGroup().addTo(mapB),
+    rendererA: deltaRenderer(map),
+    rendererB: deltaRenderer(mapB),
+    tagA: mapTag(),
+    tagB: mapTag().addTo(mapB)
+  };
+  // Either map drives the other
+  const follow = (from, to) => from.on('move', () => {
+    if (!comparing || syncingMaps) return;
+    syncingMaps = true;
+    to.setView(from.getCenter(), from.getZoom(), { animate: false });
+    syncingMaps = false;
+  });
+  follow(map, mapB);
+  follow(mapB, map);
+}
+
+// Scenario name in the corner of each map
+function mapTag() {
+  const tag = L.control({ position: 'bottomleft' });
+  const container = L.DomUtil.create('div', 'map-tag');
+  tag.onAdd = () => container;
+  return tag;
+}
+
+function toggleComparison() {
+  comparing = !comparing && Boolean(pinned.A && pinned.B);
+  document.querySelector('.map-area').classList.toggle('comparing', comparing);
+  document.getElementById('btnCompare').textContent = comparing ? 'Exit comparison' : 'Compare A | B';
+  if (comparing && !mapB) initCompareMap();
+  if (comparing) {
+    map.removeLayer(floodLayer);
+    map.removeLayer(buildingsLayer);
+    compareLayers.floodA.addTo(map);
+    compareLayers.deltaA.addTo(map);
+    compareLayers.tagA.addTo(map);
+  } else if (mapB) {
+    map.removeLayer(compareLayers.floodA);
+    map.removeLayer(compareLayers.deltaA);
+    map.removeControl(compareLayers.tagA);
+    floodLayer.addTo(map);
+    buildingsLayer.addTo(map);
+  }
+  map.invalidateSize();
+  if (comparing) {
+    mapB.invalidateSize();
+    mapB.setView(map.getCenter(), map.getZoom(), { animate: false });
+  }
+  compareInputs = null;
+  renderComparison();
+}
+
+function deltaClass(a, b, i) {
+  if (a.affected[i] && !b.affected[i]) return 'saved';
+  if (!a.affected[i] && b.affected[i]) return 'flooded';
+  if (b.damage[i] < a.damage[i] - 0.5) return 'reduced';
+  if (b.damage[i] > a.damage[i] + 0.5) return 'increased';
+  return 'unchanged';
+}
+
+// Evaluates both pins on the current data; skipped while nothing changed
+function renderComparison() {
+  const panel = document.getElementById('compareResults');
+  if (!comparing) {
+    panel.innerHTML = '';
+    return;
+  }
+  const inputs = { A: pinned.A, B: pinned.B, buildings, terrain, curves: damageCurves, measures: measureRegistry };
+  if (compareInputs && Object.keys(inputs).every((k) => inputs[k] === compareInputs[k])) return;
+  compareInputs = inputs;
+
+  const context = modelContext();
+  const a = evaluateScenarioArrays(buildings, pinned.A.level, pinned.A.mitigation, { ...context, drawn: pinned.A.drawn });
+  const b = evaluateScenarioArrays(buildings, pinned.B.level, pinned.B.mitigation, { ...context, drawn: pinned.B.drawn });
+  const { floodA, floodB, deltaA, deltaB, rendererA, rendererB, tagA, tagB } = compareLayers;
+  floodA.clearLayers();
+  floodA.addData(generateFloodGeoJSON(pinned.A.level, mitigationReduction(pinned.A.mitigation), withDrawnMeasures(terrain, pinned.A.drawn)));
+  floodB.clearLayers();
+  floodB.addData(generateFloodGeoJSON(pinned.B.level, mitigationReduction(pinned.B.mitigation), withDrawnMeasures(terrain, pinned.B.drawn)));
+  tagA.getContainer().textContent = `A: ${describeScenario(pinned.A)}`;
+  tagB.getContainer().textContent = `B: ${describeScenario(pinned.B)}`;
+
+  // Buildings dry in both scenarios are left off
+  deltaA.clearLayers();
+  deltaB.clearLayers();
+  const counts = Object.fromEntries(Object.keys(DELTA_STYLES).map((k) => [k, 0]));
+  buildings.forEach((bld, i) => {
+    if (!a.affected[i] && !b.affected[i]) return;
+    const kind = deltaClass(a, b, i);
+    counts[kind] += 1;
+    const tooltip = `ID #${html(bld.id)} — ${DELTA_STYLES[kind].label}<br/>` +
+      `A: ${a.depth[i].toFixed(2)} m, ${formatEuro(a.damage[i])}<br/>` +
+      `B: ${b.depth[i].toFixed(2)} m, ${formatEuro(b.damage[i])}<br/>` +
+      `Δ ${formatEuro(b.damage[i] - a.damage[i])}`;
+    for (const [layer, renderer] of [[deltaA, rendererA], [deltaB, rendererB]]) {
+      L.circleMarker([bld.lat, bld.lng], {
+        renderer,
+        radius: kind === 'unchanged' ? 3 : 5,
+        color: '#000',
+        weight: 1,
+        fillColor: DELTA_STYLES[kind].color,
+        fillOpacity: 0.9
+      }).bindTooltip(tooltip, { sticky: true }).addTo(layer);
+    }
+  });
+
+  const row = (label, va, vb, format) => {
+    const delta = vb - va;
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+    return `<div>${label}</div><div>${format(va)}</div><div>${format(vb)}</div>` +
+      `<div class="${delta < 0 ? 'better' : delta > 0 ? 'worse' : ''}">${sign}${format(Math.abs(delta))}</div>`;
+  };
+  panel.innerHTML =
+    '<div class="compare-kpis"><div></div><div>A</div><div>B</div><div>B − A</div>' +
+    row('Total damage', a.totalDamage, b.totalDamage, formatEuro) +
+    row('Buildings affected', a.affectedCount, b.affectedCount, String) +
+    row('Critical sites', a.criticalCount, b.criticalCount, String) +
+    '</div><div class="compare-legend">' +
+    Object.entries(DELTA_STYLES).map(([kind, style]) =>
+      `<div><span class="swatch" style="background:${style.color}"></span>${style.label}: ${counts[kind]}</div>`).join('') +
+    '</div>';
+}
+
+// ---- Custom design storm ----
+
+function customStormActive() {
+  return document.getElementById('scenarioSelect').value === 'custom' && customStorm !== null;
+}
+
+function stormFromEditor() {
+  return {
+    rainfallMm: document.getElementById('stormRainfall').value,
+    durationH: document.getElementById('stormDuration').value,
+    returnPeriod: document.getElementById('stormReturnPeriod').value,
+    shape: document.getElementById('stormShape').value
+  };
+}
+
+function fillStormEditor(storm) {
+  document.getElementById('stormRainfall').value = String(storm.rainfallMm);
+  document.getElementById('stormDuration').value = String(storm.durationH);
+  document.getElementById('stormReturnPeriod').value = String(storm.returnPeriod);
+  document.getElementById('stormShape').value = storm.shape;
+}
+
+function showStormEditor(visible) {
+  document.getElementById('stormEditor').hidden = !visible;
+  if (visible && !stormChart) {
+    stormChart = new Chart(document.getElementById('stormChart'), {
+      type: 'line',
+      data: { datasets: [{ label: 'Level (cm)', data: [], borderColor: '#58a6ff', borderWidth: 2, pointRadius: 0, fill: false }] },
+      options: {
+        animation: false,
+        parsing: false,
+        plugins: { legend: { display: false } },
+        scales: {
+          x: { type: 'linear', min: 0, title: { display: true, text: 'Hours' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+          y: { min: 0, title: { display: true, text: 'cm' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+        }
+      }
+    });
+  }
+}
+
+// Recomputes the hydrograph from the editor; setPeak moves the slider to it
+function updateCustomStorm(setPeak) {
+  customStorm = stormHydrograph(stormFromEditor());
+  fillStormEditor(customStorm);
+  const rp = customStorm.equivalentReturnPeriod;
+  document.getElementById('stormSummary').textContent =
+    `Peak ${Math.round(customStorm.peakCm)} cm after ${customStorm.timeToPeakH.toFixed(1)} h · ` +
+    `${customStorm.rainfallMm} mm in ${customStorm.durationH} h ≈ ` +
+    (rp >= 1000 ? 'beyond 1-in-1000-year' : rp < 2 ? 'more frequent than 1-in-2-year' : `1-in-${Math.round(rp)}-year`) + ' rainfall';
+  if (stormChart) {
+    stormChart.data.datasets[0].data = customStorm.series.map(({ t, level }) => ({ x: t, y: level }));
+    stormChart.update();
+  }
+  const { series } = customStorm;
+  const peak = series.reduce((best, p) => (p.level > best.level ? p : best), series[0]);
+  setTimeline({
+    series,
+    start: null,
+    source: 'storm',
+    label: `Custom storm: ${customStorm.rainfallMm} mm in ${customStorm.durationH} h`
+  }, setPeak ? peak.t : null);
+}
+
+// ---- Hydrograph timeline ----
+
+// Loads a hydrograph (or null) into the timeline. seekTo (h) moves playback
+// there and sets the level; null leaves the current level alone.
+function setTimeline(next, seekTo = 0) {
+  stopPlayback();
+  timeline = next;
+  timelineTime = 0;
+  timelineSummary = null;
+  timelineInputs = null;
+  cancelModelJob('timeline');
+  const scrub = document.getElementById('timelineScrub');
+  scrub.max = String(next ? timelineEnd() : 0);
+  scrub.value = '0';
+  scrub.disabled = !next;
+  document.getElementById('btnTimelinePlay').disabled = !next;
+  document.getElementById('timelineSource').textContent = next ? next.label : 'No hydrograph loaded';
+  document.getElementById('timelineClock').textContent = next ? formatClock(0) : '—';
+  if (!next) {
+    document.getElementById('timelineStatus').textContent = '';
+    return;
+  }
+  if (!timelineChart) initTimelineChart();
+  timelineChart.data.datasets[0].data = next.series.map(({ t, level }) => ({ x: t, y: level }));
+  timelineChart.data.datasets[1].data = [];
+  timelineChart.update();
+  if (seekTo !== null) seekTimeline(seekTo);
+  else refreshTimelineSummary();
+}
+
+function timelineEnd() {
+  return timeline.series[timeline.series.length - 1].t;
+}
+
+function levelAtTime(series, t) {
+  if (t <= series[0].t) return series[0].level;
+  for (let k = 1; k < series.length; k++) {
+    if (t <= series[k].t) {
+      const a = series[k - 1];
+      const b = series[k];
+      return a.level + (b.level - a.level) * (t - a.t) / (b.t - a.t);
+    }
+  }
+  return series[series.length - 1].level;
+}
+
+// Absolute date when the hydrograph had one, else time since its start
+function formatClock(t) {
+  if (timeline.start !== null) {
+    return `${new Date(timeline.start + t * 3600000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+  const minutes = Math.round(t * 60);
+  return `T + ${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function seekTimeline(t) {
+  timelineTime = Math.max(0, Math.min(timelineEnd(), t));
+  document.getElementById('timelineScrub').value = String(timelineTime);
+  document.getElementById('timelineClock').textContent = formatClock(timelineTime);
+  document.getElementById('levelSlider').value = String(Math.round(levelAtTime(timeline.series, timelineTime)));
+  renderAll();
+}
+
+// Speed is simulated hours per second of playback
+function toggleTimelinePlayback() {
+  if (playbackHandle) {
+    stopPlayback();
+    return;
+  }
+  if (timelineTime >= timelineEnd()) timelineTime = 0;
+  document.getElementById('btnTimelinePlay').textContent = 'Pause';
+  let last = performance.now();
+  const step = (now) => {
+    const speed = Number(document.getElementById('timelineSpeed').value);
+    const next = timelineTime + Math.max(0, now - last) / 1000 * speed;
+    last = now;
+    seekTimeline(next);
+    if (timelineTime >= timelineEnd()) {
+      stopPlayback();
+      return;
+    }
+    playbackHandle = requestAnimationFrame(step);
+  };
+  playbackHandle = requestAnimationFrame(step);
+}
+
+function stopPlayback() {
+  if (playbackHandle) cancelAnimationFrame(playbackHandle);
+  playbackHandle = null;
+  document.getElementById('btnTimelinePlay').textContent = 'Play';
+}
+
+function initTimelineChart() {
+  timelineChart = new Chart(document.getElementById('timelineChart'), {
+    type: 'line',
+    data: {
+      datasets: [
+        { label: 'Level (cm)', data: [], yAxisID: 'y', borderColor: '#58a6ff', borderWidth: 2, pointRadius: 0 },
+        { label: 'Damage (€)', data: [], yAxisID: 'damage', borderColor: '#ff7b72', borderWidth: 1.5, pointRadius: 0 }
+      ]
+    },
+    options: {
+      animation: false,
+      parsing: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { type: 'linear', min: 0, title: { display: true, text: 'Hours' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+        y: { min: 0, title: { display: true, text: 'cm' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+        damage: { position: 'right', min: 0, grid: { display: false }, ticks: { callback: (v) => formatEuro(v) } }
+      }
+    },
+    plugins: [{
+      // Playback cursor
+      id: 'timelineCursor',
+      afterDatasetsDraw(chart) {
+        if (!timeline) return;
+        const x = chart.scales.x.getPixelForValue(timelineTime);
+        const { top, bottom } = chart.chartArea;
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#e6edf3';
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }]
+  });
+}
+
+// Steps the whole hydrograph under the current mitigation for the peak
+// damage, maximum depths and first-flood times; re-run only on changes
+function refreshTimelineSummary() {
+  if (!timeline) return;
+  timelineChart.draw();
+  const mitigation = getMitigationState();
+  const inputs = {
+    timeline,
+    mitigation: JSON.stringify(mitigation),
+    buildings,
+    terrain,
+    curves: damageCurves,
+    measures: measureRegistry,
+    drawn: drawnMeasures
+  };
+  if (timelineInputs && Object.keys(inputs).every((k) => inputs[k] === timelineInputs[k])) return;
+  timelineInputs = inputs;
+  timelineSummary = null;
+  startModelJob('timeline', { series: timeline.series, mitigation, curves: damageCurves, measures: measureRegistry, drawn: drawnMeasures }, {
+    onProgress: (done, runs) => {
+      document.getElementById('timelineStatus').textContent = `Tracking depths: ${done}/${runs} timesteps…`;
+    },
+    onResult: renderTimelineSummary
+  });
+}
 
-const backendBase = localStorage.getItem('lyonBackend') || 'http://localhost:3000';
-const pythonServiceBase = localStorage.getItem('pythonService') || 'http://localhost:5000';
-const apiKeyParam = new URLSearchParams(location.search).get('apiKey');
+function renderTimelineSummary(summary) {
+  timelineSummary = summary;
+  const { peak, floodedCount, envelopeDamage, firstFlood } = summary;
+  const first = firstFlood.reduce((min, t) => (Number.isNaN(t) ? min : Math.min(min, t)), Infinity);
+  document.getElementById('timelineStatus').textContent =
+    `Peak damage ${formatEuro(peak.totalDamage)} at ${formatClock(peak.t)} ` +
+    `(${Math.round(peak.level)} cm, ${peak.affectedCount} buildings)\n` +
+    `Maximum depths over the event: ${floodedCount} buildings flood, ${formatEuro(envelopeDamage)}\n` +
+    (Number.isFinite(first) ? `First building floods at ${formatClock(first)}` : 'No building floods');
+  timelineChart.data.datasets[1].data = summary.steps.map(({ t, totalDamage }) => ({ x: t, y: totalDamage }));
+  timelineChart.update();
+}
 
-// Synthetic assets: very simplified flood polygon approximations by level
-// In a real app, replace with tiled depth rasters or vector depths from models
-function generateFloodGeoJSON(levelCm, mitigation) {
-  // Base polygon roughly following Saône and Rhône corridor
-  const baseWidth = 0.005 + levelCm / 100000; // widen with level
-  const attenuation = 1 - computeMitigationAttenuation(mitigation); // reduce with mitigation
-  const width = baseWidth * attenuation;
-
-  const coords = [
-    [4.805, 45.800],
-    [4.810, 45.790],
-    [4.820, 45.780],
-    [4.830, 45.772],
-    [4.840, 45.765],
-    [4.850, 45.758],
-    [4.860, 45.750],
-    [4.870, 45.742]
-  ];
+// Per-building event lines for the tooltip, once the summary matches the data
+function timelineTooltip(i) {
+  if (!timelineSummary || timelineInputs.buildings !== buildings) return '';
+  const first = timelineSummary.firstFlood[i];
+  return `<br/>Max depth (event): ${timelineSummary.maxDepth[i].toFixed(2)} m` +
+    `<br/>First floods: ${Number.isNaN(first) ? 'never' : formatClock(first)}`;
+}
+
+async function loadHydrograph(source) {
+  const status = document.getElementById('timelineStatus');
+  try {
+    const { series, start } = FloodIO.parseHydrographCSV(await readSource(source, 'text'));
+    const hours = series[series.length - 1].t;
+    const { name } = sourceInfo(source);
+    setTimeline({ series, start, source: 'csv', label: `${name}: ${series.length} steps over ${hours.toFixed(1)} h` });
+  } catch (e) {
+    status.textContent = `Could not load hydrograph: ${e.message}`;
+  }
+}
 
-  const leftBank = coords.map(([lng, lat]) => [lng - width, lat + width]);
-  const rightBank = coords.map(([lng, lat]) => [lng + width, lat - width]).reverse();
+// ---- Shareable state ----
 
-  const polygon = [leftBank.concat(rightBank)];
+// Longer links are shortened through the backend when it is online
+const SHORT_LINK_THRESHOLD = 2000;
+const URL_SYNC_DELAY_MS = 300;
+let urlSyncTimer = null;
+let urlSyncJob = 0;
+
+// Everything a link restores (see state.js)
+function currentState() {
+  const contoursOpen = !document.getElementById('contourPanel').hidden;
+  const center = map.getCenter();
   return {
-    type: 'FeatureCollection',
-    features: [
-      {
-        type: 'Feature',
-        properties: { levelCm },
-        geometry: { type: 'Polygon', coordinates: polygon }
-      }
-    ]
+    v: FloodState.STATE_VERSION,
+    level: Number(document.getElementById('levelSlider').value),
+    storm: document.getElementById('scenarioSelect').value,
+    customStorm: customStormActive() ? stormFromEditor() : null,
+    mitigation: getMitigationState(),
+    adoption: getAdoption(),
+    customMeasures: customMeasures.map(measureDefinition),
+    drawn: drawnMeasures,
+    curves: Object.fromEntries(customCurveIds().map((id) => [id, damageCurves[id]])),
+    runs: uncertaintyEnabled() ? Number(document.getElementById('uncertaintyRuns').value) : 0,
+    seed,
+    view: { lat: center.lat, lng: center.lng, zoom: map.getZoom() },
+    layers: {
+      contours: contoursOpen
+        ? { interval: Number(document.getElementById('contourInterval').value), smooth: document.getElementById('contourSmooth').checked }
+        : null,
+      hazard: !document.getElementById('hazardPanel').hidden,
+      assets: document.getElementById('assetLayerToggle').checked,
+      routes: document.getElementById('routeLayerToggle').checked,
+      agreement: document.getElementById('agreementLayerToggle').checked,
+      passableDepth: passableDepth(),
+      transect,
+      profileStep: Number(document.getElementById('profileStep').value)
+    },
+    data: {
+      buildings: dataset.buildings?.url ?? null,
+      dem: dataset.dem?.url ?? null,
+      assets: dataset.assets?.url ?? null,
+      roads: dataset.roads?.url ?? null,
+      observed: dataset.observed?.url ?? null,
+      gauges: dataset.gauges?.url ?? null
+    }
   };
 }
 
-// Deterministic PRNG (Mulberry32) for reproducible synthetic dataset
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ t >>> 15, 1 | t);
-    r ^= r + Math.imul(r ^ r >>> 7, 61 | r);
-    return ((r ^ r >>> 14) >>> 0) / 4294967296;
-  };
+// Rewrites the query string as `?s=<state>` once the controls settle
+function syncURL() {
+  clearTimeout(urlSyncTimer);
+  urlSyncTimer = setTimeout(async () => {
+    const job = ++urlSyncJob;
+    const encoded = await FloodState.encodeState(currentState());
+    if (job === urlSyncJob) history.replaceState({}, '', `${location.pathname}?s=${encoded}`);
+  }, URL_SYNC_DELAY_MS);
 }
 
-const seed = Number(new URLSearchParams(location.search).get('seed')) || 1337;
-const rand = mulberry32(seed);
+function setLinkStatus(message) {
+  const status = document.getElementById('linkStatus');
+  status.textContent = message;
+  status.hidden = !message;
+}
 
-// Synthetic building centroids and baseline values (seeded)
-const buildings = Array.from({ length: 400 }).map((_, i) => {
-  const latJitter = (rand() - 0.5) * 0.05;
-  const lngJitter = (rand() - 0.5) * 0.08;
-  return {
-    id: i + 1,
-    lat: lyonCenter[0] + latJitter,
-    lng: lyonCenter[1] + lngJitter,
-    replacementCost: 100000 + rand() * 900000, // €
-    isCritical: rand() < 0.06
-  };
-});
+// State of the page's link: a short link id (`link`), an encoded state (`s`)
+// or the older query string. Returns { state, legacy }.
+async function readURL() {
+  const p = new URLSearchParams(location.search);
+  try {
+    if (p.get('link')) {
+      const url = new URL(`${backendBase}/api/links`);
+      url.searchParams.set('id', p.get('link'));
+      if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+      const res = await fetch(url, { cache: 'no-store' });
+      if (!res.ok) throw new Error(res.status === 404 ? 'short link not found' : `short link: HTTP ${res.status}`);
+      return { state: await FloodState.decodeState((await res.json()).s), legacy: false };
+    }
+    if (p.get('s')) return { state: await FloodState.decodeState(p.get('s')), legacy: false };
+  } catch (e) {
+    setLinkStatus(`Link not restored: ${e.message}`);
+    return { state: FloodState.normalizeState({ seed }), legacy: true };
+  }
+  return { state: FloodState.migrateState(FloodState.stateFromParams(p)), legacy: true };
+}
 
-function computeMitigationAttenuation(m) {
-  // very simplified: each measure reduces peak by a fixed fraction
-  let atten = 0;
-  if (m.greenRoofs) atten += 0.08;
-  if (m.permeable) atten += 0.10;
-  if (m.barriers) atten += 0.12;
-  return Math.min(0.35, atten);
-}
-
-function depthAtPoint(point, levelCm, mitigation) {
-  // Crude distance-to-centerline decay producing a pseudo depth field
-  const centerline = [
-    [4.835, 45.795],
-    [4.835, 45.780],
-    [4.835, 45.765],
-    [4.835, 45.750]
-  ];
-  const attenuation = 1 - computeMitigationAttenuation(mitigation);
-  const L = levelCm * attenuation;
-  let minDist = Infinity;
-  for (let i = 0; i < centerline.length; i++) {
-    const [lng, lat] = centerline[i];
-    const d = Math.hypot(point[0] - lat, point[1] - lng);
-    if (d < minDist) minDist = d;
+// Copies a link to this state, shortened by the backend when it is long
+async function shareLink() {
+  clearTimeout(urlSyncTimer);
+  const encoded = await FloodState.encodeState(currentState());
+  let link = `${location.origin}${location.pathname}?s=${encoded}`;
+  history.replaceState({}, '', `${location.pathname}?s=${encoded}`);
+  setLinkStatus('');
+  if (link.length > SHORT_LINK_THRESHOLD && serverOnline) {
+    try {
+      const url = new URL(`${backendBase}/api/links`);
+      if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+      const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ s: encoded }) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      link = `${location.origin}${location.pathname}?link=${(await res.json()).id}`;
+    } catch (e) {
+      setLinkStatus(`Short link unavailable (${e.message}), copied the full link`);
+    }
   }
-  const depth = Math.max(0, (L / 100) - minDist * 200); // cm → m-ish scale
-  return depth; // meters (synthetic)
+  await navigator.clipboard.writeText(link);
+  const btn = document.getElementById('btnShare');
+  const old = btn.textContent;
+  btn.textContent = 'Copied!';
+  setTimeout(() => (btn.textContent = old), 1200);
 }
 
-function depthDamageRatio(depthMeters) {
-  // Depth-damage curve (synthetic). 0 m → 0, 2 m → ~0.6, 4 m → ~0.9
-  const d = Math.max(0, depthMeters);
-  const ratio = 1 - Math.exp(-d * 0.8);
-  return Math.min(0.95, ratio);
+// ---- GIS export ----
+
+// KML colours (aabbggrr) of the exported layers
+const GIS_LAYER_STYLES = { extent: 'ffffa658', contours: 'ffb57121', measures: 'ff2299d2' };
+
+// Nested [lng, lat] arrays rounded to 1e-6° (~0.1 m)
+function roundCoords(coords) {
+  return typeof coords[0] === 'number' ? coords.map((c) => Math.round(c * 1e6) / 1e6) : coords.map(roundCoords);
 }
 
-function formatEuro(value) {
-  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(value);
+// The scenario on screen as GeoJSON layers with raw values, evaluated afresh
+// so the export never mixes a pending worker result with the current inputs
+function scenarioLayers() {
+  const level = Number(document.getElementById('levelSlider').value);
+  const m = getMitigationState();
+  const evaluation = evaluateScenarioArrays(buildings, level, m, modelContext());
+  const flood = generateFloodGeoJSON(level, mitigationReduction(m), modelTerrain());
+  const rise = flood.features[0].properties.rise;
+  const roi = drawnRoiMeasures(drawnMeasures);
+  const metadata = {
+    levelCm: level,
+    riseM: rise,
+    mitigation: Object.fromEntries(Object.entries(m).map(([id, adoption]) => [id, { label: measureRegistry.find((measure) => measure.id === id)?.label ?? id, adoption }])),
+    seed,
+    totalDamageEur: Math.round(evaluation.totalDamage),
+    affectedBuildings: evaluation.affectedCount,
+    criticalBuildings: evaluation.criticalCount,
+    exposedPeople: evaluation.exposedPeople,
+    exposedVulnerable: evaluation.exposedVulnerable,
+    exportedAt: new Date().toISOString()
+  };
+  return {
+    metadata,
+    evaluation,
+    layers: {
+      extent: flood.features.map((f) => ({
+        type: 'Feature',
+        properties: { name: `Flood extent ${level} cm`, levelCm: level, riseM: rise },
+        geometry: { type: 'MultiPolygon', coordinates: roundCoords(f.geometry.coordinates) }
+      })),
+      contours: contourFeatures(contourBandsAt(level, m), level)
+        .map((f) => ({ ...f, geometry: { type: 'MultiPolygon', coordinates: roundCoords(f.geometry.coordinates) } })),
+      buildings: buildings.map((b, i) => ({
+        type: 'Feature',
+        properties: {
+          name: `#${b.id}`,
+          id: b.id,
+          use: b.use ?? null,
+          occupancy: b.occupancy,
+          critical: Boolean(b.isCritical),
+          depthM: Math.round(evaluation.depth[i] * 1000) / 1000,
+          damageEur: Math.round(evaluation.damage[i]),
+          affected: Boolean(evaluation.affected[i])
+        },
+        geometry: b.footprint || { type: 'Point', coordinates: [b.lng, b.lat] }
+      })),
+      measures: drawnMeasures.map((d, i) => {
+        const type = DRAWN_MEASURE_TYPES[d.type];
+        const size = drawnMeasureSize(d);
+        return {
+          type: 'Feature',
+          properties: {
+            name: roi[i].label,
+            id: d.id,
+            type: d.type,
+            heightM: d.height ?? null,
+            lengthM: size.lengthM !== undefined ? Math.round(size.lengthM) : null,
+            areaM2: size.areaM2 !== undefined ? Math.round(size.areaM2) : null,
+            costEur: Math.round(size.cost)
+          },
+          geometry: type.geometry === 'line'
+            ? { type: 'LineString', coordinates: d.coords }
+            : { type: 'Polygon', coordinates: [[...d.coords, d.coords[0]]] }
+        };
+      })
+    }
+  };
 }
 
-function initMap() {
-  map = L.map('map', { zoomControl: true }).setView(lyonCenter, 12.6);
+// Zip of the scenario as one GeoJSON, one KML (a folder per layer) and a
+// CSV with WKT geometry per layer
+function exportGIS() {
+  const { metadata, layers } = scenarioLayers();
+  const base = `lyon-flood-${metadata.levelCm}cm`;
+  const features = Object.entries(layers).flatMap(([layer, list]) => list.map((f) => ({ ...f, properties: { layer, ...f.properties } })));
+  const names = { extent: 'Flood extent', contours: 'Depth bands', buildings: 'Buildings', measures: 'Drawn measures' };
+  const files = [
+    { name: `${base}.geojson`, text: JSON.stringify({ type: 'FeatureCollection', metadata, features }) },
+    { name: `${base}.kml`, text: FloodIO.toKML(`Lyon flood ${metadata.levelCm} cm`, Object.entries(layers).map(([layer, list]) => ({ name: names[layer], style: GIS_LAYER_STYLES[layer], features: list }))) },
+    ...Object.entries(layers).filter(([, list]) => list.length).map(([layer, list]) => ({ name: `${base}-${layer}.csv`, text: FloodIO.featuresToCSV(list) })),
+    { name: `${base}-metadata.json`, text: JSON.stringify(metadata, null, 2) }
+  ];
+  const blob = new Blob([FloodIO.zipFiles(files)], { type: 'application/zip' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${base}.zip`;
+  a.click();
+}
 
-  const tiles = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    maxZoom: 19,
-    attribution: '© OpenStreetMap contributors'
-  });
-  tiles.addTo(map);
+// ---- Scenario library ----
 
-  floodLayer = L.geoJSON(null, {
-    style: () => ({ color: '#58a6ff', weight: 2, fillColor: '#58a6ff', fillOpacity: 0.25 })
-  }).addTo(map);
+// Named scenarios in IndexedDB: { id, name, tags, createdAt, updatedAt,
+// state (see state.js), results } where results are the KPIs, damage by class
+// and ROI computed when the scenario was saved
+const LIBRARY_DB = 'lyonFloodLab';
+const LIBRARY_STORE = 'scenarios';
+const LIBRARY_FORMAT = 'lyon-flood-library';
+const MAX_LIBRARY_NAME = 100;
+const MAX_LIBRARY_TAGS = 12;
 
-  buildingsLayer = L.layerGroup().addTo(map);
-  contoursLayer = L.layerGroup().addTo(map);
-  measureLayer = L.layerGroup();
+let libraryDb = null;
+let libraryEntries = [];
+// Entry last saved or opened, which Update overwrites
+let libraryCurrent = null;
 
-  const drawItems = new L.FeatureGroup();
-  map.addLayer(drawItems);
-  drawControl = new L.Control.Draw({
-    position: 'topright',
-    draw: {
-      polyline: { shapeOptions: { color: '#f2cc60', weight: 3 } },
-      polygon: false,
-      circle: false,
-      rectangle: false,
-      marker: false,
-      circlemarker: false
-    },
-    edit: { featureGroup: drawItems, remove: true }
+function openLibraryDb() {
+  libraryDb ??= new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(LIBRARY_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
+  return libraryDb;
 }
 
-function renderBuildings(levelCm, mitigation) {
-  buildingsLayer.clearLayers();
-  let affectedCount = 0;
-  let criticalCount = 0;
-  let totalDamage = 0;
-
-  for (const b of buildings) {
-    const depth = depthAtPoint([b.lat, b.lng], levelCm, mitigation);
-    const affected = depth > 0.05;
-    const ratio = affected ? depthDamageRatio(depth) : 0;
-    const damage = b.replacementCost * ratio;
-    totalDamage += damage;
-    if (affected) affectedCount += 1;
-    if (affected && b.isCritical) criticalCount += 1;
-
-    const color = !affected ? '#7ee787' : b.isCritical ? '#ff7b72' : '#f2cc60';
-    const radius = Math.max(3, Math.min(10, depth * 3 + 3));
-    const marker = L.circleMarker([b.lat, b.lng], {
-      radius,
-      color: '#000',
-      weight: 1,
-      fillColor: color,
-      fillOpacity: 0.9
-    });
-    marker.bindTooltip(`ID #${b.id}<br/>Depth: ${depth.toFixed(2)} m<br/>Damage: ${formatEuro(damage)}`, { sticky: true });
-    marker.on('click', () => showImageModal(b.lat, b.lng, depth, damage, b.isCritical));
-    buildingsLayer.addLayer(marker);
-  }
+// Runs fn(store) in one transaction; resolves with the last request's result
+async function libraryTransaction(mode, fn) {
+  const db = await openLibraryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LIBRARY_STORE, mode);
+    const request = fn(tx.objectStore(LIBRARY_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
 
-  // KPI updates
-  document.getElementById('kpiTotalDamage').textContent = formatEuro(totalDamage);
-  document.getElementById('kpiBuildings').textContent = affectedCount.toString();
-  document.getElementById('kpiCritical').textContent = criticalCount.toString();
+function libraryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-  // ROI block (toy numbers)
-  updateRoiBackend();
+function scenarioCount(n) {
+  return `${n} scenario${n === 1 ? '' : 's'}`;
+}
 
-  return totalDamage;
+function libraryTags(text) {
+  return [...new Set(String(text).split(',').map((t) => t.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_LIBRARY_TAGS);
 }
 
-function setRoi(key, cost, avoided) {
-  document.getElementById(`roiCost${key}`).textContent = formatEuro(cost);
-  document.getElementById(`roiAvoid${key}`).textContent = formatEuro(avoided);
-  const bc = cost > 0 ? (avoided / cost).toFixed(2) : '0.0';
-  document.getElementById(`roiBC${key}`).textContent = bc;
+// Results of the scenario on screen, computed afresh like the exports; the
+// ROI is the one on screen when current (it spans the whole curve)
+async function scenarioResults() {
+  const level = Number(document.getElementById('levelSlider').value);
+  const m = getMitigationState();
+  const r = evaluateScenarioArrays(buildings, level, m, modelContext());
+  const roi = await currentRoi();
+  return {
+    levelCm: level,
+    buildings: buildings.length,
+    totalDamage: Math.round(r.totalDamage),
+    affectedCount: r.affectedCount,
+    criticalCount: r.criticalCount,
+    exposedPeople: r.exposedPeople,
+    exposedVulnerable: r.exposedVulnerable,
+    damageByClass: Object.fromEntries(OCCUPANCY_CLASSES.map((c) => [c.id, Math.round(r.damageByClass[c.id])])),
+    eadBaseline: Math.round(roi.eadBaseline),
+    eadSelected: Math.round(roi.eadSelected),
+    npvAvoided: Math.round(roi.npvAvoided),
+    measures: roi.measures.map((x) => ({ id: x.id, label: x.label, adoption: x.adoption, selected: x.selected, cost: Math.round(x.cost) }))
+  };
 }
 
-async function updateRoiBackend() {
+// An imported or stored entry, checked field by field; null when unusable
+function libraryEntryFrom(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.state) return null;
+  let state;
   try {
-    const m = getMitigationState();
-    const url = new URL(`${backendBase}/api/roi-ead`);
-    url.searchParams.set('gr', m.greenRoofs ? '1' : '0');
-    url.searchParams.set('pp', m.permeable ? '1' : '0');
-    url.searchParams.set('tb', m.barriers ? '1' : '0');
-    url.searchParams.set('horizon', '30');
-    url.searchParams.set('rate', '0.03');
-    if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
-    const res = await fetch(url.toString(), { cache: 'no-store' });
-    if (!res.ok) throw new Error('roi-ead failed');
-    const data = await res.json();
-    const costGreen = 2_000_000;
-    const costPerm = 3_500_000;
-    const costBarr = 1_500_000;
-    const share = (flag, total) => flag ? total : 0;
-    setRoi('Green', costGreen, share(m.greenRoofs, data.npvAvoided * 0.35));
-    setRoi('Perm', costPerm, share(m.permeable, data.npvAvoided * 0.40));
-    setRoi('Barr', costBarr, share(m.barriers, data.npvAvoided * 0.25));
+    state = FloodState.migrateState(raw.state);
   } catch {
-    const totalDamage = parseFloat((document.getElementById('kpiTotalDamage').textContent || '0').replace(/[^0-9.-]+/g, '')) || 0;
-    const avoidedGreen = totalDamage * 0.08;
-    const avoidedPerm = totalDamage * 0.10;
-    const avoidedBarr = totalDamage * 0.12;
-    setRoi('Green', 2_000_000, avoidedGreen);
-    setRoi('Perm', 3_500_000, avoidedPerm);
-    setRoi('Barr', 1_500_000, avoidedBarr);
+    return null;
   }
+  const time = (t) => (Number.isFinite(Date.parse(t)) ? new Date(t).toISOString() : new Date().toISOString());
+  return {
+    id: typeof raw.id === 'string' && /^[\w-]{1,40}$/.test(raw.id) ? raw.id : libraryId(),
+    name: String(raw.name || 'Untitled').slice(0, MAX_LIBRARY_NAME),
+    tags: libraryTags(Array.isArray(raw.tags) ? raw.tags.join(',') : ''),
+    createdAt: time(raw.createdAt),
+    updatedAt: time(raw.updatedAt),
+    state,
+    results: raw.results && typeof raw.results === 'object' ? raw.results : null
+  };
 }
 
-function renderFlood(levelCm, mitigation) {
-  const gj = generateFloodGeoJSON(levelCm, mitigation);
-  floodLayer.clearLayers();
-  floodLayer.addData(gj);
+function setLibraryStatus(message) {
+  document.getElementById('libraryStatus').textContent = message;
 }
 
-function initChart() {
-  const ctx = document.getElementById('damageChart');
-  damageChart = new Chart(ctx, {
-    type: 'bar',
-    data: {
-      labels: ['Res', 'Comm', 'Infra', 'Public'],
-      datasets: [
-        { label: 'Damage (€)', data: [0, 0, 0, 0], backgroundColor: ['#58a6ff', '#f2cc60', '#ff7b72', '#7ee787'] }
-      ]
-    },
-    options: {
-      plugins: { legend: { display: false } },
-      scales: {
-        x: { grid: { color: 'rgba(255,255,255,0.06)' } },
-        y: { grid: { color: 'rgba(255,255,255,0.06)' }, ticks: { callback: (v) => formatEuro(v) } }
-      }
+async function refreshLibrary() {
+  try {
+    libraryEntries = (await libraryTransaction('readonly', (store) => store.getAll()))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  } catch (e) {
+    libraryEntries = [];
+    setLibraryStatus(`Library unavailable: ${e.message}`);
+  }
+  renderLibrary();
+}
+
+function libraryMatches(entry, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = [entry.name, ...entry.tags, describeScenario({ level: entry.state.level, mitigation: entry.state.mitigation, drawn: entry.state.drawn })]
+    .join(' ').toLowerCase();
+  return words.every((w) => text.includes(w));
+}
+
+function renderLibrary() {
+  const list = document.getElementById('libraryList');
+  const query = document.getElementById('librarySearch').value;
+  const shown = libraryEntries.filter((entry) => libraryMatches(entry, query));
+  list.innerHTML = '';
+  for (const entry of shown) {
+    const row = document.createElement('div');
+    row.className = 'library-row';
+    row.classList.toggle('current', entry.id === libraryCurrent);
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = entry.name;
+    const detail = document.createElement('div');
+    detail.className = 'library-detail';
+    const results = entry.results ? ` · ${formatEuro(entry.results.totalDamage)} · ${entry.results.affectedCount} bldg` : '';
+    detail.textContent = describeScenario({ level: entry.state.level, mitigation: entry.state.mitigation, drawn: entry.state.drawn }) + results;
+    const meta = document.createElement('div');
+    meta.className = 'library-detail';
+    meta.textContent = [new Date(entry.updatedAt).toLocaleString(), ...entry.tags.map((t) => `#${t}`)].join(' ');
+    info.append(name, detail, meta);
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    for (const [label, action] of [['Open', openLibraryEntry], ['Duplicate', duplicateLibraryEntry], ['Delete', deleteLibraryEntry]]) {
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = label;
+      btn.addEventListener('click', () => action(entry));
+      actions.append(btn);
     }
-  });
+    row.append(info, actions);
+    list.append(row);
+  }
+  document.getElementById('btnLibraryUpdate').disabled = !libraryEntries.some((e) => e.id === libraryCurrent);
+  document.getElementById('libraryCount').textContent = query
+    ? `${shown.length} of ${scenarioCount(libraryEntries.length)}`
+    : scenarioCount(libraryEntries.length);
 }
 
-function updateChart(totalDamage) {
-  // split into categories with arbitrary shares
-  const res = totalDamage * 0.45;
-  const com = totalDamage * 0.30;
-  const inf = totalDamage * 0.20;
-  const pub = totalDamage * 0.05;
-  damageChart.data.datasets[0].data = [res, com, inf, pub];
-  damageChart.update();
+async function putLibraryEntries(entries) {
+  await libraryTransaction('readwrite', (store) => {
+    let last = null;
+    for (const entry of entries) last = store.put(entry);
+    return last;
+  });
+  await refreshLibrary();
 }
 
-function getMitigationState() {
-  return {
-    greenRoofs: document.getElementById('mitGreenRoofs').checked,
-    permeable: document.getElementById('mitPermeable').checked,
-    barriers: document.getElementById('mitBarriers').checked
+// Saves the scenario on screen as a new entry, or over the current one
+async function saveLibraryEntry(update = false) {
+  const name = document.getElementById('libraryName').value.trim() || describeScenario(currentScenario());
+  const tags = libraryTags(document.getElementById('libraryTags').value);
+  const now = new Date().toISOString();
+  const existing = update ? libraryEntries.find((e) => e.id === libraryCurrent) : null;
+  const state = FloodState.normalizeState(currentState());
+  let results;
+  try {
+    results = await scenarioResults();
+  } catch (e) {
+    setLibraryStatus(`Not saved: ${e.message}`);
+    return;
+  }
+  const entry = {
+    id: existing?.id ?? libraryId(),
+    name: name.slice(0, MAX_LIBRARY_NAME),
+    tags,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    state,
+    results
   };
+  libraryCurrent = entry.id;
+  await putLibraryEntries([entry]);
+  setLibraryStatus(`${existing ? 'Updated' : 'Saved'} “${entry.name}”`);
 }
 
-function syncURL(levelCm) {
-  const m = getMitigationState();
-  const params = new URLSearchParams();
-  params.set('level', String(levelCm));
-  params.set('gr', m.greenRoofs ? '1' : '0');
-  params.set('pp', m.permeable ? '1' : '0');
-  params.set('tb', m.barriers ? '1' : '0');
-  if (seed) params.set('seed', String(seed));
-  const url = `${location.pathname}?${params.toString()}`;
-  history.replaceState({}, '', url);
+function openLibraryEntry(entry) {
+  const { data } = entry.state;
+  applyState(entry.state);
+  libraryCurrent = entry.id;
+  document.getElementById('libraryName').value = entry.name;
+  document.getElementById('libraryTags').value = entry.tags.join(', ');
+  renderAll();
+  renderLibrary();
+  if (data.buildings !== (dataset.buildings?.url ?? null) || data.dem !== (dataset.dem?.url ?? null)) {
+    if (data.buildings || data.dem) loadDataFromURL(data);
+    else useSyntheticData();
+  }
+  if (data.assets !== (dataset.assets?.url ?? null)) {
+    if (data.assets) loadAssets(data.assets);
+    else useBuildingAssets();
+  }
+  if (data.roads !== (dataset.roads?.url ?? null)) {
+    if (data.roads) loadRoads(data.roads);
+    else useSyntheticRoads();
+  }
+  if (data.observed !== (dataset.observed?.url ?? null) || data.gauges !== (dataset.gauges?.url ?? null)) {
+    clearObserved();
+    if (data.observed) loadObserved(data.observed);
+    if (data.gauges) loadGauges(data.gauges);
+  }
+  setLibraryStatus(`Opened “${entry.name}”`);
 }
 
-function readURL() {
-  const p = new URLSearchParams(location.search);
-  const level = Number(p.get('level')) || 120;
-  const m = {
-    greenRoofs: p.get('gr') === '1',
-    permeable: p.get('pp') === '1',
-    barriers: p.get('tb') === '1'
-  };
-  return { level, m };
+async function duplicateLibraryEntry(entry) {
+  const now = new Date().toISOString();
+  await putLibraryEntries([{ ...entry, id: libraryId(), name: `${entry.name} (copy)`.slice(0, MAX_LIBRARY_NAME), createdAt: now, updatedAt: now }]);
+  setLibraryStatus(`Duplicated “${entry.name}”`);
 }
 
-function shareLink() {
-  navigator.clipboard.writeText(location.href).then(() => {
-    const btn = document.getElementById('btnShare');
-    const old = btn.textContent;
-    btn.textContent = 'Copied!';
-    setTimeout(() => (btn.textContent = old), 1200);
-  });
+async function deleteLibraryEntry(entry) {
+  if (!confirm(`Delete “${entry.name}” from the library?`)) return;
+  await libraryTransaction('readwrite', (store) => store.delete(entry.id));
+  if (libraryCurrent === entry.id) libraryCurrent = null;
+  await refreshLibrary();
+  setLibraryStatus(`Deleted “${entry.name}”`);
 }
 
-function exportReport() {
-  const kpi = {
-    total: document.getElementById('kpiTotalDamage').textContent,
-    buildings: document.getElementById('kpiBuildings').textContent,
-    critical: document.getElementById('kpiCritical').textContent
-  };
-  const roi = {
-    green: {
-      cost: document.getElementById('roiCostGreen').textContent,
-      avoided: document.getElementById('roiAvoidGreen').textContent,
-      bc: document.getElementById('roiBCGreen').textContent
-    },
-    permeable: {
-      cost: document.getElementById('roiCostPerm').textContent,
-      avoided: document.getElementById('roiAvoidPerm').textContent,
-      bc: document.getElementById('roiBCPerm').textContent
-    },
-    barriers: {
-      cost: document.getElementById('roiCostBarr').textContent,
-      avoided: document.getElementById('roiAvoidBarr').textContent,
-      bc: document.getElementById('roiBCBarr').textContent
-    }
-  };
-  const blob = new Blob([JSON.stringify({ kpi, roi }, null, 2)], { type: 'application/json' });
+function exportLibrary() {
+  const file = { format: LIBRARY_FORMAT, version: 1, exportedAt: new Date().toISOString(), scenarios: libraryEntries };
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = 'lyon-flood-report.json';
+  a.download = 'lyon-flood-library.json';
+  a.click();
+}
+
+// Merges a library file: entries with a known id are replaced when newer
+async function importLibrary(file) {
+  try {
+    const parsed = JSON.parse(await readSource(file, 'text'));
+    if (parsed?.format !== LIBRARY_FORMAT || !Array.isArray(parsed.scenarios)) throw new Error('not a Lyon Flood Lab library file');
+    const known = new Map(libraryEntries.map((e) => [e.id, e]));
+    const entries = parsed.scenarios.map(libraryEntryFrom);
+    const fresh = entries.filter((e) => e && !(known.has(e.id) && known.get(e.id).updatedAt >= e.updatedAt));
+    if (fresh.length) await putLibraryEntries(fresh);
+    const skipped = entries.length - fresh.length;
+    setLibraryStatus(`Imported ${scenarioCount(fresh.length)}` + (skipped ? ` (${skipped} invalid or not newer)` : ''));
+  } catch (e) {
+    setLibraryStatus(`Could not import: ${e.message}`);
+  }
+}
+
+// ---- Report ----
+
+// Printable report built on the page: scenario, KPIs, map, damage by class,
+// ROI and assumptions as one self-contained HTML document
+
+const REPORT_MAP_SIZE = { width: 760, height: 500 };
+const REPORT_BUILDING_COLORS = { dry: '#8b949e', affected: '#1f6feb', critical: '#d1242f' };
+
+function html(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function reportTable(headers, rows) {
+  return `<table><thead><tr>${headers.map((h) => `<th>${html(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${html(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+// Vector map of the exported layers (no basemap: tiles are cross-origin and
+// would not print offline), equirectangular around the data, with a scale bar
+function reportMapSVG(layers) {
+  const { width, height } = REPORT_MAP_SIZE;
+  const points = [
+    ...buildings.map((b) => [b.lng, b.lat]),
+    ...layers.extent.flatMap((f) => f.geometry.coordinates.flat(2)),
+    ...layers.measures.flatMap((f) => (f.geometry.type === 'LineString' ? f.geometry.coordinates : f.geometry.coordinates[0]))
+  ];
+  let [west, south, east, north] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lng, lat] of points) {
+    west = Math.min(west, lng);
+    east = Math.max(east, lng);
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+  }
+  const kx = Math.cos(((south + north) / 2) * Math.PI / 180);
+  const pad = 16;
+  const scale = Math.min((width - 2 * pad) / Math.max((east - west) * kx, 1e-6), (height - 2 * pad) / Math.max(north - south, 1e-6));
+  const x = (lng) => (pad + (lng - west) * kx * scale).toFixed(1);
+  const y = (lat) => (pad + (north - lat) * scale).toFixed(1);
+  const path = (rings) => rings.map((ring) => `M${ring.map(([lng, lat]) => `${x(lng)} ${y(lat)}`).join('L')}Z`).join('');
+  const parts = [`<rect width="${width}" height="${height}" fill="#f6f8fa"/>`];
+  layers.contours.forEach((f, i) => {
+    parts.push(`<path d="${f.geometry.coordinates.map(path).join('')}" fill="${contourColor(i, layers.contours.length)}" fill-rule="evenodd" stroke="none"/>`);
+  });
+  for (const f of layers.extent) {
+    parts.push(`<path d="${f.geometry.coordinates.map(path).join('')}" fill="none" fill-rule="evenodd" stroke="#0969da" stroke-width="1"/>`);
+  }
+  for (const f of layers.measures) {
+    const color = DRAWN_MEASURE_TYPES[f.properties.type].color;
+    parts.push(f.geometry.type === 'LineString'
+      ? `<path d="M${f.geometry.coordinates.map(([lng, lat]) => `${x(lng)} ${y(lat)}`).join('L')}" fill="none" stroke="${color}" stroke-width="4"/>`
+      : `<path d="${path(f.geometry.coordinates)}" fill="${color}" fill-opacity="0.35" stroke="${color}" stroke-width="2"/>`);
+  }
+  buildings.forEach((b, i) => {
+    const { affected, critical } = layers.buildings[i].properties;
+    const color = affected ? REPORT_BUILDING_COLORS[critical ? 'critical' : 'affected'] : REPORT_BUILDING_COLORS.dry;
+    parts.push(`<circle cx="${x(b.lng)}" cy="${y(b.lat)}" r="${critical ? 3.5 : 2.5}" fill="${color}"${critical ? ' stroke="#000" stroke-width="0.8"' : ''}/>`);
+  });
+  // Scale bar of a round length near a fifth of the width
+  const mPerPx = (Math.PI / 180) * 6371008.8 / scale;
+  const barM = [100, 200, 500, 1000, 2000, 5000, 10000].reduce((best, m) => (m / mPerPx <= width / 5 ? m : best), 100);
+  const barPx = barM / mPerPx;
+  parts.push(`<g transform="translate(${pad},${height - pad})" font-size="11" font-family="sans-serif">` +
+    `<rect x="0" y="-6" width="${barPx.toFixed(1)}" height="4" fill="#24292f"/>` +
+    `<text x="${(barPx + 6).toFixed(1)}" y="-1">${barM >= 1000 ? `${barM / 1000} km` : `${barM} m`}</text></g>`);
+  parts.push(`<text x="${width - pad}" y="${pad + 12}" text-anchor="end" font-size="13" font-family="sans-serif" font-weight="700">N ↑</text>`);
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%">${parts.join('')}</svg>`;
+}
+
+function reportMapLegend(layers) {
+  const item = (color, label) => `<span><i style="background:${color}"></i>${html(label)}</span>`;
+  return [
+    ...layers.contours.map((f, i) => item(contourColor(i, layers.contours.length),
+      `Depth ${contourLabel({ lower: f.properties.minDepthM, upper: f.properties.maxDepthM ?? Infinity })}`)),
+    item(REPORT_BUILDING_COLORS.dry, 'Dry building'),
+    item(REPORT_BUILDING_COLORS.affected, 'Flooded building'),
+    item(REPORT_BUILDING_COLORS.critical, 'Flooded critical facility'),
+    ...[...new Set(layers.measures.map((f) => f.properties.type))].map((type) => item(DRAWN_MEASURE_TYPES[type].color, DRAWN_MEASURE_TYPES[type].label))
+  ].join('');
+}
+
+// Horizontal bars of damage per occupancy class
+function reportBarsSVG(damageByClass) {
+  const rowH = 28;
+  const labelW = 110;
+  const barW = 460;
+  const max = Math.max(...OCCUPANCY_CLASSES.map((c) => damageByClass[c.id]), 1);
+  const colors = damageChart.data.datasets[0].backgroundColor;
+  const rows = OCCUPANCY_CLASSES.map((c, i) => {
+    const w = (damageByClass[c.id] / max) * barW;
+    const yy = i * rowH;
+    return `<text x="0" y="${yy + 18}">${html(c.id[0].toUpperCase() + c.id.slice(1))}</text>` +
+      `<rect x="${labelW}" y="${yy + 5}" width="${w.toFixed(1)}" height="18" fill="${colors[i]}"/>` +
+      `<text x="${(labelW + w + 6).toFixed(1)}" y="${yy + 18}">${html(formatEuro(damageByClass[c.id]))}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${labelW + barW + 120} ${OCCUPANCY_CLASSES.length * rowH}" width="100%" font-size="12" font-family="sans-serif">${rows.join('')}</svg>`;
+}
+
+function reportStormLabel() {
+  const select = document.getElementById('scenarioSelect');
+  if (timeline) return `${timeline.label}, at ${timelineTime.toFixed(1)} h`;
+  return select.value === 'custom' && customStorm
+    ? `Custom storm: ${customStorm.rainfallMm} mm in ${customStorm.durationH} h`
+    : `${select.options[select.selectedIndex].text} design storm`;
+}
+
+function reportServerLink(level) {
+  if (!serverOnline || !datasetOnBackend()) return '';
+  const url = new URL(`${backendBase}/api/report.pdf`);
+  url.searchParams.set('level', String(level));
+  setMeasureParams(url.searchParams);
+  url.searchParams.set('seed', String(seed));
+  setDatasetParams(url.searchParams);
+  setCurveParams(url.searchParams);
+  if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+  return ` · <a href="${html(url.toString())}">Server PDF</a>`;
+}
+
+function buildReport() {
+  const { metadata, evaluation, layers } = scenarioLayers();
+  const level = metadata.levelCm;
+  const adoption = getAdoption();
+  const mitigation = Object.entries(metadata.mitigation);
+  const drawnRoi = drawnRoiMeasures(drawnMeasures);
+  const data = [
+    dataset.buildings ? `buildings from ${dataset.buildings.name}` : `${buildings.length} synthetic buildings (seed ${seed})`,
+    dataset.dem ? `terrain from ${dataset.dem.name}` : 'synthetic terrain'
+  ].join(', ');
+  const scenario = reportTable(['Parameter', 'Value'], [
+    ['Water level', `${level} cm above bankfull (rise ${metadata.riseM.toFixed(2)} m after mitigation)`],
+    ['Storm', reportStormLabel()],
+    ['Mitigation', mitigation.length ? mitigation.map(([, m]) => `${m.label} ${m.adoption} %`).join(', ') : 'none'],
+    ['Drawn measures', drawnMeasures.length ? drawnMeasures.map((d, i) => `${drawnRoi[i].label} (${describeDrawnMeasure(d)})`).join('; ') : 'none'],
+    ['Data', data],
+    ['Seed', String(seed)]
+  ]);
+  const kpis = reportTable(['Indicator', 'Value'], [
+    ['Total damage', formatEuro(evaluation.totalDamage)],
+    ['Buildings flooded', `${evaluation.affectedCount} of ${buildings.length}`],
+    ['Critical facilities flooded', `${evaluation.criticalCount} of ${buildings.filter((b) => b.isCritical).length}`],
+    ['People exposed', `${formatPeople(evaluation.exposedPeople)}, of whom ${formatPeople(evaluation.exposedVulnerable)} vulnerable`],
+    ...(lastRoi ? [
+      ['Expected annual damage', `${formatEuro(lastRoi.eadBaseline)} → ${formatEuro(lastRoi.eadSelected)} per year with the selected measures`],
+      ['NPV of avoided damage', `${formatEuro(lastRoi.npvAvoided)} over ${lastRoi.horizon} years at ${(lastRoi.rate * 100).toFixed(1)} %`]
+    ] : [])
+  ]);
+  const byClass = reportTable(['Class', 'Damage', 'Share'], OCCUPANCY_CLASSES.map((c) => [
+    c.id,
+    formatEuro(evaluation.damageByClass[c.id]),
+    evaluation.totalDamage > 0 ? `${((evaluation.damageByClass[c.id] / evaluation.totalDamage) * 100).toFixed(1)} %` : '—'
+  ]));
+  const roi = lastRoi
+    ? reportTable(['Measure', 'Adoption', 'Selected', 'Cost', 'Avoided (NPV)', 'B/C'], lastRoi.measures.map((m) => {
+      const avoided = m.selected ? m.share.npvAvoided : m.standalone.npvAvoided;
+      return [m.label, `${m.adoption} %`, m.selected ? 'yes' : 'no', formatEuro(m.cost), formatEuro(avoided), m.cost > 0 ? (avoided / m.cost).toFixed(2) : '—'];
+    }))
+    : '<p>ROI not computed yet.</p>';
+  const measures = reportTable(['Measure', 'Cost model', 'Effect on peak level', 'At current adoption'], measureRegistry.map((m) => [
+    m.label,
+    `${formatEuro(m.cost.fixed)} + ${formatEuro(m.cost.perPercent)} per %`,
+    m.effect.type === 'linear'
+      ? `${(m.effect.perPercent * 100).toFixed(2)} % per % adopted`
+      : `up to ${(m.effect.max * 100).toFixed(0)} %, half at ${m.effect.half} %`,
+    describeAdoption(m, adoption[m.id])
+  ]));
+  const curves = reportTable(['Class', 'Depth (m) → damage ratio'], OCCUPANCY_CLASSES.map((c) => [
+    c.id + (customCurveIds().includes(c.id) ? ' (edited)' : ''),
+    damageCurves[c.id].map(([d, r]) => `${d} → ${r}`).join(', ')
+  ]));
+  const drawnCosts = Object.values(DRAWN_MEASURE_TYPES).map((t) => (t.geometry === 'line'
+    ? `${t.label.toLowerCase()}s ${formatEuro(t.costPerM)} per m of length and m of crest`
+    : `${t.label.toLowerCase()}s ${formatEuro(t.costPerM2)} per m² (${t.drawdown} m drawdown)`)).join('; ');
+  const generated = new Date(metadata.exportedAt);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Lyon Flood Lab report — ${level} cm</title>
+<style>
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #24292f; margin: 24px auto; max-width: 800px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px 0; }
+  h2 { font-size: 15px; margin: 22px 0 8px 0; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .meta { color: #57606a; margin: 0 0 12px 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { color: #57606a; font-weight: 600; }
+  .legend { display: flex; flex-wrap: wrap; gap: 4px 14px; margin-top: 6px; color: #57606a; }
+  .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 5px; border-radius: 2px; }
+  ul { padding-left: 18px; }
+  section { break-inside: avoid; }
+  .no-print { margin-bottom: 12px; }
+  @media print { .no-print { display: none; } body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<div class="no-print"><button onclick="window.print()">Print / Save as PDF</button>${reportServerLink(level)}</div>
+<h1>Lyon Flood Lab — scenario report</h1>
+<p class="meta">${html(describeScenario(currentScenario()))} · generated ${html(generated.toLocaleString())}</p>
+<section><h2>Scenario</h2>${scenario}</section>
+<section><h2>Key figures</h2>${kpis}</section>
+<section><h2>Flood map</h2>${reportMapSVG(layers)}<div class="legend">${reportMapLegend(layers)}</div></section>
+<section><h2>Damage by class</h2>${reportBarsSVG(evaluation.damageByClass)}${byClass}</section>
+<section><h2>Return on investment</h2>${roi}</section>
+<section><h2>Assumptions</h2>
+<ul>
+  <li>Depths come from a ${html(dataset.dem ? 'resampled elevation grid' : 'synthetic 50 m terrain grid')}: the water surface spreads from the river channel into connected cells only. Building depths are bilinear samples of that grid.</li>
+  <li>Expected annual damage integrates damage over the stage–frequency curve. ROI discounts avoided damage over ${ROI_HORIZON_YEARS} years at ${(ROI_DISCOUNT_RATE * 100).toFixed(1)} %.</li>
+  <li>Combined measures remove at most ${(MAX_MITIGATION_REDUCTION * 100).toFixed(0)} % of the peak level. Drawn measures cost ${html(drawnCosts)}.</li>
+  <li>Figures are indicative and depend on the data and model above.</li>
+</ul>
+${measures}
+<h2>Depth–damage curves</h2>${curves}
+</section>
+</body>
+</html>
+`;
+}
+
+// Opens the report in a new tab to print; saves it as HTML if pop-ups are blocked
+function openReport() {
+  const text = buildReport();
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/html' }));
+  if (window.open(url, '_blank')) return;
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `lyon-flood-report-${document.getElementById('levelSlider').value}cm.html`;
   a.click();
 }
 
+// True when the backend can load the same buildings and terrain (synthetic or by path)
+function datasetOnBackend() {
+  return [dataset.buildings, dataset.dem].every((src) => !src || src.url);
+}
+
+function setDatasetParams(params) {
+  if (dataset.buildings?.url) params.set('buildings', dataset.buildings.url);
+  if (dataset.dem?.url) params.set('dem', dataset.dem.url);
+}
+
+// source: a File from an <input type="file"> or a path relative to the app
+async function readSource(source, as) {
+  if (typeof source !== 'string') return as === 'text' ? source.text() : source.arrayBuffer();
+  const res = await fetch(source, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`${source}: HTTP ${res.status}`);
+  return as === 'text' ? res.text() : res.arrayBuffer();
+}
+
+function sourceInfo(source) {
+  return typeof source === 'string' ? { name: source.split('/').pop(), url: source } : { name: source.name, url: null };
+}
+
+async function loadBuildings(source) {
+  const loaded = FloodIO.buildingsFromGeoJSON(JSON.parse(await readSource(source, 'text')));
+  buildings = loaded.buildings.map((b) => ({ ...b, occupancy: classifyUse(b.use) }));
+  dataset.buildings = { ...sourceInfo(source), skipped: loaded.skipped };
+  map.fitBounds(L.latLngBounds(buildings.map((b) => [b.lat, b.lng])), { padding: [20, 20] });
+}
+
+async function loadElevation(source) {
+  const info = sourceInfo(source);
+  const raster = await FloodIO.parseElevationFile(info.name, await readSource(source, 'buffer'));
+  terrain = createTerrainFromRaster(FloodIO.rasterSampler(raster));
+  dataset.dem = info;
+}
+
+async function loadData(kind, source) {
+  const status = document.getElementById('dataStatus');
+  status.textContent = 'Loading…';
+  try {
+    if (kind === 'buildings') await loadBuildings(source);
+    else await loadElevation(source);
+  } catch (e) {
+    updateDataStatus(`Could not load ${kind}: ${e.message}`);
+    return;
+  }
+  roiRequestKey = null;
+  renderAll();
+  updateDataStatus();
+}
+
+function useSyntheticData() {
+  buildings = createSyntheticBuildings(seed);
+  terrain = defaultTerrain();
+  dataset.buildings = null;
+  dataset.dem = null;
+  document.getElementById('buildingsFile').value = '';
+  document.getElementById('demFile').value = '';
+  roiRequestKey = null;
+  renderAll();
+  updateDataStatus();
+}
+
+function updateDataStatus(error) {
+  const { grid } = terrain;
+  const inside = (b) => b.lat >= grid.south && b.lat <= grid.south + grid.rows * grid.cellLat &&
+    b.lng >= grid.west && b.lng <= grid.west + grid.cols * grid.cellLng;
+  const outside = buildings.filter((b) => !inside(b)).length;
+  const lines = [
+    `Buildings: ${buildings.length} — ${dataset.buildings ? dataset.buildings.name : `synthetic (seed ${seed})`}`,
+    `Terrain: ${dataset.dem ? `${dataset.dem.name} (${grid.cols}×${grid.rows} cells of ${Math.round(grid.cellWidthM)} m)` : 'synthetic'}`
+  ];
+  const skipped = dataset.buildings?.skipped;
+  if (skipped) lines.push(`${skipped} ${skipped === 1 ? 'feature' : 'features'} skipped: no point or footprint with numeric coordinates`);
+  if (outside) lines.push(`${outside} buildings lie outside the terrain grid and stay dry`);
+  if (error) lines.push(error);
+  document.getElementById('dataStatus').textContent = lines.join('\n');
+}
+
+// Data paths of a link, e.g. ?buildings=data/buildings.geojson&dem=data/dem.tif
+// (relative to the app)
+async function loadDataFromURL(data) {
+  if (data.dem) await loadData('dem', data.dem);
+  if (data.buildings) await loadData('buildings', data.buildings);
+  if (data.assets) await loadAssets(data.assets);
+  if (data.roads) await loadRoads(data.roads);
+  if (data.observed) await loadObserved(data.observed);
+  if (data.gauges) await loadGauges(data.gauges);
+}
+
 async function pingServer() {
   const badge = document.getElementById('serverStatus');
   if (!badge) return;
@@ -343,79 +2235,162 @@ async function pingServer() {
     if (!res.ok) throw new Error('bad status');
     badge.textContent = 'Server: online';
     badge.style.color = '#7ee787';
+    serverOnline = true;
   } catch (e) {
+    serverOnline = false;
     badge.textContent = 'Server: offline (local mode)';
     badge.style.color = '#ff7b72';
   }
 }
 
-async function exportReportWithBackend() {
-  const slider = document.getElementById('levelSlider');
-  const level = Number(slider.value);
-  const m = getMitigationState();
-  try {
-    const url = new URL(`${backendBase}/api/report.pdf`);
-    url.searchParams.set('level', String(level));
-    url.searchParams.set('gr', m.greenRoofs ? '1' : '0');
-    url.searchParams.set('pp', m.permeable ? '1' : '0');
-    url.searchParams.set('tb', m.barriers ? '1' : '0');
-    if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
-    const a = document.createElement('a');
-    a.href = url.toString();
-    a.target = '_blank';
-    a.click();
-  } catch (e) {
-    exportReport();
-  }
-}
+// The server streams one frame per level. On a dropped connection the
+// browser retries by itself (sending Last-Event-ID); when it gives up, the
+// stream is reopened here with backoff, resuming after the last frame seen.
+const LIVE_RETRY_BASE_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+const LIVE_MAX_RETRIES = 6;
 
-function toggleLiveStream() {
+const LIVE_STATES = {
+  connecting: 'Connecting…',
+  live: 'Live',
+  reconnecting: 'Reconnecting…',
+  done: 'Stream finished',
+  stopped: 'Stream stopped',
+  failed: 'Stream lost'
+};
+
+function setLiveStatus(state, detail = '') {
+  const status = document.getElementById('liveStatus');
   const btn = document.getElementById('btnLive');
-  if (sseSource) {
-    sseSource.close();
-    sseSource = null;
-    if (btn) btn.textContent = 'Live stream';
-    return;
-  }
-  const slider = document.getElementById('levelSlider');
-  const m = getMitigationState();
+  const running = ['connecting', 'live', 'reconnecting'].includes(state);
+  if (btn) btn.textContent = running ? 'Stop stream' : 'Live stream';
+  if (!status) return;
+  const errors = live?.parseErrors ? ` · ${live.parseErrors} unreadable frame${live.parseErrors === 1 ? '' : 's'}` : '';
+  status.dataset.state = state;
+  status.textContent = `${LIVE_STATES[state]}${detail ? ` · ${detail}` : ''}${errors}`;
+}
+
+// Per-building results only match when the server loads the same data
+function liveStreamURL(lastId) {
   const url = new URL(`${backendBase}/api/simulate/stream`);
-  url.searchParams.set('start', slider.value);
+  url.searchParams.set('start', document.getElementById('levelSlider').value);
   url.searchParams.set('end', '300');
   url.searchParams.set('step', '3');
-  url.searchParams.set('gr', m.greenRoofs ? '1' : '0');
-  url.searchParams.set('pp', m.permeable ? '1' : '0');
-  url.searchParams.set('tb', m.barriers ? '1' : '0');
+  setMeasureParams(url.searchParams);
+  url.searchParams.set('seed', String(seed));
+  setCurveParams(url.searchParams);
+  if (datasetOnBackend()) {
+    setDatasetParams(url.searchParams);
+    url.searchParams.set('detail', 'full');
+  }
+  if (lastId !== null) url.searchParams.set('lastEventId', lastId);
   if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+  return url.toString();
+}
+
+function toggleLiveStream() {
+  if (live) {
+    stopLiveStream('stopped');
+    return;
+  }
+  live = { source: null, lastId: null, retries: 0, timer: null, parseErrors: 0, frames: 0 };
+  openLiveStream();
+}
+
+function openLiveStream() {
+  live.timer = null;
   try {
-    sseSource = new EventSource(url.toString());
+    live.source = new EventSource(liveStreamURL(live.lastId));
   } catch (e) {
-    alert('Live stream not supported in this context.');
+    live = null;
+    setLiveStatus('failed', 'not supported in this context');
     return;
   }
-  if (btn) btn.textContent = 'Stop stream';
-  sseSource.addEventListener('progress', (ev) => {
+  setLiveStatus(live.retries ? 'reconnecting' : 'connecting', live.retries ? `attempt ${live.retries}` : '');
+  const source = live.source;
+  source.onopen = () => {
+    live.retries = 0;
+    setLiveStatus('live', live.lastId === null ? '' : `${live.lastId} cm`);
+  };
+  source.addEventListener('progress', (ev) => {
+    let frame;
     try {
-      const payload = JSON.parse(ev.data);
-      const level = Number(payload.level);
-      document.getElementById('levelSlider').value = String(level);
-      document.getElementById('levelValue').textContent = String(level);
-      renderAll();
-    } catch {}
-  });
-  sseSource.addEventListener('done', () => {
-    if (btn) btn.textContent = 'Live stream';
-    sseSource?.close();
-    sseSource = null;
+      frame = JSON.parse(ev.data);
+      if (!Number.isFinite(Number(frame?.level))) throw new Error('frame has no level');
+    } catch {
+      live.parseErrors += 1;
+      setLiveStatus('live', live.lastId === null ? '' : `${live.lastId} cm`);
+      return;
+    }
+    live.lastId = ev.lastEventId || String(frame.level);
+    live.frames += 1;
+    applyLiveFrame(frame);
+    setLiveStatus('live', `${frame.level} cm`);
   });
-  sseSource.onerror = () => {
-    if (btn) btn.textContent = 'Live stream';
-    sseSource?.close();
-    sseSource = null;
+  source.addEventListener('done', () => stopLiveStream('done', `${live.frames} frames`));
+  source.onerror = () => {
+    // CONNECTING: the browser is already retrying with Last-Event-ID
+    if (source.readyState === EventSource.CONNECTING) {
+      setLiveStatus('reconnecting');
+      return;
+    }
+    source.close();
+    live.retries += 1;
+    if (live.retries > LIVE_MAX_RETRIES) {
+      stopLiveStream('failed', `gave up after ${LIVE_MAX_RETRIES} attempts`);
+      return;
+    }
+    const delay = Math.min(LIVE_RETRY_MAX_MS, LIVE_RETRY_BASE_MS * 2 ** (live.retries - 1));
+    setLiveStatus('reconnecting', `retry in ${Math.round(delay / 1000)} s`);
+    live.timer = setTimeout(openLiveStream, delay);
   };
 }
 
+function stopLiveStream(state, detail) {
+  if (!live) return;
+  live.source?.close();
+  clearTimeout(live.timer);
+  const streamed = live.frames > 0;
+  setLiveStatus(state, detail);
+  live = null;
+  // Frames skip the contours, profile and comparison; catch them up
+  if (streamed) renderAll();
+}
+
+// Full frames carry the server's extent and building results, drawn as they
+// are; summary frames only move the level and the local model runs as usual
+function applyLiveFrame(frame) {
+  const level = Number(frame.level);
+  document.getElementById('levelSlider').value = String(level);
+  document.getElementById('levelValue').textContent = String(level);
+  const results = frame.buildings;
+  if (!frame.extent || results?.depth?.length !== buildings.length) {
+    renderAll();
+    return;
+  }
+  floodLayer.clearLayers();
+  floodLayer.addData(frame.extent);
+  applyEvaluation(++evaluationJob, {
+    levelCm: level,
+    totalDamage: frame.totalDamage,
+    affectedCount: frame.affectedCount,
+    criticalCount: frame.criticalCount,
+    exposedPeople: frame.exposedPeople,
+    exposedVulnerable: frame.exposedVulnerable,
+    damageByClass: frame.damageByClass,
+    depth: Float32Array.from(results.depth),
+    damage: Float64Array.from(results.damage),
+    affected: Uint8Array.from(results.affected)
+  });
+  syncURL();
+}
+
 function animateScenario() {
+  // A loaded hydrograph plays on the timeline instead of the level sweep
+  if (timeline) {
+    toggleTimelinePlayback();
+    return;
+  }
   if (animationHandle) {
     cancelAnimationFrame(animationHandle);
     animationHandle = null;
@@ -440,40 +2415,151 @@ function renderAll() {
   const m = getMitigationState();
   document.getElementById('levelValue').textContent = String(level);
   renderFlood(level, m);
-  const total = renderBuildings(level, m);
-  updateChart(total);
-  syncURL(level);
+  renderContours();
+  renderHazard();
+  renderValidation();
+  renderProfile();
+  renderBuildings(level, m);
+  renderAssets();
+  scheduleUncertainty();
+  renderComparison();
+  refreshTimelineSummary();
+  syncURL();
 }
 
 function attachUI() {
   const slider = document.getElementById('levelSlider');
   const select = document.getElementById('scenarioSelect');
-  document.getElementById('mitGreenRoofs').addEventListener('change', renderAll);
-  document.getElementById('mitPermeable').addEventListener('change', renderAll);
-  document.getElementById('mitBarriers').addEventListener('change', renderAll);
+  renderMeasureList({}, {});
+  renderRoiTable();
+  document.getElementById('btnAddMeasure').addEventListener('click', addCustomMeasure);
+  for (const button of document.querySelectorAll('[data-draw]')) {
+    button.addEventListener('click', () => startDrawnMeasure(button.dataset.draw));
+  }
   slider.addEventListener('input', renderAll);
   select.addEventListener('change', () => {
-    const map = { '10': 60, '50': 100, '100': 140 };
-    if (select.value in map) {
-      slider.value = String(map[select.value]);
+    showStormEditor(select.value === 'custom');
+    if (timeline?.source === 'storm' && select.value !== 'custom') setTimeline(null);
+    if (select.value in DESIGN_STORMS) {
+      slider.value = String(DESIGN_STORMS[select.value]);
       renderAll();
+    } else if (select.value === 'custom') {
+      if (customStorm) fillStormEditor(customStorm);
+      updateCustomStorm(true);
     }
   });
+  const stormShape = document.getElementById('stormShape');
+  stormShape.innerHTML = Object.entries(HYDROGRAPH_SHAPES).map(([id, shape]) => `<option value="${id}">${shape.label}</option>`).join('');
+  // The return period sets the design rainfall; typing a depth overrides it
+  document.getElementById('stormReturnPeriod').addEventListener('change', () => {
+    const { returnPeriod, durationH } = normalizeStorm(stormFromEditor());
+    document.getElementById('stormRainfall').value = String(Math.round(designRainfall(returnPeriod, durationH)));
+    updateCustomStorm(true);
+  });
+  for (const id of ['stormRainfall', 'stormDuration', 'stormShape']) {
+    document.getElementById(id).addEventListener('change', () => updateCustomStorm(true));
+  }
+  document.getElementById('hydrographFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadHydrograph(e.target.files[0]);
+  });
+  document.getElementById('btnTimelinePlay').addEventListener('click', toggleTimelinePlayback);
+  document.getElementById('timelineScrub').addEventListener('input', (e) => {
+    stopPlayback();
+    seekTimeline(Number(e.target.value));
+  });
   document.getElementById('btnPlay').addEventListener('click', animateScenario);
   const btnLive = document.getElementById('btnLive');
   if (btnLive) btnLive.addEventListener('click', toggleLiveStream);
   document.getElementById('btnReset').addEventListener('click', () => {
     slider.value = '120';
-    document.getElementById('mitGreenRoofs').checked = false;
-    document.getElementById('mitPermeable').checked = false;
-    document.getElementById('mitBarriers').checked = false;
+    renderMeasureList({}, {});
     renderAll();
   });
+  document.getElementById('buildingsFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadData('buildings', e.target.files[0]);
+  });
+  document.getElementById('demFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadData('dem', e.target.files[0]);
+  });
+  document.getElementById('btnSyntheticData').addEventListener('click', useSyntheticData);
+  document.getElementById('assetsFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadAssets(e.target.files[0]);
+  });
+  document.getElementById('btnAssetsFromBuildings').addEventListener('click', useBuildingAssets);
+  document.getElementById('assetLayerToggle').addEventListener('change', () => {
+    renderAssets();
+    syncURL();
+  });
+  document.getElementById('roadsFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadRoads(e.target.files[0]);
+  });
+  document.getElementById('btnSyntheticRoads').addEventListener('click', useSyntheticRoads);
+  document.getElementById('passableDepth').addEventListener('change', () => {
+    renderEvacuation();
+    syncURL();
+  });
+  document.getElementById('routeLayerToggle').addEventListener('change', () => {
+    renderEvacuation();
+    syncURL();
+  });
+  document.getElementById('observedFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadObserved(e.target.files[0]);
+  });
+  document.getElementById('gaugesFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) loadGauges(e.target.files[0]);
+  });
+  document.getElementById('btnCalibrate').addEventListener('click', calibrateLevel);
+  document.getElementById('btnClearObserved').addEventListener('click', clearObserved);
+  document.getElementById('agreementLayerToggle').addEventListener('change', () => {
+    renderValidation();
+    syncURL();
+  });
+  document.getElementById('btnPinA').addEventListener('click', () => pinScenario('A'));
+  document.getElementById('btnPinB').addEventListener('click', () => pinScenario('B'));
+  document.getElementById('pinA').addEventListener('click', () => loadPinned('A'));
+  document.getElementById('pinB').addEventListener('click', () => loadPinned('B'));
+  document.getElementById('btnCompare').addEventListener('click', toggleComparison);
+  document.getElementById('uncertaintyMode').addEventListener('change', renderAll);
+  document.getElementById('uncertaintyRuns').addEventListener('change', renderAll);
+  const curveClass = document.getElementById('curveClass');
+  curveClass.innerHTML = OCCUPANCY_CLASSES.map((c) => `<option value="${c.id}">${c.id[0].toUpperCase()}${c.id.slice(1)}</option>`).join('');
+  curveClass.addEventListener('change', renderCurveEditor);
+  document.getElementById('btnCurveAddPoint').addEventListener('click', addCurvePoint);
+  document.getElementById('btnCurveReset').addEventListener('click', resetDamageCurve);
   document.getElementById('btnShare').addEventListener('click', shareLink);
-  document.getElementById('btnExport').addEventListener('click', exportReportWithBackend);
+  document.getElementById('btnExport').addEventListener('click', openReport);
+  document.getElementById('btnExportGis').addEventListener('click', exportGIS);
+  document.getElementById('btnLibrarySave').addEventListener('click', () => saveLibraryEntry(false));
+  document.getElementById('btnLibraryUpdate').addEventListener('click', () => saveLibraryEntry(true));
+  document.getElementById('librarySearch').addEventListener('input', renderLibrary);
+  document.getElementById('btnLibraryExport').addEventListener('click', exportLibrary);
+  document.getElementById('libraryFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) importLibrary(e.target.files[0]);
+    e.target.value = '';
+  });
   document.getElementById('btnContours').addEventListener('click', toggleContours);
+  document.getElementById('contourInterval').addEventListener('change', () => {
+    renderContours();
+    syncURL();
+  });
+  document.getElementById('contourSmooth').addEventListener('change', () => {
+    renderContours();
+    syncURL();
+  });
+  document.getElementById('btnContourExport').addEventListener('click', exportContours);
+  document.getElementById('btnHazard').addEventListener('click', toggleHazard);
   document.getElementById('btnMeasure').addEventListener('click', toggleMeasureTool);
-  document.getElementById('btnProfile').addEventListener('click', showDepthProfile);
+  document.getElementById('measureUnits').addEventListener('change', (e) => setMeasureUnits(e.target.value));
+  document.getElementById('btnMeasureExport').addEventListener('click', exportMeasurements);
+  document.getElementById('btnMeasureClear').addEventListener('click', clearMeasurements);
+  setMeasureUnits(localStorage.getItem('lyonUnits') === 'imperial' ? 'imperial' : 'metric');
+  loadMeasurements();
+  document.getElementById('btnProfile').addEventListener('click', drawTransect);
+  document.getElementById('profileStep').addEventListener('change', () => {
+    renderProfile();
+    syncURL();
+  });
+  document.getElementById('btnProfileClear').addEventListener('click', () => setTransect(null));
   
   const modal = document.getElementById('imageModal');
   const closeModal = document.querySelector('.modal-close');
@@ -483,12 +2569,54 @@ function attachUI() {
   });
 }
 
-function initFromURL() {
-  const { level, m } = readURL();
-  document.getElementById('levelSlider').value = String(level);
-  document.getElementById('mitGreenRoofs').checked = m.greenRoofs;
-  document.getElementById('mitPermeable').checked = m.permeable;
-  document.getElementById('mitBarriers').checked = m.barriers;
+// Puts a state (see state.js) into the controls; the caller renders. A legacy
+// query string only replaces the custom measures and curves it names; other
+// states replace them for the session.
+function applyState(state, { legacy = false } = {}) {
+  document.getElementById('levelSlider').value = String(state.level);
+  if (state.seed !== seed) {
+    seed = state.seed;
+    if (!dataset.buildings) buildings = createSyntheticBuildings(seed);
+  }
+  if (!legacy || state.customMeasures.length) setCustomMeasures(state.customMeasures);
+  if (!legacy || Object.keys(state.curves).length) {
+    damageCurves = damageCurvesFrom(state.curves);
+    roiRequestKey = null;
+    renderCurveEditor();
+  }
+  const mitigation = Object.fromEntries(measureRegistry.map((m) => [m.id, state.mitigation[m.id] || 0]));
+  renderMeasureList(mitigation, state.adoption);
+  setDrawnMeasures(state.drawn);
+  const runsSelect = document.getElementById('uncertaintyRuns');
+  document.getElementById('uncertaintyMode').checked = state.runs > 0;
+  if (state.runs > 0) runsSelect.value = String(state.runs);
+  document.getElementById('scenarioSelect').value = state.storm;
+  showStormEditor(state.storm === 'custom');
+  if (timeline?.source === 'storm' && !state.customStorm) setTimeline(null);
+  if (state.customStorm) {
+    fillStormEditor(state.customStorm);
+    // Keep the saved level, which may be mid-hydrograph
+    updateCustomStorm(false);
+  }
+  if (state.view) map.setView([state.view.lat, state.view.lng], state.view.zoom);
+  if (state.layers.contours) {
+    document.getElementById('contourInterval').value = String(state.layers.contours.interval);
+    document.getElementById('contourSmooth').checked = state.layers.contours.smooth;
+  }
+  setContoursVisible(Boolean(state.layers.contours));
+  setHazardVisible(state.layers.hazard);
+  document.getElementById('assetLayerToggle').checked = state.layers.assets;
+  document.getElementById('routeLayerToggle').checked = state.layers.routes;
+  document.getElementById('agreementLayerToggle').checked = state.layers.agreement;
+  document.getElementById('passableDepth').value = String(state.layers.passableDepth);
+  document.getElementById('profileStep').value = String(state.layers.profileStep);
+  setTransect(state.layers.transect);
+}
+
+async function initFromURL() {
+  const { state, legacy } = await readURL();
+  applyState(state, { legacy });
+  return state;
 }
 
 function generateSyntheticSatellite(lat, lng, width = 300, height = 200) {
@@ -553,6 +2681,16 @@ function generateFloodOverlay(depth, width = 300, height = 200) {
   return canvas;
 }
 
+// Other affected buildings around a point, by ground distance
+function floodedNearby(lat, lng) {
+  let count = 0;
+  buildings.forEach((b, i) => {
+    if (!lastEvaluation?.affected[i] || (b.lat === lat && b.lng === lng)) return;
+    if (geodesicLengthM([[lng, lat], [b.lng, b.lat]]) <= NEARBY_RADIUS_M) count += 1;
+  });
+  return count;
+}
+
 async function showImageModal(lat, lng, depth, damage, isCritical) {
   const modal = document.getElementById('imageModal');
   const beforeCanvas = document.getElementById('beforeCanvas');
@@ -561,20 +2699,30 @@ async function showImageModal(lat, lng, depth, damage, isCritical) {
   document.getElementById('modalTitle').textContent = isCritical ? 'Critical Infrastructure Analysis' : 'Flood Impact Analysis';
   document.getElementById('modalCoords').textContent = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
   document.getElementById('modalDepth').textContent = `${depth.toFixed(2)} m`;
-  document.getElementById('modalVelocity').textContent = `${(depth * 0.8).toFixed(1)} m/s`;
-  
-  const nearbyBuildings = buildings.filter(b => 
-    Math.hypot(b.lat - lat, b.lng - lng) < 0.01
-  ).length;
-  document.getElementById('modalBuildings').textContent = nearbyBuildings.toString();
+  const level = Number(document.getElementById('levelSlider').value);
+  const flow = flowAtPoint(getDepthGrid(level, mitigationReduction(getMitigationState()), modelTerrain()), lat, lng);
+  document.getElementById('modalVelocity').textContent = `${flow.velocity.toFixed(2)} m/s`;
+  const hazard = document.getElementById('modalHazard');
+  hazard.textContent = flow.hazard ? `${flow.rating.toFixed(2)} · ${flow.hazard.label}` : 'Dry';
+  hazard.style.color = flow.hazard ? flow.hazard.color : '';
+  document.getElementById('modalBuildingsLabel').textContent = `Flooded within ${NEARBY_RADIUS_M} m:`;
+  document.getElementById('modalBuildings').textContent = String(floodedNearby(lat, lng));
   
   modal.style.display = 'block';
   
   try {
-    const response = await fetch(`${pythonServiceBase}/api/generate-analysis`, {
+    // The service models the same scenario (see server/analysis-service.js)
+    if (!datasetOnBackend()) throw new Error('dataset only loaded in the browser');
+    const url = new URL(`${pythonServiceBase}/api/generate-analysis`);
+    setMeasureParams(url.searchParams);
+    url.searchParams.set('seed', String(seed));
+    setDatasetParams(url.searchParams);
+    setCurveParams(url.searchParams);
+    if (apiKeyParam) url.searchParams.set('apiKey', apiKeyParam);
+    const response = await fetch(url.toString(), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ lat, lng, depth })
+      body: JSON.stringify({ lat, lng, depth, level })
     });
     
     if (response.ok) {
@@ -610,113 +2758,847 @@ async function showImageModal(lat, lng, depth, damage, isCritical) {
   }
 }
 
-async function toggleContours() {
-  const btn = document.getElementById('btnContours');
-  if (contoursLayer.getLayers().length > 0) {
-    contoursLayer.clearLayers();
-    btn.textContent = 'Depth contours';
+// ---- Depth contours ----
+
+const MAX_CONTOUR_BANDS = 12;
+// Sequential ramp, shallow to deep
+const CONTOUR_COLORS = ['#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'];
+
+let contourBands = null;
+
+// Band lower bounds: the wet edge, then every `interval` m up to the deepest cell
+function contourThresholds(depth, interval) {
+  let max = 0;
+  for (const d of depth) if (d > max) max = d;
+  const step = Math.max(interval, max / MAX_CONTOUR_BANDS);
+  const thresholds = [WET_DEPTH_M];
+  for (let t = step; t < max; t += step) thresholds.push(Math.round(t * 100) / 100);
+  return thresholds;
+}
+
+function contourLabel({ lower, upper }) {
+  const m = (d) => String(Math.round(d * 100) / 100);
+  if (lower === WET_DEPTH_M) return upper === Infinity ? 'any depth' : `< ${m(upper)} m`;
+  return upper === Infinity ? `≥ ${m(lower)} m` : `${m(lower)}–${m(upper)} m`;
+}
+
+function contourColor(i, count) {
+  return CONTOUR_COLORS[Math.round((i / Math.max(count - 1, 1)) * (CONTOUR_COLORS.length - 1))];
+}
+
+// Depth bands at the panel's interval and smoothing
+function contourBandsAt(level, mitigation) {
+  const depthGrid = getDepthGrid(level, mitigationReduction(mitigation), modelTerrain());
+  const interval = Math.max(Number(document.getElementById('contourInterval').value) || 0.5, 0.1);
+  const smooth = document.getElementById('contourSmooth').checked ? 2 : 0;
+  return depthIsobands(depthGrid, contourThresholds(depthGrid.depth, interval), { smooth });
+}
+
+function contourFeatures(bands, levelCm) {
+  return bands.filter((band) => band.polygons.length).map((band) => ({
+    type: 'Feature',
+    properties: { minDepthM: band.lower, maxDepthM: band.upper === Infinity ? null : band.upper, levelCm },
+    geometry: { type: 'MultiPolygon', coordinates: band.polygons }
+  }));
+}
+
+function renderContours() {
+  contoursLayer.clearLayers();
+  if (document.getElementById('contourPanel').hidden) return;
+  const level = Number(document.getElementById('levelSlider').value);
+  const bands = contourBandsAt(level, getMitigationState());
+  contourBands = { levelCm: level, bands };
+  const legend = document.getElementById('contourLegend');
+  legend.replaceChildren();
+  bands.forEach((band, i) => {
+    const color = contourColor(i, bands.length);
+    if (band.polygons.length) {
+      const layer = L.polygon(band.polygons.map((polygon) => polygon.map((ring) => ring.map(([lng, lat]) => [lat, lng]))), {
+        color,
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.45
+      });
+      layer.bindTooltip(`Depth ${contourLabel(band)}`);
+      contoursLayer.addLayer(layer);
+    }
+    const row = document.createElement('div');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = color;
+    row.append(swatch, contourLabel(band));
+    legend.append(row);
+  });
+  if (!bands.some((band) => band.polygons.length)) legend.textContent = 'No flooded cells at this level.';
+}
+
+function contoursGeoJSON() {
+  return { type: 'FeatureCollection', features: contourFeatures(contourBands.bands, contourBands.levelCm) };
+}
+
+function exportContours() {
+  if (!contourBands) return;
+  const blob = new Blob([JSON.stringify(contoursGeoJSON(), null, 2)], { type: 'application/geo+json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `lyon-depth-contours-${contourBands.levelCm}cm.geojson`;
+  a.click();
+}
+
+function setContoursVisible(visible) {
+  document.getElementById('contourPanel').hidden = !visible;
+  document.getElementById('btnContours').textContent = visible ? 'Hide contours' : 'Depth contours';
+  if (!visible) contourBands = null;
+  renderContours();
+}
+
+function toggleContours() {
+  setContoursVisible(document.getElementById('contourPanel').hidden);
+  syncURL();
+}
+
+// ---- Critical infrastructure ----
+
+const ASSET_STATUS = {
+  failed: { label: 'Failed', color: '#ff7b72' },
+  impacted: { label: 'Lost a supply', color: '#ffa657' },
+  wet: { label: 'Wet, still working', color: '#f2cc60' },
+  ok: { label: 'Dry', color: '#7ee787' }
+};
+const ASSET_SYMBOLS = { hospital: 'H', substation: 'E', pumping: 'W', school: 'S' };
+
+// Catalogue loaded from a file; null while it comes from the critical buildings
+let loadedAssets = null;
+let derivedAssets = { for: null, assets: [] };
+
+function criticalAssets() {
+  if (loadedAssets) return loadedAssets;
+  if (derivedAssets.for !== buildings) derivedAssets = { for: buildings, assets: createCriticalAssets(buildings) };
+  return derivedAssets.assets;
+}
+
+function formatPeople(n) {
+  return new Intl.NumberFormat('fr-FR').format(n);
+}
+
+function assetDetail(asset, result, byId) {
+  const type = CRITICAL_ASSET_TYPES[asset.type].label;
+  if (result.status === 'impacted') {
+    const via = byId.get(result.via);
+    const cause = result.cause === result.via ? '' : `, after ${byId.get(result.cause).name} failed`;
+    return `${type} · depends on ${via.name}${cause}`;
+  }
+  if (result.status === 'ok') return `${type} · dry`;
+  return `${type} · ${result.depth.toFixed(2)} m of water, fails above ${asset.failDepthM.toFixed(2)} m`;
+}
+
+function renderAssetLayer(assets, results, byId) {
+  assetLayer.clearLayers();
+  if (!document.getElementById('assetLayerToggle').checked) return;
+  const status = new Map(results.map((r) => [r.id, r.status]));
+  const down = (id) => status.get(id) === 'failed' || status.get(id) === 'impacted';
+  // Dependency links first, from the supplier to the site it serves
+  for (const asset of assets) {
+    for (const id of asset.dependsOn) {
+      const from = byId.get(id);
+      L.polyline([[from.lat, from.lng], [asset.lat, asset.lng]], {
+        color: down(id) ? ASSET_STATUS.impacted.color : '#8b949e',
+        weight: down(id) ? 2 : 1,
+        dashArray: '4, 4',
+        opacity: 0.8,
+        interactive: false
+      }).addTo(assetLayer);
+    }
+  }
+  assets.forEach((asset, i) => {
+    const result = results[i];
+    const icon = L.divIcon({
+      className: 'asset-icon',
+      html: `<span style="background:${ASSET_STATUS[result.status].color}">${ASSET_SYMBOLS[asset.type]}</span>`,
+      iconSize: [18, 18]
+    });
+    L.marker([asset.lat, asset.lng], { icon, keyboard: false })
+      .bindTooltip(`<b>${html(asset.name)}</b><br/>${ASSET_STATUS[result.status].label}<br/>${html(assetDetail(asset, result, byId))}` +
+        `<br/>Serves ${formatPeople(asset.peopleServed)} people`)
+      .addTo(assetLayer);
+  });
+}
+
+function renderAssets() {
+  const assets = criticalAssets();
+  const level = Number(document.getElementById('levelSlider').value);
+  const depthGrid = getDepthGrid(level, mitigationReduction(getMitigationState()), modelTerrain());
+  const evaluation = evaluateCriticalAssets(assets, depthGrid);
+  const byId = new Map(assets.map((a) => [a.id, a]));
+  const summary = document.getElementById('assetSummary');
+  const types = document.getElementById('assetTypes');
+  const list = document.getElementById('assetList');
+  list.replaceChildren();
+  renderAssetLayer(assets, evaluation.results, byId);
+  if (!assets.length) {
+    summary.textContent = 'No critical sites in this dataset.';
+    types.replaceChildren();
     return;
   }
-  
-  btn.textContent = 'Generating...';
-  const slider = document.getElementById('levelSlider');
-  const level = Number(slider.value);
-  
+  summary.textContent = `${evaluation.failedCount} of ${assets.length} sites fail, ${evaluation.impactedCount} more lose a supply. ` +
+    `Sites down serve ${formatPeople(evaluation.peopleAffected)} people.`;
+  types.innerHTML = ['<div>Type</div><div>Sites</div><div>Failed</div><div>Lost supply</div>',
+    ...Object.entries(evaluation.byType).filter(([, t]) => t.total).map(([id, t]) =>
+      `<div>${CRITICAL_ASSET_TYPES[id].label}</div><div>${t.total}</div><div>${t.failed}</div><div>${t.impacted}</div>`)].join('');
+  const order = ['failed', 'impacted', 'wet'];
+  const listed = assets.map((asset, i) => ({ asset, result: evaluation.results[i] }))
+    .filter(({ result }) => order.includes(result.status))
+    .sort((a, b) => order.indexOf(a.result.status) - order.indexOf(b.result.status) || b.asset.peopleServed - a.asset.peopleServed);
+  for (const { asset, result } of listed) {
+    const row = document.createElement('div');
+    row.className = 'asset-row';
+    const name = document.createElement('div');
+    name.className = 'asset-name';
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = ASSET_STATUS[result.status].color;
+    name.append(swatch, asset.name);
+    const detail = document.createElement('div');
+    detail.className = 'library-detail';
+    detail.textContent = `${assetDetail(asset, result, byId)} · serves ${formatPeople(asset.peopleServed)}`;
+    row.append(name, detail);
+    row.addEventListener('click', () => map.panTo([asset.lat, asset.lng]));
+    list.append(row);
+  }
+  if (!listed.length) list.textContent = 'Every site is dry at this level.';
+}
+
+function setAssetStatus(text) {
+  document.getElementById('assetStatus').textContent = text;
+}
+
+async function loadAssets(source) {
+  const info = sourceInfo(source);
   try {
-    const response = await fetch(`${pythonServiceBase}/api/depth-contours`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        level,
-        bounds: [[45.75, 4.82], [45.78, 4.86]]
-      })
+    loadedAssets = criticalAssetsFrom(FloodIO.criticalAssetsFromGeoJSON(JSON.parse(await readSource(source, 'text'))));
+  } catch (e) {
+    setAssetStatus(`Could not load ${info.name}: ${e.message}`);
+    return;
+  }
+  dataset.assets = info;
+  const links = loadedAssets.reduce((sum, a) => sum + a.dependsOn.length, 0);
+  setAssetStatus(`${loadedAssets.length} sites and ${links} ${links === 1 ? 'dependency' : 'dependencies'} from ${info.name}`);
+  renderAssets();
+  syncURL();
+}
+
+function useBuildingAssets() {
+  loadedAssets = null;
+  dataset.assets = null;
+  document.getElementById('assetsFile').value = '';
+  setAssetStatus('');
+  renderAssets();
+  syncURL();
+}
+
+// ---- Evacuation ----
+
+const SHELTER_LOAD_COLORS = { closed: '#8b949e', spare: '#7ee787', full: '#f2cc60', over: '#ff7b72' };
+const MAX_STRANDED_ROWS = 200;
+
+// Network loaded from a file; null while the street grid stands in
+let loadedRoads = null;
+let syntheticRoads = { for: null, network: null };
+
+function roadNetwork() {
+  if (loadedRoads) return loadedRoads;
+  if (syntheticRoads.for !== terrain) syntheticRoads = { for: terrain, network: createSyntheticNetwork(terrain) };
+  return syntheticRoads.network;
+}
+
+function passableDepth() {
+  const d = Number(document.getElementById('passableDepth').value);
+  return Number.isFinite(d) && d > 0 ? d : PASSABLE_DEPTH_M;
+}
+
+function shelterLoad(shelter) {
+  if (shelter.closed) return 'closed';
+  return shelter.people > shelter.capacity ? 'over' : shelter.people > 0.8 * shelter.capacity ? 'full' : 'spare';
+}
+
+function shelterDetail(shelter) {
+  if (shelter.closed) return `Closed: ${shelter.closed}`;
+  return `${formatPeople(shelter.people)} of ${formatPeople(shelter.capacity)} places, ${formatPeople(shelter.vulnerable)} vulnerable`;
+}
+
+function renderRouteLayer(plan) {
+  routeLayer.clearLayers();
+  if (!document.getElementById('routeLayerToggle').checked) return;
+  if (plan.closedRoads.length) {
+    L.polyline(plan.closedRoads.map((segment) => segment.map(([lng, lat]) => [lat, lng])), {
+      color: '#ff7b72',
+      weight: 3,
+      opacity: 0.7,
+      interactive: false
+    }).addTo(routeLayer);
+  }
+  for (const route of plan.routes) {
+    const shelter = plan.shelters[route.shelter];
+    L.polyline(route.path.map(([lng, lat]) => [lat, lng]), { color: '#58a6ff', weight: 2, opacity: 0.6 })
+      .bindTooltip(`#${html(buildings[route.building].id)} → ${html(shelter.name)}<br/>` +
+        `${formatPeople(route.people)} people, ${(route.distanceM / 1000).toFixed(1)} km`, { sticky: true })
+      .addTo(routeLayer);
+  }
+  for (const { building, people, reason } of plan.stranded) {
+    const b = buildings[building];
+    L.circleMarker([b.lat, b.lng], { radius: 6, color: '#ff7b72', weight: 2, fill: false })
+      .bindTooltip(`#${html(b.id)}: no safe route (${reason})<br/>${formatPeople(people)} people`)
+      .addTo(routeLayer);
+  }
+  for (const shelter of plan.shelters) {
+    L.circleMarker([shelter.lat, shelter.lng], {
+      radius: 8,
+      color: '#0b1020',
+      weight: 2,
+      fillColor: SHELTER_LOAD_COLORS[shelterLoad(shelter)],
+      fillOpacity: 0.95
+    })
+      .bindTooltip(`<b>${html(shelter.name)}</b><br/>${html(shelterDetail(shelter))}`)
+      .addTo(routeLayer);
+  }
+}
+
+// Routing every affected building is too slow to redo on each slider step
+function scheduleEvacuation() {
+  clearTimeout(evacuationTimer);
+  evacuationTimer = setTimeout(renderEvacuation, EVACUATION_DELAY_MS);
+}
+
+function renderEvacuation() {
+  clearTimeout(evacuationTimer);
+  if (lastEvaluation?.affected.length !== buildings.length) return;
+  const network = roadNetwork();
+  const level = Number(document.getElementById('levelSlider').value);
+  const depthGrid = getDepthGrid(level, mitigationReduction(getMitigationState()), modelTerrain());
+  const plan = evacuationPlan(buildings, lastEvaluation.affected, network, depthGrid, { passableDepthM: passableDepth() });
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+  const routed = sum(plan.routes, 'people');
+  const stranded = sum(plan.stranded, 'people');
+  renderRouteLayer(plan);
+  document.getElementById('kpiStranded').textContent = formatPeople(stranded);
+
+  const open = plan.shelters.filter((s) => !s.closed).length;
+  const over = plan.shelters.filter((s) => shelterLoad(s) === 'over').length;
+  document.getElementById('evacuationSummary').textContent = (routed + stranded
+    ? `${formatPeople(routed)} people routed, ${formatPeople(stranded)} in ${plan.stranded.length} buildings without a safe route. `
+    : 'No one to evacuate at this level. ') +
+    `${open} of ${plan.shelters.length} shelters open${over ? `, ${over} over capacity` : ''}; ` +
+    `${plan.closedRoads.length} road ${plan.closedRoads.length === 1 ? 'segment' : 'segments'} deeper than ${passableDepth().toFixed(2)} m.`;
+  document.getElementById('shelterLoad').innerHTML = ['<div>Shelter</div><div>Places</div><div>Assigned</div><div>Load</div>',
+    ...plan.shelters.map((s) => `<div>${html(s.name)}</div><div>${formatPeople(s.capacity)}</div>` +
+      (s.closed
+        ? `<div class="worse">${s.closed}</div><div></div>`
+        : `<div>${formatPeople(s.people)}</div><div class="${s.people > s.capacity ? 'worse' : ''}">${Math.round((s.people / s.capacity) * 100)} %</div>`))].join('');
+
+  const list = document.getElementById('strandedList');
+  list.replaceChildren();
+  const rows = [...plan.stranded].sort((a, b) => b.vulnerable - a.vulnerable || b.people - a.people);
+  for (const { building, people, vulnerable, reason } of rows.slice(0, MAX_STRANDED_ROWS)) {
+    const b = buildings[building];
+    const row = document.createElement('div');
+    row.className = 'asset-row';
+    const name = document.createElement('div');
+    name.className = 'asset-name';
+    name.textContent = `#${b.id} · ${formatPeople(people)} people, ${formatPeople(vulnerable)} vulnerable`;
+    const detail = document.createElement('div');
+    detail.className = 'library-detail';
+    detail.textContent = `${b.use || b.occupancy} · ${lastEvaluation.depth[building].toFixed(2)} m · ${reason}`;
+    row.append(name, detail);
+    row.addEventListener('click', () => map.panTo([b.lat, b.lng]));
+    list.append(row);
+  }
+  if (rows.length > MAX_STRANDED_ROWS) list.append(`… and ${rows.length - MAX_STRANDED_ROWS} more buildings`);
+}
+
+function setRoadsStatus(text) {
+  document.getElementById('roadsStatus').textContent = text;
+}
+
+async function loadRoads(source) {
+  const info = sourceInfo(source);
+  try {
+    loadedRoads = roadNetworkFrom(FloodIO.roadNetworkFromGeoJSON(JSON.parse(await readSource(source, 'text'))));
+  } catch (e) {
+    setRoadsStatus(`Could not load ${info.name}: ${e.message}`);
+    return;
+  }
+  dataset.roads = info;
+  setRoadsStatus(`${loadedRoads.roads.length} roads and ${loadedRoads.shelters.length} ${loadedRoads.shelters.length === 1 ? 'shelter' : 'shelters'} from ${info.name}`);
+  renderEvacuation();
+  syncURL();
+}
+
+function useSyntheticRoads() {
+  loadedRoads = null;
+  dataset.roads = null;
+  document.getElementById('roadsFile').value = '';
+  setRoadsStatus('');
+  renderEvacuation();
+  syncURL();
+}
+
+// ---- Model validation ----
+
+// Observed event the model is checked against: an outline and/or gauges
+const observed = { extent: null, gauges: [] };
+
+function hasObserved() {
+  return Boolean(observed.extent || observed.gauges.length);
+}
+
+function formatRatio(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : '—';
+}
+
+function formatMetres(value, signed = false) {
+  if (!Number.isFinite(value)) return '—';
+  return `${signed && value > 0 ? '+' : ''}${value.toFixed(2)} m`;
+}
+
+function cellsKm2(cells, extent) {
+  return `${((cells * extent.cellAreaM2) / 1e6).toFixed(2)} km²`;
+}
+
+function renderAgreementLayer(fit) {
+  agreementLayer.clearLayers();
+  if (!document.getElementById('agreementLayerToggle').checked) return;
+  if (fit.extent) {
+    for (const { agreement, polygons } of agreementZones(fit.depthGrid, fit.extent)) {
+      if (!polygons.length) continue;
+      L.polygon(polygons.map((polygon) => polygon.map((ring) => ring.map(([lng, lat]) => [lat, lng]))), {
+        color: agreement.color,
+        weight: 1,
+        fillColor: agreement.color,
+        fillOpacity: 0.45
+      }).bindTooltip(agreement.label).addTo(agreementLayer);
+    }
+  }
+  observed.gauges.forEach((gauge, i) => {
+    const result = fit.gauges.results[i];
+    const text = result.residualM === null
+      ? 'Outside the terrain grid'
+      : `Observed ${formatMetres(result.observedM)}, modelled ${formatMetres(result.modelledM)} (${formatMetres(result.residualM, true)})`;
+    L.circleMarker([gauge.lat, gauge.lng], { radius: 6, color: '#0b1020', weight: 2, fillColor: '#d2a8ff', fillOpacity: 0.95 })
+      .bindTooltip(`<b>${html(gauge.name)}</b><br/>${text}`)
+      .addTo(agreementLayer);
+  });
+}
+
+// Fit statistics and agreement at the current level
+function renderValidation() {
+  const stats = document.getElementById('validationStats');
+  const gaugeTable = document.getElementById('gaugeTable');
+  const legend = document.getElementById('agreementLegend');
+  if (!hasObserved()) {
+    agreementLayer.clearLayers();
+    stats.replaceChildren();
+    gaugeTable.replaceChildren();
+    legend.replaceChildren();
+    return;
+  }
+  const level = Number(document.getElementById('levelSlider').value);
+  const fit = observedFit(level, getMitigationState(), modelContext(), observed);
+  renderAgreementLayer(fit);
+
+  const cells = [];
+  const { extent, gauges } = fit;
+  if (extent) {
+    cells.push(['CSI', formatRatio(extent.csi)], ['Hit rate', formatRatio(extent.hitRate)],
+      ['False alarm ratio', formatRatio(extent.falseAlarmRatio)], ['Compared', cellsKm2(extent.hits + extent.misses + extent.falseAlarms + extent.correctNegatives, extent)]);
+  }
+  if (gauges) cells.push(['Level RMSE', formatMetres(gauges.rmse)], ['Bias', formatMetres(gauges.bias, true)]);
+  stats.innerHTML = cells.map(([label, value]) => `<div>${label}</div><div>${value}</div>`).join('');
+
+  gaugeTable.innerHTML = gauges
+    ? ['<div>Gauge</div><div>Observed</div><div>Modelled</div><div>Error</div>',
+      ...observed.gauges.map((gauge, i) => {
+        const r = gauges.results[i];
+        return `<div>${html(gauge.name)}</div>` + (r.residualM === null
+          ? '<div>off the grid</div><div></div><div></div>'
+          : `<div>${formatMetres(r.observedM)}</div><div>${formatMetres(r.modelledM)}</div>` +
+            `<div class="${Math.abs(r.residualM) > 0.25 ? 'worse' : ''}">${formatMetres(r.residualM, true)}</div>`);
+      })].join('')
+    : '';
+
+  legend.replaceChildren();
+  if (extent) {
+    const counts = [extent.hits, extent.misses, extent.falseAlarms];
+    AGREEMENT_CLASSES.forEach((agreement, k) => {
+      const row = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = agreement.color;
+      row.append(swatch, `${agreement.label} (${cellsKm2(counts[k], extent)})`);
+      legend.append(row);
     });
-    
-    if (response.ok) {
-      const data = await response.json();
-      const colors = ['#58a6ff', '#f2cc60', '#ff7b72', '#7ee787'];
-      
-      data.contours.forEach((contour, i) => {
-        if (contour.coordinates.length > 3) {
-          const polygon = L.polygon(contour.coordinates, {
-            color: colors[Math.floor(contour.level * 2) % colors.length],
-            weight: 2,
-            fillOpacity: 0.1,
-            dashArray: '5, 5'
-          });
-          polygon.bindTooltip(`${contour.level}m depth contour`);
-          contoursLayer.addLayer(polygon);
-        }
-      });
-      btn.textContent = 'Hide contours';
-    } else {
-      throw new Error('Service unavailable');
+  }
+}
+
+function setValidationStatus(text) {
+  document.getElementById('validationStatus').textContent = text;
+}
+
+function calibrateLevel() {
+  if (!hasObserved()) {
+    setValidationStatus('Load an observed outline or gauge readings first.');
+    return;
+  }
+  startModelJob('calibration', { observed, mitigation: getMitigationState(), measures: measureRegistry, drawn: drawnMeasures, options: {} }, {
+    onProgress: (done, runs) => setValidationStatus(runs ? `Calibrating: ${done}/${runs} levels…` : 'Calibrating…'),
+    onResult: ({ best }) => {
+      document.getElementById('levelSlider').value = String(best.level);
+      renderAll();
+      const fit = [
+        Number.isFinite(best.csi) && `CSI ${formatRatio(best.csi)}`,
+        Number.isFinite(best.rmse) && `level RMSE ${formatMetres(best.rmse)}`
+      ].filter(Boolean).join(', ');
+      setValidationStatus(`Best match at ${best.level} cm above bankfull${fit ? ` (${fit})` : ''}`);
     }
-  } catch (error) {
-    const levels = [0.5, 1.0, 1.5, 2.0];
-    const colors = ['#58a6ff', '#f2cc60', '#ff7b72', '#7ee787'];
-    
-    levels.forEach((level, i) => {
-      const contour = L.polygon([
-        [[45.75, 4.82], [45.75, 4.86], [45.78, 4.86], [45.78, 4.82]]
-      ], {
-        color: colors[i],
-        weight: 2,
-        fillOpacity: 0.1,
-        dashArray: '5, 5'
+  });
+}
+
+async function loadObserved(source) {
+  const info = sourceInfo(source);
+  try {
+    observed.extent = FloodIO.observedExtentFromGeoJSON(JSON.parse(await readSource(source, 'text')));
+  } catch (e) {
+    setValidationStatus(`Could not load ${info.name}: ${e.message}`);
+    return;
+  }
+  dataset.observed = info;
+  setValidationStatus(`${observed.extent.length} observed ${observed.extent.length === 1 ? 'polygon' : 'polygons'} from ${info.name}`);
+  renderValidation();
+  syncURL();
+}
+
+async function loadGauges(source) {
+  const info = sourceInfo(source);
+  try {
+    observed.gauges = FloodIO.parseGaugeCSV(await readSource(source, 'text'));
+  } catch (e) {
+    setValidationStatus(`Could not load ${info.name}: ${e.message}`);
+    return;
+  }
+  dataset.gauges = info;
+  setValidationStatus(`${observed.gauges.length} ${observed.gauges.length === 1 ? 'gauge' : 'gauges'} from ${info.name}`);
+  renderValidation();
+  syncURL();
+}
+
+function clearObserved() {
+  cancelModelJob('calibration');
+  observed.extent = null;
+  observed.gauges = [];
+  dataset.observed = null;
+  dataset.gauges = null;
+  document.getElementById('observedFile').value = '';
+  document.getElementById('gaugesFile').value = '';
+  setValidationStatus('');
+  renderValidation();
+  syncURL();
+}
+
+// ---- Hazard classes ----
+
+// Depth × velocity hazard rating (see HAZARD_CLASSES in model.js)
+function renderHazard() {
+  hazardLayer.clearLayers();
+  if (document.getElementById('hazardPanel').hidden) return;
+  const level = Number(document.getElementById('levelSlider').value);
+  const zones = hazardZones(getDepthGrid(level, mitigationReduction(getMitigationState()), modelTerrain()));
+  const legend = document.getElementById('hazardLegend');
+  legend.replaceChildren();
+  for (const { hazard, polygons } of zones) {
+    if (polygons.length) {
+      const layer = L.polygon(polygons.map((polygon) => polygon.map((ring) => ring.map(([lng, lat]) => [lat, lng]))), {
+        color: hazard.color,
+        weight: 1,
+        fillColor: hazard.color,
+        fillOpacity: 0.45
       });
-      contour.bindTooltip(`${level}m depth contour`);
-      contoursLayer.addLayer(contour);
-    });
-    btn.textContent = 'Hide contours';
+      layer.bindTooltip(`Hazard: ${hazard.label}`);
+      hazardLayer.addLayer(layer);
+    }
+    const row = document.createElement('div');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = hazard.color;
+    const bound = hazard.max === Infinity ? `HR ≥ ${zones[zones.length - 2].hazard.max}` : `HR < ${hazard.max}`;
+    row.append(swatch, `${hazard.label} (${bound})`);
+    legend.append(row);
+  }
+  if (!zones.some((zone) => zone.polygons.length)) legend.textContent = 'No flooded cells at this level.';
+}
+
+function setHazardVisible(visible) {
+  document.getElementById('hazardPanel').hidden = !visible;
+  document.getElementById('btnHazard').textContent = visible ? 'Hide hazard' : 'Hazard classes';
+  renderHazard();
+}
+
+function toggleHazard() {
+  setHazardVisible(document.getElementById('hazardPanel').hidden);
+  syncURL();
+}
+
+// ---- Measure tool ----
+
+function measureUnits() {
+  return document.getElementById('measureUnits').value;
+}
+
+function formatLength(m) {
+  if (measureUnits() === 'imperial') {
+    const ft = m / 0.3048;
+    return ft >= 5280 ? `${(ft / 5280).toFixed(2)} mi` : `${Math.round(ft)} ft`;
+  }
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${Math.round(m)} m`;
+}
+
+function formatArea(m2) {
+  if (measureUnits() === 'imperial') {
+    const acres = m2 / 4046.8564224;
+    if (acres >= 640) return `${(acres / 640).toFixed(2)} mi²`;
+    return acres >= 1 ? `${acres.toFixed(2)} ac` : `${Math.round(m2 / 0.09290304)} ft²`;
+  }
+  if (m2 >= 1e6) return `${(m2 / 1e6).toFixed(2)} km²`;
+  return m2 >= 1e4 ? `${(m2 / 1e4).toFixed(2)} ha` : `${Math.round(m2)} m²`;
+}
+
+// Polylines measure length; polygons area and perimeter
+function measurementOf(layer) {
+  if (layer instanceof L.Polygon) {
+    const ring = layer.getLatLngs()[0].map((p) => [p.lng, p.lat]);
+    return { kind: 'area', areaM2: geodesicAreaM2(ring), perimeterM: geodesicLengthM([...ring, ring[0]]) };
+  }
+  return { kind: 'length', lengthM: geodesicLengthM(layer.getLatLngs().map((p) => [p.lng, p.lat])) };
+}
+
+function measurementText(m) {
+  return m.kind === 'area' ? `${formatArea(m.areaM2)} · ${formatLength(m.perimeterM)} around` : formatLength(m.lengthM);
+}
+
+function labelMeasurement(layer) {
+  const text = measurementText(measurementOf(layer));
+  if (layer.getTooltip()) layer.setTooltipContent(text);
+  else layer.bindTooltip(text, { permanent: true, direction: 'center', className: 'measure-label' });
+}
+
+function addMeasurement(layer) {
+  layer.setStyle(MEASURE_STYLE);
+  measureLayer.addLayer(layer);
+  labelMeasurement(layer);
+  saveMeasurements();
+}
+
+// Running total at the last vertex while a measurement is being drawn
+function showLiveMeasurement(e) {
+  if (!measureDrawKind) return;
+  const points = e.layers.getLayers().map((marker) => marker.getLatLng());
+  if (!points.length) return;
+  const coords = points.map((p) => [p.lng, p.lat]);
+  const text = measureDrawKind === 'polygon'
+    ? (coords.length >= 3 ? formatArea(geodesicAreaM2(coords)) : formatLength(geodesicLengthM(coords)))
+    : formatLength(geodesicLengthM(coords));
+  if (!measureLiveLabel) {
+    measureLiveLabel = L.tooltip({ permanent: true, direction: 'right', offset: [10, 0], className: 'measure-label' });
+  }
+  measureLiveLabel.setLatLng(points[points.length - 1]).setContent(text);
+  if (!map.hasLayer(measureLiveLabel)) measureLiveLabel.addTo(map);
+}
+
+function measurementsGeoJSON() {
+  const features = [];
+  measureLayer.eachLayer((layer) => {
+    const m = measurementOf(layer);
+    const feature = layer.toGeoJSON(6);
+    feature.properties = { ...m, label: measurementText(m) };
+    features.push(feature);
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function saveMeasurements() {
+  localStorage.setItem('lyonMeasurements', JSON.stringify(measurementsGeoJSON()));
+  renderMeasureSummary();
+}
+
+function loadMeasurements() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem('lyonMeasurements') || 'null');
+  } catch {
+    return;
   }
+  L.geoJSON(saved, { style: () => MEASURE_STYLE }).eachLayer((layer) => {
+    measureLayer.addLayer(layer);
+    labelMeasurement(layer);
+  });
+  renderMeasureSummary();
+}
+
+function renderMeasureSummary() {
+  const count = measureLayer.getLayers().length;
+  document.getElementById('measureSummary').textContent = count
+    ? `${count} measurement${count > 1 ? 's' : ''} — edit or delete them with the map toolbar`
+    : 'Draw a line for a distance or a polygon for an area.';
+}
+
+function setMeasureUnits(units) {
+  document.getElementById('measureUnits').value = units;
+  localStorage.setItem('lyonUnits', units);
+  const metric = units === 'metric';
+  drawControl.setDrawingOptions({ polyline: { metric, feet: !metric }, polygon: { metric, feet: !metric } });
+  measureLayer.eachLayer(labelMeasurement);
+}
+
+function exportMeasurements() {
+  const blob = new Blob([JSON.stringify(measurementsGeoJSON(), null, 2)], { type: 'application/geo+json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'lyon-measurements.geojson';
+  a.click();
+}
+
+function clearMeasurements() {
+  measureLayer.clearLayers();
+  saveMeasurements();
 }
 
 function toggleMeasureTool() {
   const btn = document.getElementById('btnMeasure');
-  if (map.hasLayer(measureLayer)) {
-    map.removeLayer(measureLayer);
-    map.removeControl(drawControl);
-    btn.textContent = 'Measure tool';
-  } else {
-    map.addLayer(measureLayer);
+  const panel = document.getElementById('measurePanel');
+  if (panel.hidden) {
     map.addControl(drawControl);
+    panel.hidden = false;
     btn.textContent = 'Stop measuring';
+  } else {
+    map.removeControl(drawControl);
+    panel.hidden = true;
+    btn.textContent = 'Measure tool';
   }
 }
 
-function showDepthProfile() {
-  const centerline = [[45.75, 4.83], [45.76, 4.84], [45.77, 4.85], [45.78, 4.86]];
-  const slider = document.getElementById('levelSlider');
-  const level = Number(slider.value);
-  const mitigation = getMitigationState();
-  
-  const profileData = centerline.map((point, i) => {
-    const depth = depthAtPoint(point, level, mitigation);
-    return { x: i * 100, y: depth };
+// ---- Depth profile ----
+
+// Draws a new transect; while drawing, the same button cancels
+function drawTransect() {
+  if (drawing?.kind === 'transect') {
+    drawingHandler.disable();
+    return;
+  }
+  startDrawing({ kind: 'transect' }, new L.Draw.Polyline(map, { shapeOptions: { color: '#e6edf3', weight: 2, dashArray: '6, 4' } }));
+}
+
+function renderProfileButton() {
+  const btn = document.getElementById('btnProfile');
+  btn.textContent = drawing?.kind === 'transect' ? 'Cancel' : transect ? 'New transect' : 'Depth profile';
+}
+
+function setTransect(coords) {
+  transect = coords;
+  transectLine?.remove();
+  profileMarker?.remove();
+  transectLine = null;
+  profileMarker = null;
+  document.getElementById('profilePanel').hidden = !transect;
+  if (transect) {
+    transectLine = L.polyline(transect.map(([lng, lat]) => [lat, lng]), { color: '#e6edf3', weight: 2, dashArray: '6, 4', interactive: false }).addTo(map);
+    profileMarker = L.circleMarker(transectLine.getLatLngs()[0], { radius: 6, color: '#e6edf3', fillColor: '#58a6ff', fillOpacity: 1 })
+      .bindTooltip('', { direction: 'top' });
+    if (!profileChart) initProfileChart();
+  }
+  renderProfileButton();
+  renderProfile();
+  syncURL();
+}
+
+function initProfileChart() {
+  const grid = { color: 'rgba(255,255,255,0.06)' };
+  profileChart = new Chart(document.getElementById('profileChart'), {
+    type: 'line',
+    data: {
+      datasets: [
+        { label: 'Ground (m)', data: [], yAxisID: 'y', borderColor: '#a07850', backgroundColor: 'rgba(160,120,80,0.35)', fill: 'start', borderWidth: 1.5, pointRadius: 0 },
+        { label: 'Water surface (m)', data: [], yAxisID: 'y', borderColor: '#58a6ff', backgroundColor: 'rgba(88,166,255,0.35)', fill: '-1', borderWidth: 1.5, pointRadius: 0, spanGaps: false },
+        { label: 'Depth (m)', data: [], yAxisID: 'depth', borderColor: '#f2cc60', borderDash: [4, 3], borderWidth: 1, pointRadius: 0 }
+      ]
+    },
+    options: {
+      animation: false,
+      parsing: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 10, font: { size: 10 } } },
+        tooltip: { callbacks: { title: (items) => items.length ? `${Math.round(items[0].parsed.x)} m` : '' } }
+      },
+      scales: {
+        x: { type: 'linear', min: 0, title: { display: true, text: 'Distance (m)' }, grid },
+        y: { title: { display: true, text: 'Elevation (m)' }, grid },
+        depth: { position: 'right', min: 0, grid: { display: false }, title: { display: true, text: 'Depth (m)' } }
+      },
+      onHover: (e, elements) => showProfilePoint(elements.length ? elements[0].index : -1)
+    }
   });
-  
-  const existingChart = Chart.getChart('damageChart');
-  if (existingChart) {
-    existingChart.data.labels = profileData.map(p => `${p.x}m`);
-    existingChart.data.datasets[0] = {
-      label: 'Depth (m)',
-      data: profileData.map(p => p.y),
-      backgroundColor: '#58a6ff',
-      borderColor: '#58a6ff',
-      type: 'line'
-    };
-    existingChart.update();
+  profileChart.canvas.addEventListener('mouseleave', () => showProfilePoint(-1));
+}
+
+// Moves the map marker to the hovered profile sample
+function showProfilePoint(index) {
+  const sample = profileChart.profile?.[index];
+  if (!sample) {
+    profileMarker.remove();
+    return;
   }
+  profileMarker.setLatLng([sample.lat, sample.lng]).setTooltipContent(profileTooltip(sample));
+  if (!map.hasLayer(profileMarker)) profileMarker.addTo(map);
+  profileMarker.openTooltip();
+}
+
+function profileTooltip(sample) {
+  const ground = sample.ground === null ? 'no data' : `${sample.ground.toFixed(2)} m`;
+  return `${Math.round(sample.distanceM)} m along · ground ${ground}<br/>Depth ${sample.depth.toFixed(2)} m`;
+}
+
+// Samples the transect for the current scenario, at most MAX_PROFILE_SAMPLES points
+function renderProfile() {
+  if (!transect) return;
+  const level = Number(document.getElementById('levelSlider').value);
+  const lengthM = geodesicLengthM(transect);
+  const stepM = Math.max(Number(document.getElementById('profileStep').value) || 50, lengthM / MAX_PROFILE_SAMPLES);
+  const profile = transectProfile(transect, level, mitigationReduction(getMitigationState()), modelTerrain(), stepM);
+  profileChart.profile = profile;
+  const point = (key) => profile.map((p) => ({ x: p.distanceM, y: p[key] }));
+  profileChart.data.datasets[0].data = point('ground');
+  profileChart.data.datasets[1].data = point('water');
+  profileChart.data.datasets[2].data = point('depth');
+  profileChart.options.scales.x.max = lengthM;
+  profileChart.update();
+
+  const wet = profile.filter((p) => p.water !== null);
+  const maxDepth = Math.max(0, ...profile.map((p) => p.depth));
+  document.getElementById('profileSummary').textContent =
+    `${formatLength(lengthM)} · ${profile.length} samples every ${Math.round(stepM)} m · ` +
+    `wet ${Math.round(100 * wet.length / profile.length)} % · max depth ${maxDepth.toFixed(2)} m`;
 }
 
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
   initMap();
   initChart();
+  initCurveChart();
   attachUI();
-  initFromURL();
+  renderCurveEditor();
+  const state = await initFromURL();
   renderAll();
+  updateDataStatus();
   pingServer();
+  refreshLibrary();
+  loadDataFromURL(state.data);
 });
 
 
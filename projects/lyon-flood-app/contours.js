@@ -0,0 +1,190 @@
+// Lyon Flood Lab — marching-squares contouring of gridded fields
+// Plain script in the browser (window.FloodContours), CommonJS module in Node.
+//
+// Grids are row-major Float32Arrays, row 0 at the south edge. Rings come back
+// closed, in fractional cell coordinates [col, row] of cell centres, with the
+// region >= threshold on their left: outer rings counter-clockwise, holes
+// clockwise (the GeoJSON winding order).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FloodContours = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Cell edges: bottom, right, top, left
+  const B = 0;
+  const R = 1;
+  const T = 2;
+  const L = 3;
+
+  // Corner bits: 1 bottom-left, 2 bottom-right, 4 top-right, 8 top-left.
+  // Each segment runs [from, to] with the high side on its left.
+  const SEGMENTS = {
+    1: [[B, L]],
+    2: [[R, B]],
+    3: [[R, L]],
+    4: [[T, R]],
+    6: [[T, B]],
+    7: [[T, L]],
+    8: [[L, T]],
+    9: [[B, T]],
+    11: [[R, T]],
+    12: [[L, R]],
+    13: [[B, R]],
+    14: [[L, B]]
+  };
+  // Saddles, resolved by the cell-centre average
+  const SADDLES = {
+    5: { high: [[B, R], [T, L]], low: [[B, L], [T, R]] },
+    10: { high: [[L, B], [R, T]], low: [[R, B], [L, T]] }
+  };
+
+  function isolineRings(values, cols, rows, threshold) {
+    // Outside the grid counts as below the threshold so every ring closes
+    const value = (c, r) => (c < 0 || r < 0 || c >= cols || r >= rows ? -Infinity : values[r * cols + c]);
+    const frac = (v0, v1) => {
+      if (!Number.isFinite(v0) || !Number.isFinite(v1)) return 0.5;
+      return (threshold - v0) / (v1 - v0);
+    };
+    const width = cols + 2;
+    const edgeId = (c, r, edge) => {
+      // Shared edges get the same id from both neighbouring cells
+      if (edge === B) return ((r + 1) * width + (c + 1)) * 2;
+      if (edge === T) return ((r + 2) * width + (c + 1)) * 2;
+      if (edge === L) return ((r + 1) * width + (c + 1)) * 2 + 1;
+      return ((r + 1) * width + (c + 2)) * 2 + 1;
+    };
+
+    const points = new Map();
+    const next = new Map();
+    for (let r = -1; r < rows; r++) {
+      for (let c = -1; c < cols; c++) {
+        const va = value(c, r);
+        const vb = value(c + 1, r);
+        const vc = value(c + 1, r + 1);
+        const vd = value(c, r + 1);
+        const code = (va >= threshold ? 1 : 0) | (vb >= threshold ? 2 : 0) | (vc >= threshold ? 4 : 0) | (vd >= threshold ? 8 : 0);
+        if (code === 0 || code === 15) continue;
+        let segments = SEGMENTS[code];
+        if (!segments) {
+          const finite = [va, vb, vc, vd].filter(Number.isFinite);
+          const centre = finite.reduce((s, v) => s + v, 0) / finite.length;
+          segments = centre >= threshold ? SADDLES[code].high : SADDLES[code].low;
+        }
+        const edgePoint = (edge) => {
+          if (edge === B) return [c + frac(va, vb), r];
+          if (edge === R) return [c + 1, r + frac(vb, vc)];
+          if (edge === T) return [c + frac(vd, vc), r + 1];
+          return [c, r + frac(va, vd)];
+        };
+        for (const [from, to] of segments) {
+          const a = edgeId(c, r, from);
+          const b = edgeId(c, r, to);
+          if (!points.has(a)) points.set(a, edgePoint(from));
+          if (!points.has(b)) points.set(b, edgePoint(to));
+          next.set(a, b);
+        }
+      }
+    }
+
+    const rings = [];
+    for (const start of next.keys()) {
+      if (!next.has(start)) continue;
+      const ring = [];
+      let id = start;
+      while (next.has(id)) {
+        ring.push(points.get(id));
+        const following = next.get(id);
+        next.delete(id);
+        id = following;
+      }
+      if (ring.length >= 3) {
+        ring.push(ring[0]);
+        rings.push(ring);
+      }
+    }
+    return rings;
+  }
+
+  function signedArea(ring) {
+    let area = 0;
+    for (let i = 1; i < ring.length; i++) {
+      area += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+    }
+    return area / 2;
+  }
+
+  function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Groups rings into polygons: [outer, ...holes], each hole under the
+  // smallest outer ring that contains it
+  function ringsToPolygons(rings) {
+    const outers = [];
+    const holes = [];
+    for (const ring of rings) {
+      const area = signedArea(ring);
+      if (area > 0) outers.push({ ring, area, holes: [] });
+      else if (area < 0) holes.push(ring);
+    }
+    outers.sort((a, b) => a.area - b.area);
+    for (const hole of holes) {
+      const owner = outers.find((o) => o.area > -signedArea(hole) && pointInRing(hole[0], o.ring));
+      if (owner) owner.holes.push(hole);
+    }
+    return outers.map((o) => [o.ring, ...o.holes]);
+  }
+
+  function contourPolygons(values, cols, rows, threshold) {
+    return ringsToPolygons(isolineRings(values, cols, rows, threshold));
+  }
+
+  // Polygons where lower <= value < upper. The band is bounded by the lower
+  // isolines as they are and the upper isolines reversed (so the band stays
+  // on their left); isolines never cross, so ringsToPolygons nests them.
+  function isobandPolygons(values, cols, rows, lower, upper) {
+    const rings = isolineRings(values, cols, rows, lower);
+    if (upper !== undefined && upper !== Infinity) {
+      for (const ring of isolineRings(values, cols, rows, upper)) rings.push(ring.slice().reverse());
+    }
+    return ringsToPolygons(rings);
+  }
+
+  // Chaikin corner cutting on a closed ring; keeps its winding. Each pass
+  // doubles the vertex count and rounds corners a quarter of the way in.
+  function smoothRing(ring, iterations = 2) {
+    let points = ring.slice(0, -1);
+    for (let k = 0; k < iterations && points.length >= 3; k++) {
+      const next = [];
+      for (let i = 0; i < points.length; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+        next.push([0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1], [0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1]);
+      }
+      points = next;
+    }
+    return [...points, points[0]];
+  }
+
+  return {
+    isolineRings,
+    signedArea,
+    pointInRing,
+    ringsToPolygons,
+    contourPolygons,
+    isobandPolygons,
+    smoothRing
+  };
+});
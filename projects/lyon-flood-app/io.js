@@ -0,0 +1,808 @@
+// Lyon Flood Lab — readers for local elevation grids and building footprints,
+// writers for GIS exports (KML, CSV with WKT, zip)
+// Plain script in the browser (window.FloodIO), CommonJS module in Node.
+//
+// Rasters are returned as { width, height, values, noData, crs, west, north,
+// pixelWidth, pixelHeight } with row 0 at the north edge, as stored on disk.
+// Supported CRS: EPSG:4326 (degrees) and EPSG:2154 (Lambert-93 metres).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FloodIO = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Attribute names tried, in order, for each building property
+  const BUILDING_FIELDS = {
+    id: ['id', 'osm_id', 'ID', 'fid'],
+    use: ['use', 'usage', 'occupancy', 'building_use', 'type', 'building', 'amenity'],
+    floorArea: ['floor_area', 'floorArea', 'gfa', 'surface'],
+    levels: ['levels', 'building:levels', 'nb_etages', 'floors'],
+    value: ['value', 'replacement_cost', 'replacementCost', 'valeur'],
+    occupants: ['occupants', 'population', 'residents', 'habitants'],
+    vulnerable: ['vulnerable', 'vulnerable_occupants', 'pop_vulnerable']
+  };
+  const DEFAULT_VALUE_PER_M2 = 1500; // € of replacement cost per m² of floor
+  const ASSET_FIELDS = {
+    id: ['id', 'ref', 'asset_id', 'fid'],
+    name: ['name', 'nom', 'label'],
+    type: ['type', 'asset_type', 'amenity', 'power', 'man_made', 'use'],
+    failDepth: ['fail_depth_m', 'failDepthM', 'threshold_m'],
+    served: ['people_served', 'peopleServed', 'population'],
+    dependsOn: ['depends_on', 'dependsOn', 'fed_by']
+  };
+  const SHELTER_FIELDS = {
+    id: ['id', 'ref', 'fid'],
+    name: ['name', 'nom', 'label'],
+    capacity: ['capacity', 'capacite', 'places']
+  };
+  const CRITICAL_USES = ['hospital', 'clinic', 'fire_station', 'police', 'school', 'substation', 'pumping_station', 'water_works'];
+
+  // ---- Lambert-93 (EPSG:2154, GRS80) ----
+
+  const L93 = (() => {
+    const a = 6378137;
+    const f = 1 / 298.257222101;
+    const e = Math.sqrt(2 * f - f * f);
+    const rad = Math.PI / 180;
+    const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e * e * Math.sin(phi) ** 2);
+    const t = (phi) => Math.tan(Math.PI / 4 - phi / 2) / ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+    const phi1 = 49 * rad;
+    const phi2 = 44 * rad;
+    const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+    const F = m(phi1) / (n * t(phi1) ** n);
+    const rho0 = a * F * t(46.5 * rad) ** n;
+    const lon0 = 3 * rad;
+    const x0 = 700000;
+    const y0 = 6600000;
+    return { a, e, n, F, rho0, lon0, x0, y0, rad };
+  })();
+
+  function lambert93FromLngLat(lng, lat) {
+    const { a, e, n, F, rho0, lon0, x0, y0, rad } = L93;
+    const phi = lat * rad;
+    const t = Math.tan(Math.PI / 4 - phi / 2) / ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+    const rho = a * F * t ** n;
+    const theta = n * (lng * rad - lon0);
+    return [x0 + rho * Math.sin(theta), y0 + rho0 - rho * Math.cos(theta)];
+  }
+
+  function lngLatFromLambert93(x, y) {
+    const { a, e, n, F, rho0, lon0, x0, y0, rad } = L93;
+    const dx = x - x0;
+    const dy = rho0 - (y - y0);
+    const rho = Math.sign(n) * Math.hypot(dx, dy);
+    const t = (rho / (a * F)) ** (1 / n);
+    const theta = Math.atan2(dx, dy);
+    let phi = Math.PI / 2 - 2 * Math.atan(t);
+    for (let i = 0; i < 10; i++) {
+      const es = e * Math.sin(phi);
+      phi = Math.PI / 2 - 2 * Math.atan(t * ((1 - es) / (1 + es)) ** (e / 2));
+    }
+    return [(theta / n + lon0) / rad, phi / rad];
+  }
+
+  // ---- ESRI ASCII grid ----
+
+  function parseAsciiGrid(text) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const header = {};
+    let pos = 0;
+    while (pos < tokens.length && /^[a-z_]+$/i.test(tokens[pos])) {
+      header[tokens[pos].toLowerCase()] = Number(tokens[pos + 1]);
+      pos += 2;
+    }
+    const width = header.ncols;
+    const height = header.nrows;
+    const dx = header.cellsize || header.dx;
+    const dy = header.cellsize || header.dy;
+    if (!width || !height || !dx || !dy) throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+    const west = 'xllcenter' in header ? header.xllcenter - dx / 2 : header.xllcorner;
+    const south = 'yllcenter' in header ? header.yllcenter - dy / 2 : header.yllcorner;
+    if (tokens.length - pos < width * height) throw new Error('ASCII grid has fewer values than ncols × nrows');
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) values[i] = Number(tokens[pos + i]);
+    return {
+      width,
+      height,
+      values,
+      noData: 'nodata_value' in header ? header.nodata_value : null,
+      // No CRS in the format: coordinates beyond ±180 can only be Lambert-93 here
+      crs: Math.abs(west) > 180 ? 'EPSG:2154' : 'EPSG:4326',
+      west,
+      north: south + height * dy,
+      pixelWidth: dx,
+      pixelHeight: dy
+    };
+  }
+
+  // ---- GeoTIFF (baseline, single band, strips or tiles) ----
+
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+  function readTiffTags(view, offset, little) {
+    const count = view.getUint16(offset, little);
+    const tags = {};
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const n = view.getUint32(entry + 4, little);
+      const size = (TYPE_SIZES[type] || 1) * n;
+      const at = size > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+      const values = [];
+      for (let k = 0; k < n; k++) {
+        switch (type) {
+          case 1: case 7: values.push(view.getUint8(at + k)); break;
+          case 2: values.push(view.getUint8(at + k)); break;
+          case 3: values.push(view.getUint16(at + k * 2, little)); break;
+          case 4: values.push(view.getUint32(at + k * 4, little)); break;
+          case 6: values.push(view.getInt8(at + k)); break;
+          case 8: values.push(view.getInt16(at + k * 2, little)); break;
+          case 9: values.push(view.getInt32(at + k * 4, little)); break;
+          case 11: values.push(view.getFloat32(at + k * 4, little)); break;
+          case 12: values.push(view.getFloat64(at + k * 8, little)); break;
+          case 5: values.push(view.getUint32(at + k * 8, little) / view.getUint32(at + k * 8 + 4, little)); break;
+          case 10: values.push(view.getInt32(at + k * 8, little) / view.getInt32(at + k * 8 + 4, little)); break;
+          default: break;
+        }
+      }
+      tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+    }
+    return tags;
+  }
+
+  function unpackBits(bytes, expected) {
+    const out = new Uint8Array(expected);
+    let i = 0;
+    let o = 0;
+    while (i < bytes.length && o < expected) {
+      const header = (bytes[i++] << 24) >> 24;
+      if (header >= 0) {
+        out.set(bytes.subarray(i, i + header + 1), o);
+        i += header + 1;
+        o += header + 1;
+      } else if (header !== -128) {
+        out.fill(bytes[i++], o, o + 1 - header);
+        o += 1 - header;
+      }
+    }
+    return out;
+  }
+
+  async function browserInflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // options.inflate(Uint8Array) → Uint8Array | Promise; defaults to DecompressionStream
+  async function parseGeoTiff(buffer, options = {}) {
+    const view = new DataView(buffer);
+    const order = view.getUint16(0, false);
+    if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Not a TIFF file');
+    const little = order === 0x4949;
+    const magic = view.getUint16(2, little);
+    if (magic === 43) throw new Error('BigTIFF is not supported; export a classic GeoTIFF');
+    if (magic !== 42) throw new Error('Not a TIFF file');
+    const tags = readTiffTags(view, view.getUint32(4, little), little);
+
+    const width = tags[256][0];
+    const height = tags[257][0];
+    const bits = (tags[258] || [8])[0];
+    const compression = (tags[259] || [1])[0];
+    const samples = (tags[277] || [1])[0];
+    const predictor = (tags[317] || [1])[0];
+    const format = (tags[339] || [1])[0];
+    const scale = tags[33550];
+    const tiepoint = tags[33922];
+    if (!scale || !tiepoint) throw new Error('GeoTIFF has no georeferencing (ModelPixelScale/ModelTiepoint)');
+    if (![1, 8, 32946, 32773].includes(compression)) throw new Error(`TIFF compression ${compression} is not supported (use none, Deflate or PackBits)`);
+    if (predictor === 3) throw new Error('Floating-point predictor is not supported; re-export without PREDICTOR=3');
+    const inflate = options.inflate || browserInflate;
+
+    const bytesPerSample = bits / 8;
+    const readSample = {
+      '1:8': (v, o) => v.getUint8(o),
+      '1:16': (v, o) => v.getUint16(o, little),
+      '1:32': (v, o) => v.getUint32(o, little),
+      '2:8': (v, o) => v.getInt8(o),
+      '2:16': (v, o) => v.getInt16(o, little),
+      '2:32': (v, o) => v.getInt32(o, little),
+      '3:32': (v, o) => v.getFloat32(o, little),
+      '3:64': (v, o) => v.getFloat64(o, little)
+    }[`${format}:${bits}`];
+    if (!readSample) throw new Error(`Unsupported sample type (format ${format}, ${bits} bits)`);
+
+    const tiled = Boolean(tags[322]);
+    const blockWidth = tiled ? tags[322][0] : width;
+    const blockHeight = tiled ? tags[323][0] : (tags[278] || [height])[0];
+    const offsets = tiled ? tags[324] : tags[273];
+    const counts = tiled ? tags[325] : tags[279];
+    const blocksAcross = Math.ceil(width / blockWidth);
+    // Band-separate files store every block of band 1 first
+    const planar = (tags[284] || [1])[0] === 2;
+    const blocksPerBand = planar ? offsets.length / samples : offsets.length;
+    const pixelBytes = planar ? bytesPerSample : bytesPerSample * samples;
+    const values = new Float32Array(width * height);
+
+    for (let b = 0; b < blocksPerBand; b++) {
+      let bytes = new Uint8Array(buffer, offsets[b], counts[b]);
+      const rowsInBlock = tiled ? blockHeight : Math.min(blockHeight, height - b * blockHeight);
+      const expected = blockWidth * rowsInBlock * pixelBytes;
+      if (compression === 8 || compression === 32946) bytes = await inflate(bytes);
+      else if (compression === 32773) bytes = unpackBits(bytes, expected);
+      if (predictor === 2) {
+        // Horizontal differencing, per sample; only integer types use it
+        const rowBytes = blockWidth * pixelBytes;
+        const copy = new Uint8Array(bytes);
+        const dv = new DataView(copy.buffer);
+        for (let r = 0; r < rowsInBlock; r++) {
+          for (let c = pixelBytes / bytesPerSample; c < rowBytes / bytesPerSample; c++) {
+            const o = r * rowBytes + c * bytesPerSample;
+            const prev = o - pixelBytes;
+            if (bits === 8) dv.setUint8(o, dv.getUint8(o) + dv.getUint8(prev));
+            else if (bits === 16) dv.setUint16(o, dv.getUint16(o, little) + dv.getUint16(prev, little), little);
+            else dv.setUint32(o, dv.getUint32(o, little) + dv.getUint32(prev, little), little);
+          }
+        }
+        bytes = copy;
+      }
+      const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const bx = tiled ? (b % blocksAcross) * blockWidth : 0;
+      const by = tiled ? Math.floor(b / blocksAcross) * blockHeight : b * blockHeight;
+      for (let r = 0; r < rowsInBlock; r++) {
+        const y = by + r;
+        if (y >= height) break;
+        for (let c = 0; c < blockWidth; c++) {
+          const x = bx + c;
+          if (x >= width) continue;
+          // First band only
+          values[y * width + x] = readSample(dv, (r * blockWidth + c) * pixelBytes);
+        }
+      }
+    }
+
+    const geoKeys = {};
+    const dir = tags[34735];
+    if (dir) {
+      for (let k = 4; k + 3 < dir.length; k += 4) {
+        if (dir[k + 1] === 0) geoKeys[dir[k]] = dir[k + 3];
+      }
+    }
+    let crs = 'EPSG:4326';
+    if (geoKeys[1024] === 1) {
+      if (geoKeys[3072] !== 2154) throw new Error(`Projected CRS EPSG:${geoKeys[3072]} is not supported; use EPSG:4326 or EPSG:2154`);
+      crs = 'EPSG:2154';
+    }
+    const noData = tags[42113] !== undefined && tags[42113] !== '' ? Number(tags[42113]) : null;
+    const [i0, j0, , x, y] = tiepoint;
+    return {
+      width,
+      height,
+      values,
+      noData,
+      crs,
+      west: x - i0 * scale[0],
+      north: y + j0 * scale[1],
+      pixelWidth: scale[0],
+      pixelHeight: scale[1]
+    };
+  }
+
+  function parseElevationFile(name, buffer, options) {
+    if (/\.(asc|txt)$/i.test(name)) return Promise.resolve(parseAsciiGrid(new TextDecoder().decode(buffer)));
+    return parseGeoTiff(buffer, options);
+  }
+
+  // Raster → lon/lat bounds and a bilinear elevation sampler (NaN for no data)
+  function rasterSampler(raster) {
+    const { width, height, values, noData, west, north, pixelWidth, pixelHeight } = raster;
+    const project = raster.crs === 'EPSG:2154' ? lambert93FromLngLat : (lng, lat) => [lng, lat];
+    const at = (c, r) => {
+      const v = values[r * width + c];
+      return v === noData || !Number.isFinite(v) ? NaN : v;
+    };
+    const sample = (lng, lat) => {
+      const [x, y] = project(lng, lat);
+      const fx = (x - west) / pixelWidth - 0.5;
+      const fy = (north - y) / pixelHeight - 0.5;
+      if (fx < -0.5 || fy < -0.5 || fx > width - 0.5 || fy > height - 0.5) return NaN;
+      const x0 = Math.max(0, Math.min(width - 1, Math.floor(fx)));
+      const y0 = Math.max(0, Math.min(height - 1, Math.floor(fy)));
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const tx = Math.max(0, Math.min(1, fx - x0));
+      const ty = Math.max(0, Math.min(1, fy - y0));
+      const top = at(x0, y0) * (1 - tx) + at(x1, y0) * tx;
+      const bottom = at(x0, y1) * (1 - tx) + at(x1, y1) * tx;
+      return top * (1 - ty) + bottom * ty;
+    };
+    const corners = [
+      [west, north],
+      [west + width * pixelWidth, north],
+      [west, north - height * pixelHeight],
+      [west + width * pixelWidth, north - height * pixelHeight]
+    ].map(([x, y]) => (raster.crs === 'EPSG:2154' ? lngLatFromLambert93(x, y) : [x, y]));
+    const bounds = {
+      west: Math.min(...corners.map((p) => p[0])),
+      east: Math.max(...corners.map((p) => p[0])),
+      south: Math.min(...corners.map((p) => p[1])),
+      north: Math.max(...corners.map((p) => p[1]))
+    };
+    return { bounds, sample };
+  }
+
+  // ---- Building footprints ----
+
+  function pick(props, names) {
+    for (const name of names) {
+      if (props[name] !== undefined && props[name] !== null && props[name] !== '') return props[name];
+    }
+    return undefined;
+  }
+
+  // Planar area (m²) and centroid of a [lng, lat] ring, local equirectangular
+  function ringAreaCentroid(ring) {
+    const lat0 = ring[0][1];
+    const kx = 111320 * Math.cos(lat0 * Math.PI / 180);
+    const ky = 111320;
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 1; i < ring.length; i++) {
+      const x0 = ring[i - 1][0] * kx;
+      const y0 = ring[i - 1][1] * ky;
+      const x1 = ring[i][0] * kx;
+      const y1 = ring[i][1] * ky;
+      const cross = x0 * y1 - x1 * y0;
+      area += cross;
+      cx += (x0 + x1) * cross;
+      cy += (y0 + y1) * cross;
+    }
+    area /= 2;
+    if (Math.abs(area) < 1e-9) return { area: 0, centroid: ring[0] };
+    return { area: Math.abs(area), centroid: [cx / (6 * area) / kx, cy / (6 * area) / ky] };
+  }
+
+  function footprintAreaCentroid(geometry) {
+    if (geometry.type === 'Point') return { area: 0, centroid: geometry.coordinates };
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+    if (!polygons) return null;
+    let total = 0;
+    let sx = 0;
+    let sy = 0;
+    for (const polygon of polygons) {
+      const outer = ringAreaCentroid(polygon[0]);
+      const holes = polygon.slice(1).reduce((sum, ring) => sum + ringAreaCentroid(ring).area, 0);
+      const area = Math.max(0, outer.area - holes);
+      total += area;
+      sx += outer.centroid[0] * area;
+      sy += outer.centroid[1] * area;
+    }
+    if (total === 0) return { area: 0, centroid: ringAreaCentroid(polygons[0][0]).centroid };
+    return { area: total, centroid: [sx / total, sy / total] };
+  }
+
+  // GeoJSON FeatureCollection (EPSG:4326) → { buildings, skipped }: app
+  // building records, and the number of features without a usable point or
+  // footprint (other geometry types, missing or non-numeric coordinates)
+  function buildingsFromGeoJSON(collection) {
+    const features = collection && collection.type === 'FeatureCollection' ? collection.features : null;
+    if (!features) throw new Error('Buildings file must be a GeoJSON FeatureCollection');
+    const buildings = [];
+    let skipped = 0;
+    features.forEach((feature, index) => {
+      const geometry = feature && feature.geometry;
+      let shape = null;
+      try {
+        // Every coordinate a number, so no null or string turns into 0 or NaN
+        if (geometry && [geometry.coordinates].flat(Infinity).every(Number.isFinite)) shape = footprintAreaCentroid(geometry);
+      } catch {
+        // coordinates that are not nested arrays
+      }
+      const [lng, lat] = shape ? shape.centroid : [];
+      if (!shape || !Number.isFinite(shape.area) || !Number.isFinite(lng) || !Number.isFinite(lat)) {
+        skipped += 1;
+        return;
+      }
+      const props = feature.properties || {};
+      const levels = Number(pick(props, BUILDING_FIELDS.levels)) || 1;
+      const floorArea = Number(pick(props, BUILDING_FIELDS.floorArea)) || shape.area * levels;
+      const value = Number(pick(props, BUILDING_FIELDS.value)) || floorArea * DEFAULT_VALUE_PER_M2;
+      const use = String(pick(props, BUILDING_FIELDS.use) || 'unknown').toLowerCase();
+      const critical = props.critical;
+      const occupants = pick(props, BUILDING_FIELDS.occupants);
+      const vulnerable = pick(props, BUILDING_FIELDS.vulnerable);
+      buildings.push({
+        id: pick(props, BUILDING_FIELDS.id) ?? feature.id ?? index + 1,
+        lat,
+        lng,
+        use,
+        floorArea,
+        replacementCost: value,
+        ...(occupants !== undefined && { occupants: Number(occupants) }),
+        ...(vulnerable !== undefined && { vulnerable: Number(vulnerable) }),
+        isCritical: critical === undefined ? CRITICAL_USES.includes(use) : critical === true || critical === 1 || critical === 'yes',
+        footprint: geometry.type === 'Point' ? null : geometry
+      });
+    });
+    if (!buildings.length) throw new Error('No Point, Polygon or MultiPolygon features found');
+    return { buildings, skipped };
+  }
+
+  // ---- Critical assets ----
+
+  // GeoJSON FeatureCollection → asset records { id, name, type, lat, lng,
+  // failDepthM, peopleServed, dependsOn }, unchecked: FloodModel.criticalAssetsFrom
+  // resolves types and defaults. `depends_on` is a list of ids or a string
+  // separated by commas or semicolons.
+  function criticalAssetsFromGeoJSON(collection) {
+    const features = collection && collection.type === 'FeatureCollection' ? collection.features : null;
+    if (!features) throw new Error('Critical assets file must be a GeoJSON FeatureCollection');
+    const assets = [];
+    features.forEach((feature, index) => {
+      const shape = feature.geometry && footprintAreaCentroid(feature.geometry);
+      if (!shape) return;
+      const props = feature.properties || {};
+      const dependsOn = pick(props, ASSET_FIELDS.dependsOn);
+      assets.push({
+        id: String(pick(props, ASSET_FIELDS.id) ?? feature.id ?? index + 1),
+        name: pick(props, ASSET_FIELDS.name),
+        type: pick(props, ASSET_FIELDS.type),
+        lat: shape.centroid[1],
+        lng: shape.centroid[0],
+        failDepthM: pick(props, ASSET_FIELDS.failDepth),
+        peopleServed: pick(props, ASSET_FIELDS.served),
+        dependsOn: Array.isArray(dependsOn) ? dependsOn.map(String) : dependsOn === undefined ? [] : String(dependsOn).split(/[,;]/).map((id) => id.trim())
+      });
+    });
+    if (!assets.length) throw new Error('No Point, Polygon or MultiPolygon features found');
+    return assets;
+  }
+
+  // ---- Road network ----
+
+  // GeoJSON FeatureCollection → { roads: [[[lng, lat]]], shelters: [{ id,
+  // name, lat, lng, capacity }] }: LineString and MultiLineString features are
+  // roads, the rest (points or footprints) shelters. Unchecked, as for assets:
+  // FloodModel.roadNetworkFrom applies the limits and defaults.
+  function roadNetworkFromGeoJSON(collection) {
+    const features = collection && collection.type === 'FeatureCollection' ? collection.features : null;
+    if (!features) throw new Error('Road network file must be a GeoJSON FeatureCollection');
+    const roads = [];
+    const shelters = [];
+    features.forEach((feature, index) => {
+      const geometry = feature.geometry;
+      if (!geometry) return;
+      if (geometry.type === 'LineString') roads.push(geometry.coordinates);
+      else if (geometry.type === 'MultiLineString') roads.push(...geometry.coordinates);
+      else {
+        const shape = footprintAreaCentroid(geometry);
+        if (!shape) return;
+        const props = feature.properties || {};
+        shelters.push({
+          id: String(pick(props, SHELTER_FIELDS.id) ?? feature.id ?? index + 1),
+          name: pick(props, SHELTER_FIELDS.name),
+          lat: shape.centroid[1],
+          lng: shape.centroid[0],
+          capacity: pick(props, SHELTER_FIELDS.capacity)
+        });
+      }
+    });
+    if (!roads.length) throw new Error('No LineString or MultiLineString features found');
+    return { roads, shelters };
+  }
+
+  // ---- Observed flood ----
+
+  // Surveyed outline as GeoJSON → polygons ([[ring]] in [lng, lat]); Polygon
+  // and MultiPolygon features, or a bare geometry of either type
+  function observedExtentFromGeoJSON(input) {
+    const geometries = input && input.type === 'FeatureCollection'
+      ? (input.features || []).map((f) => f && f.geometry)
+      : [input && input.type === 'Feature' ? input.geometry : input];
+    const polygons = [];
+    for (const g of geometries) {
+      if (!g) continue;
+      if (g.type === 'Polygon') polygons.push(g.coordinates);
+      else if (g.type === 'MultiPolygon') polygons.push(...g.coordinates);
+    }
+    if (!polygons.length) throw new Error('No Polygon or MultiPolygon features found');
+    return polygons;
+  }
+
+  // Gauge readings, one station per row with a header: position as lat/lng
+  // or Lambert-93 x/y, and the observed water depth (m) or water level (m,
+  // in the elevation grid's datum, e.g. NGF-IGN69). Same delimiters as the
+  // hydrograph CSV. → [{ id, name, lat, lng, depthM, stageM }], one of the
+  // last two null.
+  function parseGaugeCSV(text) {
+    const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+    if (lines.length < 2) throw new Error('gauge CSV needs a header and at least one station');
+    const delimiter = lines[0].includes(';') ? ';' : lines[0].includes('\t') ? '\t' : ',';
+    const cells = (line) => line.split(delimiter).map((c) => c.trim().replace(/^"|"$/g, ''));
+    const number = (cell) => (cell === undefined || cell === '' ? NaN : Number(delimiter === ',' ? cell : cell.replace(',', '.')));
+    const header = cells(lines[0]).map((h) => h.toLowerCase());
+    const find = (pattern) => header.findIndex((h) => pattern.test(h));
+    const cols = {
+      id: find(/^(id|code|station_id|ref)$/),
+      name: find(/^(name|nom|station|label)$/),
+      lat: find(/^(lat|latitude)$/),
+      lng: find(/^(lng|lon|long|longitude)$/),
+      x: find(/^(x|easting)$/),
+      y: find(/^(y|northing)$/),
+      depth: find(/depth|profondeur|hauteur_eau/),
+      stage: find(/stage|level|niveau|cote|wse/)
+    };
+    const lambert = cols.lat < 0 || cols.lng < 0;
+    if (lambert && (cols.x < 0 || cols.y < 0)) throw new Error('gauge CSV needs lat/lng or x/y (Lambert-93) columns');
+    if (cols.depth < 0 && cols.stage < 0) throw new Error('gauge CSV needs a depth or a water level column');
+
+    const gauges = [];
+    lines.slice(1).forEach((line, k) => {
+      const row = cells(line);
+      const [lng, lat] = lambert
+        ? lngLatFromLambert93(number(row[cols.x]), number(row[cols.y]))
+        : [number(row[cols.lng]), number(row[cols.lat])];
+      const depthM = number(row[cols.depth]);
+      const stageM = number(row[cols.stage]);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error(`gauge CSV: unreadable position on line ${k + 2}`);
+      if (!Number.isFinite(depthM) && !Number.isFinite(stageM)) throw new Error(`gauge CSV: no reading on line ${k + 2}`);
+      const id = cols.id >= 0 && row[cols.id] ? row[cols.id] : String(k + 1);
+      gauges.push({
+        id,
+        name: cols.name >= 0 && row[cols.name] ? row[cols.name] : `Gauge ${id}`,
+        lat,
+        lng,
+        depthM: Number.isFinite(depthM) ? depthM : null,
+        stageM: Number.isFinite(depthM) ? null : stageM
+      });
+    });
+    return gauges;
+  }
+
+  // ---- Hydrograph CSV ----
+
+  // Time/level pairs. Time is hours from the start or a date (ISO or
+  // anything Date.parse reads); level is cm above bankfull, or metres when
+  // its header says so (level_m, "stage (m)"). Comma, semicolon or tab
+  // separated; with ; or tabs a decimal comma is accepted.
+  function parseHydrographCSV(text) {
+    const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+    if (!lines.length) throw new Error('hydrograph CSV is empty');
+    const delimiter = lines[0].includes(';') ? ';' : lines[0].includes('\t') ? '\t' : ',';
+    const cells = (line) => line.split(delimiter).map((c) => c.trim().replace(/^"|"$/g, ''));
+    const number = (cell) => Number(delimiter === ',' ? cell : cell.replace(',', '.'));
+
+    let timeCol = 0;
+    let levelCol = 1;
+    let toCm = 1;
+    const first = cells(lines[0]);
+    if (first.length < 2) throw new Error('hydrograph CSV needs a time and a level column');
+    if (!Number.isFinite(number(first[1]))) {
+      const header = first.map((h) => h.toLowerCase());
+      const find = (pattern, fallback) => {
+        const i = header.findIndex((h) => pattern.test(h));
+        return i >= 0 ? i : fallback;
+      };
+      timeCol = find(/^(t|time|hours?|date|datetime|timestamp|heure)\b/, 0);
+      levelCol = find(/level|stage|niveau|hauteur|height/, timeCol === 0 ? 1 : 0);
+      if (/(_m\b|\(m\)|\bm$)/.test(header[levelCol])) toCm = 100;
+      lines.shift();
+    }
+
+    let start = null;
+    const points = [];
+    for (const line of lines) {
+      const row = cells(line);
+      const level = number(row[levelCol]) * toCm;
+      const rawTime = row[timeCol];
+      let t = number(rawTime);
+      if (!Number.isFinite(t)) {
+        const ms = Date.parse(rawTime);
+        if (!Number.isFinite(ms)) throw new Error(`hydrograph CSV: unreadable time "${rawTime}"`);
+        if (start === null) start = ms;
+        t = (ms - start) / 3600000;
+      }
+      if (!Number.isFinite(level)) throw new Error(`hydrograph CSV: unreadable level "${row[levelCol]}"`);
+      points.push({ t, level });
+    }
+    points.sort((a, b) => a.t - b.t);
+    const t0 = points[0].t;
+    const series = points
+      .filter((p, i) => i === 0 || p.t !== points[i - 1].t)
+      .map((p) => ({ t: p.t - t0, level: p.level }));
+    if (series.length < 2) throw new Error('hydrograph CSV needs at least two time steps');
+    return { series, start: start === null ? null : start + t0 * 3600000 };
+  }
+
+  // ---- GIS export ----
+
+  function wktCoords(points) {
+    return points.map(([x, y]) => `${x} ${y}`).join(', ');
+  }
+
+  function wktRings(polygon) {
+    return `(${polygon.map((ring) => `(${wktCoords(ring)})`).join(', ')})`;
+  }
+
+  // GeoJSON geometry (Point, LineString, Polygon and Multi*) → WKT
+  function geometryToWKT(geometry) {
+    const c = geometry.coordinates;
+    switch (geometry.type) {
+      case 'Point': return `POINT (${c[0]} ${c[1]})`;
+      case 'LineString': return `LINESTRING (${wktCoords(c)})`;
+      case 'Polygon': return `POLYGON ${wktRings(c)}`;
+      case 'MultiPoint': return `MULTIPOINT (${c.map((p) => `(${p[0]} ${p[1]})`).join(', ')})`;
+      case 'MultiLineString': return `MULTILINESTRING (${c.map((line) => `(${wktCoords(line)})`).join(', ')})`;
+      case 'MultiPolygon': return c.length ? `MULTIPOLYGON (${c.map(wktRings).join(', ')})` : 'MULTIPOLYGON EMPTY';
+      default: throw new Error(`WKT: unsupported geometry ${geometry.type}`);
+    }
+  }
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Features → CSV with a leading WKT column (read as a delimited text layer
+  // in QGIS); columns are the union of the features' properties
+  function featuresToCSV(features) {
+    const columns = [];
+    for (const f of features) {
+      for (const key of Object.keys(f.properties || {})) if (!columns.includes(key)) columns.push(key);
+    }
+    const rows = features.map((f) => [geometryToWKT(f.geometry), ...columns.map((key) => (f.properties || {})[key])].map(csvCell).join(','));
+    return [['WKT', ...columns].join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  function xml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function kmlCoords(points) {
+    return `<coordinates>${points.map(([x, y]) => `${x},${y}`).join(' ')}</coordinates>`;
+  }
+
+  function kmlPolygon(polygon) {
+    const [outer, ...holes] = polygon;
+    return '<Polygon><outerBoundaryIs><LinearRing>' + kmlCoords(outer) + '</LinearRing></outerBoundaryIs>' +
+      holes.map((ring) => '<innerBoundaryIs><LinearRing>' + kmlCoords(ring) + '</LinearRing></innerBoundaryIs>').join('') +
+      '</Polygon>';
+  }
+
+  function kmlGeometry(geometry) {
+    const c = geometry.coordinates;
+    switch (geometry.type) {
+      case 'Point': return `<Point>${kmlCoords([c])}</Point>`;
+      case 'LineString': return `<LineString>${kmlCoords(c)}</LineString>`;
+      case 'Polygon': return kmlPolygon(c);
+      case 'MultiPoint': return `<MultiGeometry>${c.map((p) => `<Point>${kmlCoords([p])}</Point>`).join('')}</MultiGeometry>`;
+      case 'MultiLineString': return `<MultiGeometry>${c.map((line) => `<LineString>${kmlCoords(line)}</LineString>`).join('')}</MultiGeometry>`;
+      case 'MultiPolygon': return `<MultiGeometry>${c.map(kmlPolygon).join('')}</MultiGeometry>`;
+      default: throw new Error(`KML: unsupported geometry ${geometry.type}`);
+    }
+  }
+
+  // Folders of features → KML document. Properties go to ExtendedData, and
+  // `style` (KML colour aabbggrr) to a shared line/polygon style per folder.
+  function toKML(name, folders) {
+    const styles = folders.map((f, i) => (f.style
+      ? `<Style id="s${i}"><LineStyle><color>${f.style}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>7f${f.style.slice(2)}</color></PolyStyle></Style>`
+      : '')).filter(Boolean);
+    const placemark = (feature, styleId) => {
+      const props = feature.properties || {};
+      const data = Object.entries(props)
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(typeof v === 'object' ? JSON.stringify(v) : v)}</value></Data>`)
+        .join('');
+      return `<Placemark>${props.name !== undefined ? `<name>${xml(props.name)}</name>` : ''}` +
+        (styleId ? `<styleUrl>#${styleId}</styleUrl>` : '') +
+        `<ExtendedData>${data}</ExtendedData>${kmlGeometry(feature.geometry)}</Placemark>`;
+    };
+    const body = folders.map((f, i) => `<Folder><name>${xml(f.name)}</name>${f.features.map((feature) => placemark(feature, f.style && `s${i}`)).join('\n')}</Folder>`);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+      `<name>${xml(name)}</name>\n${styles.join('\n')}\n${body.join('\n')}\n</Document></kml>\n`;
+  }
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // [{ name, text }] → uncompressed (stored) zip archive as a Uint8Array
+  function zipFiles(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.text);
+      const crc = crc32(data);
+      const header = (signature, size) => {
+        const buf = new DataView(new ArrayBuffer(size));
+        buf.setUint32(0, signature, true);
+        return buf;
+      };
+      const local = header(0x04034b50, 30);
+      // version 2.0, UTF-8 names, stored
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      const central = header(0x02014b50, 46);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      locals.push(new Uint8Array(local.buffer), name, data);
+      centrals.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(offset + centralSize + 22);
+    let at = 0;
+    for (const part of parts) {
+      out.set(part, at);
+      at += part.length;
+    }
+    return out;
+  }
+
+  return {
+    DEFAULT_VALUE_PER_M2,
+    lambert93FromLngLat,
+    lngLatFromLambert93,
+    parseAsciiGrid,
+    parseGeoTiff,
+    parseElevationFile,
+    rasterSampler,
+    footprintAreaCentroid,
+    buildingsFromGeoJSON,
+    criticalAssetsFromGeoJSON,
+    roadNetworkFromGeoJSON,
+    observedExtentFromGeoJSON,
+    parseGaugeCSV,
+    parseHydrographCSV,
+    geometryToWKT,
+    featuresToCSV,
+    toKML,
+    zipFiles
+  };
+});
@@ -0,0 +1,1909 @@
+// Lyon Flood Lab — shared flood/damage model
+// Plain script in the browser (window.FloodModel), CommonJS module in Node,
+// so the local server computes exactly what the client draws.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contours.js'), require('./routing.js'));
+  } else {
+    root.FloodModel = factory(root.FloodContours, root.FloodRouting);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FloodContours, FloodRouting) {
+  'use strict';
+
+  const lyonCenter = [45.764043, 4.835659];
+  const DEFAULT_SEED = 1337;
+
+  // Buildings shallower than this are not counted as affected
+  const AFFECTED_DEPTH_M = 0.05;
+
+  // Cells shallower than this are drawn as dry
+  const WET_DEPTH_M = 0.001;
+
+  // Manning's n for flow across the urban floodplain (s/m^1/3). Velocities are
+  // capped: the slope-only estimate runs away on steep drawdown edges.
+  const MANNING_N = 0.035;
+  const MAX_VELOCITY_MS = 4;
+
+  // Flood hazard rating HR = d × (v + 0.5) + DF (Defra/Environment Agency
+  // FD2321), classes by upper bound of HR
+  const HAZARD_CLASSES = [
+    { id: 'low', label: 'Low — caution', max: 0.75, color: '#7ee787' },
+    { id: 'moderate', label: 'Danger for some', max: 1.25, color: '#f2cc60' },
+    { id: 'significant', label: 'Danger for most', max: 2, color: '#ffa657' },
+    { id: 'extreme', label: 'Danger for all', max: Infinity, color: '#ff7b72' }
+  ];
+
+  // Saône/Rhône corridor centreline, upstream → downstream, [lng, lat]
+  const RIVER_CENTERLINE = [
+    [4.800, 45.810],
+    [4.805, 45.800],
+    [4.810, 45.790],
+    [4.820, 45.780],
+    [4.830, 45.772],
+    [4.840, 45.765],
+    [4.850, 45.758],
+    [4.860, 45.750],
+    [4.870, 45.742],
+    [4.880, 45.730]
+  ];
+
+  // Synthetic terrain: model grid extent and resolution, river profile and
+  // floodplain shape (metres)
+  const GRID_BOUNDS = { south: 45.730, west: 4.780, north: 45.805, east: 4.890 };
+  const GRID_CELL_M = 50;
+  const BANKFULL_UPSTREAM_M = 165;
+  const RIVER_SLOPE = 0.0004;
+  const CHANNEL_HALF_WIDTH_M = 60;
+  const FLOODPLAIN_RISE = 0.004;
+  const TERRAIN_SEED = 0x4c594f4e;
+
+  const M_PER_DEG_LAT = 111320;
+  const EARTH_RADIUS_M = 6371008.8;
+
+  // Design storm presets: return period (years) → water level above bankfull (cm)
+  const DESIGN_STORMS = { '10': 60, '50': 100, '100': 140 };
+
+  // Stage–frequency curve: return period (years) → water level above bankfull (cm),
+  // interpolated in log(T). Passes through the design storm presets.
+  const STAGE_FREQUENCY = [
+    [2, 0],
+    [5, 30],
+    [10, 60],
+    [25, 80],
+    [50, 100],
+    [100, 140],
+    [200, 175],
+    [500, 220],
+    [1000, 250]
+  ];
+
+  // Rough Montana-type IDF fit for Lyon-Bron: a T-year storm drops
+  // (IDF_A + IDF_A_PER_LOG_T · ln T) · D^(1 − IDF_B) mm in D hours
+  const IDF_A = 16;
+  const IDF_A_PER_LOG_T = 6;
+  const IDF_B = 0.7;
+  // River peak lags the middle of the storm by this much (h)
+  const CATCHMENT_LAG_H = 8;
+
+  // Dimensionless hydrographs: level / peak at time / time-to-peak
+  const HYDROGRAPH_SHAPES = {
+    gamma: { label: 'Gamma (SCS curvilinear)', at: (x) => Math.pow(x, 3.7) * Math.exp(3.7 * (1 - x)) },
+    triangular: { label: 'Triangular (SCS)', at: (x) => (x <= 1 ? x : Math.max(0, 1 - (x - 1) / 1.67)) },
+    trapezoidal: { label: 'Trapezoidal (long plateau)', at: (x) => (x < 0.7 ? x / 0.7 : x <= 1.6 ? 1 : Math.max(0, 1 - (x - 1.6) / 1.2)) }
+  };
+
+  // Mitigation measure registry. Each measure is taken up to an adoption
+  // level (% of its potential: roof area, street area, embankment length):
+  //   param  — URL/API flag (`gr=1`), its adoption goes in `<param>a` (`gra=20`)
+  //   cost   — lifetime cost (€) at an adoption a: fixed + perPercent · a
+  //   effect — fraction of the peak level removed at an adoption a:
+  //            linear: perPercent · a; saturating: max · a / (a + half)
+  // At their default adoption the built-in measures keep the old fixed costs
+  // and reductions (8 %, 10 %, 12 %).
+  const MEASURES = [
+    {
+      id: 'greenRoofs', param: 'gr', label: 'Green roofs', unit: 'of roof area', defaultAdoption: 20,
+      cost: { fixed: 0, perPercent: 100_000 },
+      effect: { type: 'saturating', max: 0.2, half: 30 }
+    },
+    {
+      id: 'permeable', param: 'pp', label: 'Permeable', unit: 'of street area', defaultAdoption: 30,
+      cost: { fixed: 500_000, perPercent: 100_000 },
+      effect: { type: 'saturating', max: 0.2, half: 30 }
+    },
+    {
+      id: 'barriers', param: 'tb', label: 'Barriers', unit: 'of embankment', defaultAdoption: 100,
+      cost: { fixed: 300_000, perPercent: 12_000 },
+      effect: { type: 'linear', perPercent: 0.0012 }
+    }
+  ];
+
+  // Combined measures never remove more than this fraction of the peak
+  const MAX_MITIGATION_REDUCTION = 0.35;
+
+  // User-defined measures: at most this many, ids c1, c2, …
+  const MAX_CUSTOM_MEASURES = 4;
+  const CUSTOM_MEASURE_ID = /^c[0-9]{1,3}$/;
+
+  // Measures drawn on the map, acting only where they are placed. Barriers
+  // raise the ground along their line by their crest height (m); basins and
+  // green zones lower the water surface inside their polygon by `drawdown`
+  // (m), tapering to nothing DRAWDOWN_FALLOFF_M outside it. Barriers cost
+  // per metre of length and of height, zones per m².
+  const DRAWN_MEASURE_TYPES = {
+    barrier: { label: 'Barrier', geometry: 'line', costPerM: 1000, defaultHeight: 1.5, color: '#d29922' },
+    basin: { label: 'Retention basin', geometry: 'area', costPerM2: 60, drawdown: 0.5, color: '#1f6feb' },
+    greenZone: { label: 'Green zone', geometry: 'area', costPerM2: 25, drawdown: 0.2, color: '#3fb950' }
+  };
+  const DRAWDOWN_FALLOFF_M = 300;
+  const MAX_DRAWN_MEASURES = 8;
+  const MAX_DRAWN_VERTICES = 200;
+  const DRAWN_MEASURE_ID = /^d[0-9]{1,3}$/;
+
+  // Occupancy classes, in damage-chart order
+  const OCCUPANCY_CLASSES = [
+    { id: 'residential', label: 'Res' },
+    { id: 'commercial', label: 'Comm' },
+    { id: 'infrastructure', label: 'Infra' },
+    { id: 'public', label: 'Public' }
+  ];
+
+  // Depth (m) → damage ratio tables, linearly interpolated and flat beyond the
+  // last point. Shapes follow the JRC global flood depth-damage functions for
+  // Europe (Huizinga et al., 2017); infrastructure uses the industrial curve.
+  const DEFAULT_DAMAGE_CURVES = {
+    residential: [[0, 0], [0.5, 0.25], [1, 0.4], [1.5, 0.5], [2, 0.6], [3, 0.75], [4, 0.85], [5, 0.95], [6, 1]],
+    commercial: [[0, 0], [0.5, 0.15], [1, 0.3], [1.5, 0.45], [2, 0.55], [3, 0.75], [4, 0.9], [5, 1], [6, 1]],
+    infrastructure: [[0, 0], [0.5, 0.15], [1, 0.27], [1.5, 0.4], [2, 0.52], [3, 0.7], [4, 0.85], [5, 1], [6, 1]],
+    public: [[0, 0], [0.5, 0.2], [1, 0.35], [1.5, 0.47], [2, 0.57], [3, 0.73], [4, 0.87], [5, 0.97], [6, 1]]
+  };
+
+  // Keywords in a building's use type → occupancy class (first match wins)
+  const USE_KEYWORDS = [
+    ['public', ['school', 'hospital', 'clinic', 'universit', 'college', 'kindergarten', 'public', 'civic', 'government', 'townhall', 'church', 'library', 'fire_station', 'police']],
+    ['infrastructure', ['industr', 'warehouse', 'substation', 'pumping', 'water_works', 'power', 'utility', 'transport', 'train_station', 'parking', 'infrastructure']],
+    ['commercial', ['commerc', 'retail', 'office', 'shop', 'supermarket', 'hotel', 'restaurant', 'kiosk']],
+    ['residential', ['resid', 'house', 'apartment', 'detached', 'terrace', 'dormitory', 'bungalow']]
+  ];
+
+  // Occupants per m² of floor by class, and the share of them who need help
+  // to evacuate (young children, the very old, reduced mobility), for
+  // buildings that do not carry their own counts
+  const OCCUPANT_DENSITY = { residential: 1 / 40, commercial: 1 / 30, infrastructure: 1 / 100, public: 1 / 20 };
+  const VULNERABLE_SHARE = { residential: 0.15, commercial: 0.05, infrastructure: 0, public: 0.3 };
+  // Replacement cost per m² of floor, to size buildings known only by value
+  const VALUE_PER_M2 = 1500;
+
+  // Evacuation: roads deeper than this are impassable (m); buildings and
+  // shelters further than MAX_ROAD_SNAP_M from the network are not routed
+  const PASSABLE_DEPTH_M = 0.3;
+  const MAX_ROAD_SNAP_M = 300;
+  const SYNTHETIC_ROAD_SPACING_M = 300;
+  const SYNTHETIC_SHELTER_CAPACITY = 1500;
+  const MAX_ROAD_LINES = 50000;
+  const MAX_SHELTERS = 500;
+
+  // Critical asset types: the depth (m) at which a site stops working, the
+  // people it serves when the catalogue does not say, and the keywords of a
+  // type or use that name it (first match wins)
+  const CRITICAL_ASSET_TYPES = {
+    hospital: { label: 'Hospital', failDepthM: 0.5, peopleServed: 40000, keywords: ['hospital', 'clinic', 'health'] },
+    substation: { label: 'Substation', failDepthM: 0.3, peopleServed: 15000, keywords: ['substation', 'power', 'electric'] },
+    pumping: { label: 'Pumping station', failDepthM: 0.6, peopleServed: 25000, keywords: ['pumping', 'water_works', 'wastewater', 'pump'] },
+    school: { label: 'School', failDepthM: 0.3, peopleServed: 500, keywords: ['school', 'college', 'kindergarten', 'universit'] }
+  };
+  const MAX_CRITICAL_ASSETS = 5000;
+
+  // Monte Carlo spread around a scenario, one standard deviation each
+  const UNCERTAINTY_DEFAULTS = {
+    runs: 250,
+    levelSd: 15, // cm on the water level
+    curveSd: 0.2, // log-normal factor on each class's damage ratios
+    valueSd: 0.25 // log-normal factor on each building's value
+  };
+
+  // Calibration against an observed event tries levels every
+  // CALIBRATION_STEP_CM up to CALIBRATION_MAX_CM, then every cm around the
+  // best. The score to minimise is 1 − CSI for an outline plus the gauges'
+  // RMSE in m, so 10 cm of RMSE weighs as much as 0.1 of CSI.
+  const CALIBRATION_STEP_CM = 5;
+  const CALIBRATION_MAX_CM = 300;
+  const AGREEMENT_CLASSES = [
+    { id: 'hit', label: 'Flooded in both', color: '#58a6ff' },
+    { id: 'miss', label: 'Observed, not modelled', color: '#ff7b72' },
+    { id: 'falseAlarm', label: 'Modelled, not observed', color: '#f2cc60' }
+  ];
+
+  // Up to this many measures every combination is reported; beyond it only
+  // subsets of the selection and single additions are evaluated
+  const MAX_ENUMERATED_MEASURES = 4;
+
+  // Deterministic PRNG (Mulberry32) for reproducible synthetic dataset
+  function mulberry32(seed) {
+    let t = seed >>> 0;
+    return function() {
+      t += 0x6D2B79F5;
+      let r = Math.imul(t ^ t >>> 15, 1 | t);
+      r ^= r + Math.imul(r ^ r >>> 7, 61 | r);
+      return ((r ^ r >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  // Synthetic building centroids and baseline values (seeded). Occupancy
+  // comes from a second stream so positions and values match older links.
+  function createSyntheticBuildings(seed, count = 400) {
+    const rand = mulberry32(seed);
+    const classRand = mulberry32(seed ^ 0x9e3779b9);
+    return Array.from({ length: count }).map((_, i) => {
+      const latJitter = (rand() - 0.5) * 0.05;
+      const lngJitter = (rand() - 0.5) * 0.08;
+      const replacementCost = 100000 + rand() * 900000; // €
+      const isCritical = rand() < 0.06;
+      const u = classRand();
+      const occupancy = isCritical
+        ? (u < 0.5 ? 'public' : 'infrastructure')
+        : u < 0.6 ? 'residential' : u < 0.85 ? 'commercial' : u < 0.93 ? 'infrastructure' : 'public';
+      return {
+        id: i + 1,
+        lat: lyonCenter[0] + latJitter,
+        lng: lyonCenter[1] + lngJitter,
+        replacementCost,
+        isCritical,
+        occupancy
+      };
+    });
+  }
+
+  function classifyUse(use) {
+    const text = String(use || '').toLowerCase();
+    for (const [occupancy, keywords] of USE_KEYWORDS) {
+      if (keywords.some((k) => text.includes(k))) return occupancy;
+    }
+    return 'residential';
+  }
+
+  // Adoption (%) of a measure from a mitigation entry: true means its
+  // default adoption (older callers pass booleans), false/missing means off
+  function measureAdoption(measure, value) {
+    if (value === true) return measure.defaultAdoption;
+    const a = Number(value);
+    return Number.isFinite(a) ? Math.max(0, Math.min(100, a)) : 0;
+  }
+
+  function measureCost(measure, adoption) {
+    return adoption > 0 ? measure.cost.fixed + measure.cost.perPercent * adoption : 0;
+  }
+
+  // Fraction of the peak level a measure removes on its own
+  function measureEffect(measure, adoption) {
+    const { effect } = measure;
+    if (!(adoption > 0)) return 0;
+    if (effect.type === 'saturating') return effect.max * adoption / (adoption + effect.half);
+    return effect.perPercent * adoption;
+  }
+
+  // Peak reduction for a mitigation state ({ measureId: adoption % }). The
+  // effects add up (very simplified), capped at MAX_MITIGATION_REDUCTION.
+  // A number is taken as an already computed reduction.
+  function computeMitigationAttenuation(m, measures = MEASURES) {
+    if (typeof m === 'number') return m;
+    let atten = 0;
+    for (const measure of measures) atten += measureEffect(measure, measureAdoption(measure, m && m[measure.id]));
+    return Math.min(MAX_MITIGATION_REDUCTION, atten);
+  }
+
+  // Clean up a user-defined measure; out-of-range numbers are clamped
+  function normalizeMeasure(input) {
+    const num = (value, fallback, min, max) => {
+      const x = Number(value);
+      return Number.isFinite(x) ? Math.max(min, Math.min(max, x)) : fallback;
+    };
+    const cost = input.cost || {};
+    const effect = input.effect || {};
+    return {
+      id: input.id,
+      param: input.id,
+      label: String(input.label || input.id).trim().slice(0, 40) || input.id,
+      unit: String(input.unit || '').trim().slice(0, 40),
+      custom: true,
+      defaultAdoption: num(input.defaultAdoption, 50, 5, 100),
+      cost: { fixed: num(cost.fixed, 0, 0, 1e10), perPercent: num(cost.perPercent, 0, 0, 1e9) },
+      effect: effect.type === 'saturating'
+        ? { type: 'saturating', max: num(effect.max, 0, 0, MAX_MITIGATION_REDUCTION), half: num(effect.half, 50, 1, 1000) }
+        : { type: 'linear', perPercent: num(effect.perPercent, 0, 0, MAX_MITIGATION_REDUCTION / 100) }
+    };
+  }
+
+  // Custom measures from user input (a list of measure definitions); entries
+  // without a valid id (c1, c2, …) or repeating one are dropped
+  function customMeasuresFrom(input) {
+    if (!Array.isArray(input)) return [];
+    const seen = new Set();
+    const measures = [];
+    for (const def of input) {
+      if (!def || !CUSTOM_MEASURE_ID.test(def.id) || seen.has(def.id)) continue;
+      seen.add(def.id);
+      measures.push(normalizeMeasure(def));
+      if (measures.length >= MAX_CUSTOM_MEASURES) break;
+    }
+    return measures;
+  }
+
+  // Clean up drawn measures ({ id, type, coords: [[lng, lat], ...], height });
+  // unknown types, bad ids and too few points are dropped
+  function drawnMeasuresFrom(input) {
+    if (!Array.isArray(input)) return [];
+    const seen = new Set();
+    const drawn = [];
+    for (const d of input) {
+      const type = d && DRAWN_MEASURE_TYPES[d.type];
+      if (!type || !DRAWN_MEASURE_ID.test(d.id) || seen.has(d.id) || !Array.isArray(d.coords)) continue;
+      const coords = d.coords
+        .filter((p) => Array.isArray(p) && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1])))
+        .slice(0, MAX_DRAWN_VERTICES)
+        .map(([lng, lat]) => [Math.round(Number(lng) * 1e5) / 1e5, Math.round(Number(lat) * 1e5) / 1e5]);
+      if (coords.length < (type.geometry === 'line' ? 2 : 3)) continue;
+      seen.add(d.id);
+      const measure = { id: d.id, type: d.type, coords };
+      if (type.geometry === 'line') {
+        const height = Number(d.height);
+        measure.height = Number.isFinite(height) ? Math.max(0.2, Math.min(5, height)) : type.defaultHeight;
+      }
+      drawn.push(measure);
+      if (drawn.length >= MAX_DRAWN_MEASURES) break;
+    }
+    return drawn;
+  }
+
+  // Length (m) or area (m²) and cost (€) of a drawn measure
+  function drawnMeasureSize(measure) {
+    const type = DRAWN_MEASURE_TYPES[measure.type];
+    if (type.geometry === 'line') {
+      const lengthM = geodesicLengthM(measure.coords);
+      return { lengthM, cost: lengthM * measure.height * type.costPerM };
+    }
+    const areaM2 = geodesicAreaM2(measure.coords);
+    return { areaM2, cost: areaM2 * type.costPerM2 };
+  }
+
+  // Drawn measures as computeRoiEad entries: a fixed cost, no city-wide effect
+  // (labels are numbered per type: Barrier 1, Barrier 2, Green zone 1…)
+  function drawnRoiMeasures(drawn) {
+    const counts = {};
+    return drawn.map((d) => ({
+      id: d.id,
+      param: d.id,
+      label: `${DRAWN_MEASURE_TYPES[d.type].label} ${(counts[d.type] = (counts[d.type] || 0) + 1)}`,
+      drawn: true,
+      defaultAdoption: 100,
+      cost: { fixed: drawnMeasureSize(d).cost, perPercent: 0 },
+      effect: { type: 'linear', perPercent: 0 }
+    }));
+  }
+
+  function metersPerDegLng(lat) {
+    return M_PER_DEG_LAT * Math.cos(lat * Math.PI / 180);
+  }
+
+  // Distance (m) to the nearest point of a [lng, lat] polyline, and the
+  // chainage (m from its first vertex) of that point
+  function nearestOnPolyline(line, lng, lat) {
+    const kx = metersPerDegLng(lat);
+    let best = { distance: Infinity, chainage: 0 };
+    let chainage = 0;
+    for (let i = 1; i < line.length; i++) {
+      const ax = (line[i - 1][0] - lng) * kx;
+      const ay = (line[i - 1][1] - lat) * M_PER_DEG_LAT;
+      const dx = (line[i][0] - line[i - 1][0]) * kx;
+      const dy = (line[i][1] - line[i - 1][1]) * M_PER_DEG_LAT;
+      const len = Math.hypot(dx, dy);
+      const t = len > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (len * len))) : 0;
+      const distance = Math.hypot(ax + t * dx, ay + t * dy);
+      if (distance < best.distance) best = { distance, chainage: chainage + t * len };
+      chainage += len;
+    }
+    return best;
+  }
+
+  // Great-circle length (m) of a [lng, lat] polyline (haversine)
+  function geodesicLengthM(line) {
+    const rad = Math.PI / 180;
+    let length = 0;
+    for (let i = 1; i < line.length; i++) {
+      const [lng1, lat1] = line[i - 1];
+      const [lng2, lat2] = line[i];
+      const h = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+        Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lng2 - lng1) * rad / 2) ** 2;
+      length += 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+    return length;
+  }
+
+  // Area (m²) of a [lng, lat] ring on the sphere, closed or not
+  // (Chamberlain & Duquette, 2007 — the formula Leaflet.draw uses)
+  function geodesicAreaM2(ring) {
+    if (ring.length < 3) return 0;
+    const rad = Math.PI / 180;
+    let total = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      total += (ring[i][0] - ring[j][0]) * rad * (2 + Math.sin(ring[j][1] * rad) + Math.sin(ring[i][1] * rad));
+    }
+    return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+  }
+
+  function pointInRing(ring, lng, lat) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Regular lat/lng grid; cell (col, row) has its centre at
+  // west + (col + 0.5) * cellLng, south + (row + 0.5) * cellLat
+  function createGrid(bounds, cellM) {
+    const midLat = (bounds.south + bounds.north) / 2;
+    const cellLat = cellM / M_PER_DEG_LAT;
+    const cellLng = cellM / metersPerDegLng(midLat);
+    return {
+      south: bounds.south,
+      west: bounds.west,
+      cellLat,
+      cellLng,
+      rows: Math.ceil((bounds.north - bounds.south) / cellLat),
+      cols: Math.ceil((bounds.east - bounds.west) / cellLng),
+      cellWidthM: cellM,
+      cellHeightM: cellM
+    };
+  }
+
+  function cellCenter(grid, col, row) {
+    return [grid.west + (col + 0.5) * grid.cellLng, grid.south + (row + 0.5) * grid.cellLat];
+  }
+
+  // Fractional cell coordinates [col, row] → [lng, lat]
+  function gridToLngLat(grid, [x, y]) {
+    return [grid.west + (x + 0.5) * grid.cellLng, grid.south + (y + 0.5) * grid.cellLat];
+  }
+
+  // Bilinear sample of a cell-centred field; NaN outside the grid
+  function sampleGrid(grid, values, lat, lng) {
+    const x = (lng - grid.west) / grid.cellLng - 0.5;
+    const y = (lat - grid.south) / grid.cellLat - 0.5;
+    if (x < -0.5 || y < -0.5 || x > grid.cols - 0.5 || y > grid.rows - 0.5) return NaN;
+    const cx = Math.max(0, Math.min(grid.cols - 1, x));
+    const cy = Math.max(0, Math.min(grid.rows - 1, y));
+    const x0 = Math.min(Math.floor(cx), Math.max(0, grid.cols - 2));
+    const y0 = Math.min(Math.floor(cy), Math.max(0, grid.rows - 2));
+    const x1 = Math.min(x0 + 1, grid.cols - 1);
+    const y1 = Math.min(y0 + 1, grid.rows - 1);
+    const fx = cx - x0;
+    const fy = cy - y0;
+    const v00 = values[y0 * grid.cols + x0];
+    const v10 = values[y0 * grid.cols + x1];
+    const v01 = values[y1 * grid.cols + x0];
+    const v11 = values[y1 * grid.cols + x1];
+    return (v00 * (1 - fx) + v10 * fx) * (1 - fy) + (v01 * (1 - fx) + v11 * fx) * fy;
+  }
+
+  // Smooth value noise in [-1, 1] on a lattice of `spacing` cells
+  function valueNoise(rand, spacing, cols, rows) {
+    const lw = Math.ceil(cols / spacing) + 2;
+    const lh = Math.ceil(rows / spacing) + 2;
+    const lattice = Float32Array.from({ length: lw * lh }, () => rand() * 2 - 1);
+    const smooth = (t) => t * t * (3 - 2 * t);
+    return (col, row) => {
+      const x = col / spacing;
+      const y = row / spacing;
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const fx = smooth(x - x0);
+      const fy = smooth(y - y0);
+      const at = (i, j) => lattice[j * lw + i];
+      const top = at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx;
+      const bottom = at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx;
+      return top * (1 - fy) + bottom * fy;
+    };
+  }
+
+  // Synthetic DEM: a channel at bankfull stage falling downstream, with a
+  // floodplain rising away from it plus gentle undulation. `stage` holds the
+  // bankfull water surface at the nearest channel point for every cell.
+  function createSyntheticTerrain() {
+    const grid = createGrid(GRID_BOUNDS, GRID_CELL_M);
+    const n = grid.rows * grid.cols;
+    const dem = new Float32Array(n);
+    const stage = new Float32Array(n);
+    const channel = new Uint8Array(n);
+    const rand = mulberry32(TERRAIN_SEED);
+    const broad = valueNoise(rand, 16, grid.cols, grid.rows);
+    const fine = valueNoise(rand, 4, grid.cols, grid.rows);
+
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        const i = row * grid.cols + col;
+        const [lng, lat] = cellCenter(grid, col, row);
+        const { distance, chainage } = nearestOnPolyline(RIVER_CENTERLINE, lng, lat);
+        stage[i] = BANKFULL_UPSTREAM_M - RIVER_SLOPE * chainage;
+        if (distance <= CHANNEL_HALF_WIDTH_M) {
+          channel[i] = 1;
+          dem[i] = stage[i];
+          continue;
+        }
+        const away = distance - CHANNEL_HALF_WIDTH_M;
+        const undulation = (0.8 * broad(col, row) + 0.3 * fine(col, row)) * Math.min(1, away / 200);
+        // Banks always sit above bankfull
+        dem[i] = stage[i] + Math.max(0.1, FLOODPLAIN_RISE * away + undulation);
+      }
+    }
+    return { source: 'synthetic', grid, dem, stage, channel };
+  }
+
+  // Terrain from a loaded elevation raster (see FloodIO.rasterSampler):
+  // resampled to a lat/lng grid over its extent, with the bankfull stage
+  // taken from the lowest ground along the channel, never rising downstream
+  function createTerrainFromRaster({ bounds, sample }, { maxCells = 400 } = {}) {
+    const midLat = (bounds.south + bounds.north) / 2;
+    const widthM = (bounds.east - bounds.west) * metersPerDegLng(midLat);
+    const heightM = (bounds.north - bounds.south) * M_PER_DEG_LAT;
+    const cellM = Math.max(GRID_CELL_M, Math.max(widthM, heightM) / maxCells);
+    const grid = createGrid(bounds, cellM);
+    const n = grid.rows * grid.cols;
+    const dem = new Float32Array(n);
+    const stage = new Float32Array(n);
+    const channel = new Uint8Array(n);
+    const chainages = new Float32Array(n);
+    const halfWidth = Math.max(CHANNEL_HALF_WIDTH_M, cellM);
+    const bins = [];
+
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        const i = row * grid.cols + col;
+        const [lng, lat] = cellCenter(grid, col, row);
+        const z = sample(lng, lat);
+        // No data never floods
+        dem[i] = Number.isFinite(z) ? z : Infinity;
+        const { distance, chainage } = nearestOnPolyline(RIVER_CENTERLINE, lng, lat);
+        chainages[i] = chainage;
+        if (distance <= halfWidth && Number.isFinite(z)) {
+          channel[i] = 1;
+          const bin = Math.floor(chainage / cellM);
+          bins[bin] = Math.min(bins[bin] ?? Infinity, z);
+        }
+      }
+    }
+    if (!bins.some((z) => z !== undefined)) throw new Error('The elevation grid does not cover the river channel');
+
+    // Fill gaps from neighbours, then keep the profile non-increasing downstream
+    const profile = Array.from({ length: bins.length }, (_, k) => bins[k]);
+    let last;
+    for (let k = 0; k < profile.length; k++) {
+      if (profile[k] === undefined) profile[k] = last;
+      else last = profile[k];
+    }
+    for (let k = profile.length - 1; k >= 0; k--) {
+      if (profile[k] === undefined) profile[k] = last;
+      else last = profile[k];
+    }
+    for (let k = 1; k < profile.length; k++) profile[k] = Math.min(profile[k], profile[k - 1]);
+
+    for (let i = 0; i < n; i++) {
+      const x = Math.max(0, Math.min(profile.length - 1, chainages[i] / cellM - 0.5));
+      const k = Math.floor(x);
+      const next = Math.min(profile.length - 1, k + 1);
+      stage[i] = profile[k] + (profile[next] - profile[k]) * (x - k);
+    }
+    return { source: 'dem', grid, dem, stage, channel };
+  }
+
+  let syntheticTerrain = null;
+  function defaultTerrain() {
+    if (!syntheticTerrain) syntheticTerrain = createSyntheticTerrain();
+    return syntheticTerrain;
+  }
+
+  // Terrain with drawn measures burnt in: barrier cells raised to their
+  // crest, `drawdown` (m) on the water surface around basins and green zones.
+  // Cached per base terrain and set of measures.
+  const drawnTerrainCache = new WeakMap();
+  function withDrawnMeasures(terrain = defaultTerrain(), drawn) {
+    if (!drawn || !drawn.length) return terrain;
+    if (!drawnTerrainCache.has(terrain)) drawnTerrainCache.set(terrain, new Map());
+    const cache = drawnTerrainCache.get(terrain);
+    const key = JSON.stringify(drawn);
+    if (cache.has(key)) return cache.get(key);
+
+    const { grid } = terrain;
+    const dem = Float32Array.from(terrain.dem);
+    const drawdown = new Float32Array(dem.length);
+    const toGrid = ([lng, lat]) => [(lng - grid.west) / grid.cellLng - 0.5, (lat - grid.south) / grid.cellLat - 0.5];
+    for (const measure of drawn) {
+      const type = DRAWN_MEASURE_TYPES[measure.type];
+      if (type.geometry === 'line') {
+        // Half-cell steps keep the raised cells 8-connected, which the
+        // 4-connected spread cannot cross
+        for (let k = 1; k < measure.coords.length; k++) {
+          const [x0, y0] = toGrid(measure.coords[k - 1]);
+          const [x1, y1] = toGrid(measure.coords[k]);
+          const steps = Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0)) * 2) + 1;
+          for (let s = 0; s <= steps; s++) {
+            const col = Math.round(x0 + (x1 - x0) * s / steps);
+            const row = Math.round(y0 + (y1 - y0) * s / steps);
+            if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) continue;
+            const i = row * grid.cols + col;
+            dem[i] = Math.max(dem[i], terrain.dem[i] + measure.height);
+          }
+        }
+        continue;
+      }
+      const ring = measure.coords;
+      const padLng = DRAWDOWN_FALLOFF_M / metersPerDegLng(ring[0][1]);
+      const padLat = DRAWDOWN_FALLOFF_M / M_PER_DEG_LAT;
+      const lngs = ring.map((p) => p[0]);
+      const lats = ring.map((p) => p[1]);
+      const [c0, r0] = toGrid([Math.min(...lngs) - padLng, Math.min(...lats) - padLat]);
+      const [c1, r1] = toGrid([Math.max(...lngs) + padLng, Math.max(...lats) + padLat]);
+      const closed = [...ring, ring[0]];
+      for (let row = Math.max(0, Math.floor(r0)); row <= Math.min(grid.rows - 1, Math.ceil(r1)); row++) {
+        for (let col = Math.max(0, Math.floor(c0)); col <= Math.min(grid.cols - 1, Math.ceil(c1)); col++) {
+          const [lng, lat] = cellCenter(grid, col, row);
+          const distance = pointInRing(ring, lng, lat) ? 0 : nearestOnPolyline(closed, lng, lat).distance;
+          if (distance >= DRAWDOWN_FALLOFF_M) continue;
+          const i = row * grid.cols + col;
+          drawdown[i] = Math.max(drawdown[i], type.drawdown * (1 - distance / DRAWDOWN_FALLOFF_M));
+        }
+      }
+    }
+    if (cache.size >= 16) cache.delete(cache.keys().next().value);
+    const derived = { ...terrain, dem, drawdown, base: terrain };
+    cache.set(key, derived);
+    return derived;
+  }
+
+  // Depth raster for a water level above bankfull: the water surface is the
+  // bankfull stage plus the (mitigated) level, spreading from the channel
+  // only into cells connected to it, so isolated hollows stay dry.
+  function computeDepthGrid(levelCm, mitigation, terrain = defaultTerrain()) {
+    const { grid, dem, stage, channel, drawdown } = terrain;
+    const attenuation = 1 - computeMitigationAttenuation(mitigation);
+    const rise = Math.max(0, levelCm * attenuation / 100);
+    const n = grid.rows * grid.cols;
+    const depth = new Float32Array(n);
+    if (rise > 0) {
+      const visited = new Uint8Array(n);
+      const queue = new Int32Array(n);
+      let head = 0;
+      let tail = 0;
+      for (let i = 0; i < n; i++) {
+        if (channel[i] && stage[i] + rise > dem[i]) {
+          visited[i] = 1;
+          queue[tail++] = i;
+        }
+      }
+      while (head < tail) {
+        const i = queue[head++];
+        // Drawdown lowers the local surface without changing where water spreads
+        depth[i] = drawdown ? Math.max(0, stage[i] + rise - dem[i] - drawdown[i]) : stage[i] + rise - dem[i];
+        const col = i % grid.cols;
+        const neighbours = [
+          col > 0 ? i - 1 : -1,
+          col < grid.cols - 1 ? i + 1 : -1,
+          i - grid.cols,
+          i + grid.cols
+        ];
+        for (const j of neighbours) {
+          if (j < 0 || j >= n || visited[j]) continue;
+          if (stage[j] + rise - dem[j] > 0) {
+            visited[j] = 1;
+            queue[tail++] = j;
+          }
+        }
+      }
+    }
+    return { terrain, grid, levelCm, rise, depth };
+  }
+
+  // Small per-terrain cache: a render asks for the same grid several times
+  const depthGridCache = new WeakMap();
+  // (mitigation may be the reduction itself, see computeMitigationAttenuation)
+  function getDepthGrid(levelCm, mitigation, terrain = defaultTerrain()) {
+    if (!depthGridCache.has(terrain)) depthGridCache.set(terrain, new Map());
+    const cache = depthGridCache.get(terrain);
+    const key = `${levelCm}|${computeMitigationAttenuation(mitigation)}`;
+    if (!cache.has(key)) {
+      if (cache.size >= 12) cache.delete(cache.keys().next().value);
+      cache.set(key, computeDepthGrid(levelCm, mitigation, terrain));
+    }
+    return cache.get(key);
+  }
+
+  function sampleDepth(depthGrid, lat, lng) {
+    const depth = sampleGrid(depthGrid.grid, depthGrid.depth, lat, lng);
+    return Number.isNaN(depth) ? 0 : Math.max(0, depth);
+  }
+
+  function depthAtPoint(point, levelCm, mitigation, terrain) {
+    return sampleDepth(getDepthGrid(levelCm, mitigation, terrain), point[0], point[1]);
+  }
+
+  // Ground, water surface (m) and depth sampled every `stepM` metres along a
+  // [lng, lat] polyline, vertices included; water is null where it is dry
+  function transectProfile(line, levelCm, mitigation, terrain, stepM = 50) {
+    const depthGrid = getDepthGrid(levelCm, mitigation, terrain);
+    const { grid, dem } = depthGrid.terrain;
+    const samples = [];
+    let start = 0;
+    for (let k = 1; k < line.length; k++) {
+      const [lng0, lat0] = line[k - 1];
+      const [lng1, lat1] = line[k];
+      const length = geodesicLengthM([line[k - 1], line[k]]);
+      const n = Math.max(1, Math.ceil(length / stepM));
+      for (let j = k === 1 ? 0 : 1; j <= n; j++) {
+        const f = j / n;
+        const lng = lng0 + (lng1 - lng0) * f;
+        const lat = lat0 + (lat1 - lat0) * f;
+        const z = sampleGrid(grid, dem, lat, lng);
+        const ground = Number.isFinite(z) ? z : null;
+        const depth = sampleDepth(depthGrid, lat, lng);
+        const water = ground !== null && depth > WET_DEPTH_M ? ground + depth : null;
+        samples.push({ distanceM: start + length * f, lng, lat, ground, water, depth });
+      }
+      start += length;
+    }
+    return samples;
+  }
+
+  // Polygons (GeoJSON coordinates, [lng, lat]) where depth >= threshold
+  function depthContours(depthGrid, threshold) {
+    const { grid, depth } = depthGrid;
+    return FloodContours.contourPolygons(depth, grid.cols, grid.rows, threshold)
+      .map((polygon) => polygon.map((ring) => ring.map((p) => gridToLngLat(grid, p))));
+  }
+
+  // Depth bands between successive thresholds (m), the last one open-ended:
+  // [{ lower, upper, polygons }], polygons in GeoJSON coordinates. `smooth`
+  // rounds the cell-scale steps with Chaikin passes.
+  function depthIsobands(depthGrid, thresholds, { smooth = 0 } = {}) {
+    const { grid, depth } = depthGrid;
+    return thresholds.map((lower, i) => {
+      const upper = i + 1 < thresholds.length ? thresholds[i + 1] : Infinity;
+      const polygons = FloodContours.isobandPolygons(depth, grid.cols, grid.rows, lower, upper)
+        .map((polygon) => polygon.map((ring) => {
+          const smoothed = smooth ? FloodContours.smoothRing(ring, smooth) : ring;
+          return smoothed.map((p) => gridToLngLat(grid, p));
+        }));
+      return { lower, upper, polygons };
+    });
+  }
+
+  // Debris factor for urban areas (FD2321): none in shallow water
+  function debrisFactor(depth) {
+    return depth <= 0.25 ? 0 : depth <= 0.75 ? 0.5 : 1;
+  }
+
+  function hazardRating(depth, velocity) {
+    return depth > WET_DEPTH_M ? depth * (velocity + 0.5) + debrisFactor(depth) : 0;
+  }
+
+  // The HAZARD_CLASSES entry for a rating; null when dry
+  function hazardClass(rating) {
+    return rating > 0 ? HAZARD_CLASSES.find((c) => rating < c.max) : null;
+  }
+
+  // Per-cell water-surface slope, depth-averaged velocity (m/s) and hazard
+  // rating (-1 where dry). Velocity is Manning's v = R^2/3 S^1/2 / n with the
+  // hydraulic radius taken as the depth (wide, shallow flow). The slope is a
+  // central difference across wet neighbours, one-sided at the water's edge.
+  const flowCache = new WeakMap();
+  function flowField(depthGrid) {
+    if (flowCache.has(depthGrid)) return flowCache.get(depthGrid);
+    const { grid, depth } = depthGrid;
+    const { dem } = depthGrid.terrain;
+    const { cols, rows } = grid;
+    const slope = new Float32Array(depth.length);
+    const velocity = new Float32Array(depth.length);
+    const rating = new Float32Array(depth.length).fill(-1);
+    const wet = (i) => i >= 0 && depth[i] > WET_DEPTH_M;
+    const surface = (i) => dem[i] + depth[i];
+    const gradient = (i, a, b, spacing) => {
+      if (wet(a) && wet(b)) return (surface(b) - surface(a)) / (2 * spacing);
+      if (wet(a)) return (surface(i) - surface(a)) / spacing;
+      if (wet(b)) return (surface(b) - surface(i)) / spacing;
+      return 0;
+    };
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const i = row * cols + col;
+        if (!wet(i)) continue;
+        const sx = gradient(i, col > 0 ? i - 1 : -1, col < cols - 1 ? i + 1 : -1, grid.cellWidthM);
+        const sy = gradient(i, row > 0 ? i - cols : -1, row < rows - 1 ? i + cols : -1, grid.cellHeightM);
+        slope[i] = Math.hypot(sx, sy);
+        velocity[i] = Math.min(MAX_VELOCITY_MS, (depth[i] ** (2 / 3) * Math.sqrt(slope[i])) / MANNING_N);
+        rating[i] = hazardRating(depth[i], velocity[i]);
+      }
+    }
+    const field = { grid, slope, velocity, rating };
+    flowCache.set(depthGrid, field);
+    return field;
+  }
+
+  // { depth, slope, velocity, rating, hazard } at a point (hazard: a
+  // HAZARD_CLASSES entry, null when dry)
+  function flowAtPoint(depthGrid, lat, lng) {
+    const depth = sampleDepth(depthGrid, lat, lng);
+    if (depth <= WET_DEPTH_M) return { depth: 0, slope: 0, velocity: 0, rating: 0, hazard: null };
+    const { grid, slope, velocity } = flowField(depthGrid);
+    const v = Math.max(0, sampleGrid(grid, velocity, lat, lng));
+    const rating = hazardRating(depth, v);
+    return { depth, slope: Math.max(0, sampleGrid(grid, slope, lat, lng)), velocity: v, rating, hazard: hazardClass(rating) };
+  }
+
+  // Areas of each hazard class: [{ hazard, polygons }], polygons in GeoJSON
+  // coordinates
+  function hazardZones(depthGrid) {
+    const { grid, rating } = flowField(depthGrid);
+    return HAZARD_CLASSES.map((hazard, k) => ({
+      hazard,
+      polygons: FloodContours.isobandPolygons(rating, grid.cols, grid.rows, k ? HAZARD_CLASSES[k - 1].max : 0, hazard.max)
+        .map((polygon) => polygon.map((ring) => ring.map((p) => gridToLngLat(grid, p))))
+    }));
+  }
+
+  // Flood extent traced from the same depth grid the buildings are sampled on
+  function generateFloodGeoJSON(levelCm, mitigation, terrain) {
+    const depthGrid = getDepthGrid(levelCm, mitigation, terrain);
+    return {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { levelCm, rise: depthGrid.rise },
+          geometry: { type: 'MultiPolygon', coordinates: depthContours(depthGrid, WET_DEPTH_M) }
+        }
+      ]
+    };
+  }
+
+  // Linear interpolation in a [[depth, ratio], ...] table sorted by depth
+  function depthDamageRatio(depthMeters, curve = DEFAULT_DAMAGE_CURVES.residential) {
+    const d = Math.max(0, depthMeters);
+    if (!curve.length) return 0;
+    if (d <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+      const [d1, r1] = curve[i];
+      if (d <= d1) {
+        const [d0, r0] = curve[i - 1];
+        return d1 === d0 ? r1 : r0 + (r1 - r0) * (d - d0) / (d1 - d0);
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+
+  // Clean up an edited curve table: finite points, depth >= 0, ratio in
+  // [0, 1], sorted by depth, one point per depth
+  function normalizeCurve(points) {
+    const clean = points
+      .map(([d, r]) => [Number(d), Number(r)])
+      .filter(([d, r]) => Number.isFinite(d) && Number.isFinite(r))
+      .map(([d, r]) => [Math.max(0, d), Math.max(0, Math.min(1, r))])
+      .sort((a, b) => a[0] - b[0]);
+    return clean.filter((p, i) => i === 0 || p[0] !== clean[i - 1][0]);
+  }
+
+  // Damage curves from user input ({ class: [[depth, ratio], ...] }); classes
+  // that are missing or have fewer than two valid points keep their default
+  function damageCurvesFrom(input) {
+    const curves = {};
+    for (const { id } of OCCUPANCY_CLASSES) {
+      const points = input && Array.isArray(input[id]) ? normalizeCurve(input[id].filter(Array.isArray)) : [];
+      curves[id] = points.length >= 2 ? points : DEFAULT_DAMAGE_CURVES[id];
+    }
+    return curves;
+  }
+
+  function occupancyOf(building) {
+    return DEFAULT_DAMAGE_CURVES[building.occupancy] ? building.occupancy : 'residential';
+  }
+
+  // Occupants and vulnerable occupants of a building: its own counts when the
+  // data has them, else floor area (or value / VALUE_PER_M2) × class density
+  function buildingOccupants(b) {
+    const occupancy = occupancyOf(b);
+    const floorArea = b.floorArea > 0 ? b.floorArea : (b.replacementCost || 0) / VALUE_PER_M2;
+    const occupants = Number.isFinite(b.occupants) && b.occupants >= 0
+      ? Math.round(b.occupants)
+      : Math.round(floorArea * OCCUPANT_DENSITY[occupancy]);
+    const vulnerable = Number.isFinite(b.vulnerable) && b.vulnerable >= 0
+      ? Math.min(occupants, Math.round(b.vulnerable))
+      : Math.round(occupants * VULNERABLE_SHARE[occupancy]);
+    return { occupants, vulnerable };
+  }
+
+  function distanceM(a, b) {
+    return geodesicLengthM([a, b]);
+  }
+
+  // Checked network from loose input ({ roads, shelters } as read by
+  // FloodIO.roadNetworkFromGeoJSON): vertices outside lng/lat range end a
+  // line, shelters without a capacity take the synthetic one
+  function roadNetworkFrom(input) {
+    const point = (p) => Array.isArray(p) && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90 ? [Number(p[0]), Number(p[1])] : null;
+    const roads = [];
+    for (const line of (input && Array.isArray(input.roads) ? input.roads : []).slice(0, MAX_ROAD_LINES)) {
+      let run = [];
+      for (const p of [...(Array.isArray(line) ? line : []), null]) {
+        const v = point(p);
+        if (v) run.push(v);
+        else {
+          if (run.length >= 2) roads.push(run);
+          run = [];
+        }
+      }
+    }
+    if (!roads.length) throw new Error('no roads with two or more vertices');
+    const shelters = [];
+    const seen = new Set();
+    for (const raw of (Array.isArray(input.shelters) ? input.shelters : []).slice(0, MAX_SHELTERS)) {
+      const lat = Number(raw && raw.lat);
+      const lng = Number(raw && raw.lng);
+      const id = raw && raw.id !== undefined ? String(raw.id) : '';
+      if (!id || seen.has(id) || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      seen.add(id);
+      const capacity = Number(raw.capacity);
+      shelters.push({
+        id,
+        name: raw.name ? String(raw.name).slice(0, 100) : `Shelter ${id}`,
+        lat,
+        lng,
+        capacity: Number.isFinite(capacity) && capacity > 0 ? Math.round(capacity) : SYNTHETIC_SHELTER_CAPACITY
+      });
+    }
+    if (!shelters.length) throw new Error('no shelters (Point or Polygon features)');
+    return { roads, shelters };
+  }
+
+  // Stand-in network over a terrain grid: a lattice of streets every
+  // SYNTHETIC_ROAD_SPACING_M, and a shelter on the highest crossing of each
+  // of six blocks
+  function createSyntheticNetwork(terrain = defaultTerrain()) {
+    const { grid, dem } = terrain;
+    const north = grid.south + grid.rows * grid.cellLat;
+    const east = grid.west + grid.cols * grid.cellLng;
+    const stepLat = SYNTHETIC_ROAD_SPACING_M / M_PER_DEG_LAT;
+    const stepLng = SYNTHETIC_ROAD_SPACING_M / metersPerDegLng((grid.south + north) / 2);
+    const lats = [];
+    const lngs = [];
+    for (let lat = grid.south + stepLat / 2; lat < north; lat += stepLat) lats.push(lat);
+    for (let lng = grid.west + stepLng / 2; lng < east; lng += stepLng) lngs.push(lng);
+    const roads = [
+      ...lats.map((lat) => lngs.map((lng) => [lng, lat])),
+      ...lngs.map((lng) => lats.map((lat) => [lng, lat]))
+    ];
+    const shelters = [];
+    for (let by = 0; by < 2; by++) {
+      for (let bx = 0; bx < 3; bx++) {
+        let best = null;
+        for (const lat of lats.slice(Math.floor((by * lats.length) / 2), Math.floor(((by + 1) * lats.length) / 2))) {
+          for (const lng of lngs.slice(Math.floor((bx * lngs.length) / 3), Math.floor(((bx + 1) * lngs.length) / 3))) {
+            const z = sampleGrid(grid, dem, lat, lng);
+            if (Number.isFinite(z) && (!best || z > best.z)) best = { lat, lng, z };
+          }
+        }
+        if (best) shelters.push({ id: `s${shelters.length + 1}`, name: `Shelter ${shelters.length + 1}`, lat: best.lat, lng: best.lng, capacity: SYNTHETIC_SHELTER_CAPACITY });
+      }
+    }
+    return { roads, shelters };
+  }
+
+  // Graph of a network ({ roads, shelters }), cached per network
+  const roadGraphCache = new WeakMap();
+  function roadGraph(network) {
+    if (!roadGraphCache.has(network)) roadGraphCache.set(network, FloodRouting.buildGraph(network.roads, distanceM));
+    return roadGraphCache.get(network);
+  }
+
+  // Nearest road node of each building ({ node, distanceM }), cached per
+  // graph and building set since neither changes with the water level
+  const buildingSnapCache = new WeakMap();
+  function buildingSnaps(graph, buildings) {
+    if (!buildingSnapCache.has(graph)) buildingSnapCache.set(graph, new WeakMap());
+    const byBuildings = buildingSnapCache.get(graph);
+    if (!byBuildings.has(buildings)) byBuildings.set(buildings, new Array(buildings.length));
+    return byBuildings.get(buildings);
+  }
+
+  // Deepest water along each edge, sampled at least every grid cell
+  function edgeDepths(graph, depthGrid) {
+    const step = Math.min(depthGrid.grid.cellWidthM, depthGrid.grid.cellHeightM);
+    return Float32Array.from(graph.edges, ({ a, b, lengthM }) => {
+      const [lng0, lat0] = graph.nodes[a];
+      const [lng1, lat1] = graph.nodes[b];
+      const n = Math.max(1, Math.ceil(lengthM / step));
+      let deepest = 0;
+      for (let k = 0; k <= n; k++) {
+        deepest = Math.max(deepest, sampleDepth(depthGrid, lat0 + ((lat1 - lat0) * k) / n, lng0 + ((lng1 - lng0) * k) / n));
+      }
+      return deepest;
+    });
+  }
+
+  // Routes the occupants of every affected building (affected: 0/1 per
+  // building) to a shelter over roads no deeper than passableDepthM.
+  // Buildings go nearest first to their nearest shelter with room left, or
+  // to the nearest one when all are full. Returns
+  //   routes:   [{ building, shelter, people, vulnerable, distanceM, path }]
+  //   stranded: [{ building, people, vulnerable, reason }]
+  //   shelters: [{ ...shelter, closed, people, vulnerable }], closed = null
+  //             or why no one is sent there
+  //   closedRoads: [[[lng, lat], [lng, lat]]], the segments under water
+  // with path from the building to the shelter in [lng, lat].
+  function evacuationPlan(buildings, affected, network, depthGrid, { passableDepthM = PASSABLE_DEPTH_M } = {}) {
+    const graph = roadGraph(network);
+    const depths = edgeDepths(graph, depthGrid);
+    const passable = (e) => depths[e] <= passableDepthM;
+    const shelters = network.shelters.map((s) => {
+      const { node, distanceM: snapM } = FloodRouting.nearestNode(graph, [s.lng, s.lat], distanceM);
+      const closed = sampleDepth(depthGrid, s.lat, s.lng) > passableDepthM ? 'flooded'
+        : node < 0 || snapM > MAX_ROAD_SNAP_M ? 'no road nearby' : null;
+      return { shelter: { ...s, closed, people: 0, vulnerable: 0 }, tree: closed ? null : FloodRouting.shortestPaths(graph, node, passable) };
+    });
+    const snaps = buildingSnaps(graph, buildings);
+    const routes = [];
+    const stranded = [];
+    const candidates = [];
+    buildings.forEach((b, i) => {
+      if (!affected[i]) return;
+      const { occupants: people, vulnerable } = buildingOccupants(b);
+      if (!people) return;
+      if (!snaps[i]) snaps[i] = FloodRouting.nearestNode(graph, [b.lng, b.lat], distanceM);
+      const { node, distanceM: snapM } = snaps[i];
+      if (node < 0 || snapM > MAX_ROAD_SNAP_M) {
+        stranded.push({ building: i, people, vulnerable, reason: 'no road nearby' });
+        return;
+      }
+      const options = shelters
+        .map((s, k) => ({ k, distanceM: s.tree ? s.tree.distance[node] + snapM : Infinity }))
+        .filter((o) => Number.isFinite(o.distanceM))
+        .sort((x, y) => x.distanceM - y.distanceM);
+      if (!options.length) stranded.push({ building: i, people, vulnerable, reason: 'cut off by water' });
+      else candidates.push({ building: i, node, people, vulnerable, options });
+    });
+    candidates.sort((x, y) => x.options[0].distanceM - y.options[0].distanceM);
+    for (const c of candidates) {
+      const choice = c.options.find((o) => shelters[o.k].shelter.people + c.people <= shelters[o.k].shelter.capacity) || c.options[0];
+      const { shelter, tree } = shelters[choice.k];
+      shelter.people += c.people;
+      shelter.vulnerable += c.vulnerable;
+      const b = buildings[c.building];
+      routes.push({
+        building: c.building,
+        shelter: choice.k,
+        people: c.people,
+        vulnerable: c.vulnerable,
+        distanceM: choice.distanceM,
+        path: [[b.lng, b.lat], ...FloodRouting.pathFrom(graph, tree, c.node), [shelter.lng, shelter.lat]]
+      });
+    }
+    const closedRoads = [];
+    graph.edges.forEach(({ a, b }, e) => {
+      if (!passable(e)) closedRoads.push([graph.nodes[a], graph.nodes[b]]);
+    });
+    return { routes, stranded, shelters: shelters.map((s) => s.shelter), closedRoads };
+  }
+
+  // Per-building depth and damage for one level/mitigation combination
+  //   context.terrain — defaults to the synthetic terrain
+  //   context.curves  — damage curves by occupancy class, defaults to DEFAULT_DAMAGE_CURVES
+  //   context.measures — measure registry (built-in plus custom), defaults to MEASURES
+  //   context.drawn   — measures drawn on the map (see drawnMeasuresFrom)
+  function evaluateScenario(buildings, levelCm, mitigation, context = {}) {
+    const reduction = computeMitigationAttenuation(mitigation, context.measures);
+    const depthGrid = getDepthGrid(levelCm, reduction, withDrawnMeasures(context.terrain, context.drawn));
+    const curves = context.curves || DEFAULT_DAMAGE_CURVES;
+    let totalDamage = 0;
+    let affectedCount = 0;
+    let criticalCount = 0;
+    let exposedPeople = 0;
+    let exposedVulnerable = 0;
+    const damageByClass = {};
+    for (const c of OCCUPANCY_CLASSES) damageByClass[c.id] = 0;
+    const results = buildings.map((b) => {
+      const depth = sampleDepth(depthGrid, b.lat, b.lng);
+      const affected = depth > AFFECTED_DEPTH_M;
+      const occupancy = occupancyOf(b);
+      const ratio = affected ? depthDamageRatio(depth, curves[occupancy] || DEFAULT_DAMAGE_CURVES[occupancy]) : 0;
+      const damage = b.replacementCost * ratio;
+      totalDamage += damage;
+      damageByClass[occupancy] += damage;
+      if (affected) affectedCount += 1;
+      if (affected && b.isCritical) criticalCount += 1;
+      if (affected) {
+        const { occupants, vulnerable } = buildingOccupants(b);
+        exposedPeople += occupants;
+        exposedVulnerable += vulnerable;
+      }
+      return { depth, affected, damage, occupancy };
+    });
+    return { totalDamage, affectedCount, criticalCount, exposedPeople, exposedVulnerable, damageByClass, results };
+  }
+
+  // evaluateScenario with per-building results as typed arrays, cheap to
+  // post from a worker (transferable) and to keep for large building sets
+  function evaluateScenarioArrays(buildings, levelCm, mitigation, context = {}) {
+    const { results, ...summary } = evaluateScenario(buildings, levelCm, mitigation, context);
+    const depth = new Float32Array(results.length);
+    const damage = new Float64Array(results.length);
+    const affected = new Uint8Array(results.length);
+    results.forEach((r, i) => {
+      depth[i] = r.depth;
+      damage[i] = r.damage;
+      affected[i] = r.affected ? 1 : 0;
+    });
+    return { ...summary, levelCm, depth, damage, affected };
+  }
+
+  function criticalAssetType(text) {
+    const t = String(text || '').toLowerCase();
+    for (const [id, type] of Object.entries(CRITICAL_ASSET_TYPES)) {
+      if (type.keywords.some((k) => t.includes(k))) return id;
+    }
+    return null;
+  }
+
+  // Raw records (see FloodIO.criticalAssetsFromGeoJSON) → assets with a known
+  // type, a position and defaults filled in; dependencies on unknown ids or
+  // on the asset itself are dropped
+  function criticalAssetsFrom(input) {
+    if (!Array.isArray(input)) throw new Error('critical assets must be a list');
+    const assets = [];
+    const seen = new Set();
+    for (const raw of input.slice(0, MAX_CRITICAL_ASSETS)) {
+      const type = raw && (CRITICAL_ASSET_TYPES[raw.type] ? raw.type : criticalAssetType(raw.type));
+      const lat = Number(raw && raw.lat);
+      const lng = Number(raw && raw.lng);
+      const id = raw && raw.id !== undefined ? String(raw.id) : '';
+      if (!type || !id || seen.has(id) || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      seen.add(id);
+      const failDepthM = Number(raw.failDepthM);
+      const peopleServed = Number(raw.peopleServed);
+      assets.push({
+        id,
+        name: raw.name ? String(raw.name).slice(0, 100) : `${CRITICAL_ASSET_TYPES[type].label} ${id}`,
+        type,
+        lat,
+        lng,
+        failDepthM: Number.isFinite(failDepthM) && failDepthM >= 0 ? failDepthM : CRITICAL_ASSET_TYPES[type].failDepthM,
+        peopleServed: Number.isFinite(peopleServed) && peopleServed >= 0 ? Math.round(peopleServed) : CRITICAL_ASSET_TYPES[type].peopleServed,
+        dependsOn: Array.isArray(raw.dependsOn) ? raw.dependsOn.map(String) : []
+      });
+    }
+    if (!assets.length) throw new Error('no hospital, substation, pumping station or school found');
+    for (const asset of assets) asset.dependsOn = [...new Set(asset.dependsOn)].filter((id) => id !== asset.id && seen.has(id));
+    return assets;
+  }
+
+  // Stand-in catalogue from the critical buildings: typed by their use, or
+  // by occupancy and id for synthetic ones. Every site draws power from the
+  // nearest substation and hospitals also water from the nearest pumping station.
+  function createCriticalAssets(buildings) {
+    const assets = buildings.filter((b) => b.isCritical).map((b) => ({
+      id: `b${b.id}`,
+      type: criticalAssetType(b.use) ||
+        (b.occupancy === 'infrastructure' ? (b.id % 2 ? 'substation' : 'pumping') : b.id % 4 ? 'school' : 'hospital'),
+      lat: b.lat,
+      lng: b.lng,
+      dependsOn: []
+    }));
+    const nearest = (asset, type) => {
+      let best = null;
+      let bestM = Infinity;
+      for (const other of assets) {
+        if (other.type !== type || other === asset) continue;
+        const m = geodesicLengthM([[asset.lng, asset.lat], [other.lng, other.lat]]);
+        if (m < bestM) {
+          best = other;
+          bestM = m;
+        }
+      }
+      return best;
+    };
+    for (const asset of assets) {
+      if (asset.type !== 'substation') asset.dependsOn.push(nearest(asset, 'substation')?.id);
+      if (asset.type === 'hospital') asset.dependsOn.push(nearest(asset, 'pumping')?.id);
+      asset.dependsOn = asset.dependsOn.filter(Boolean);
+    }
+    return assets.length ? criticalAssetsFrom(assets) : [];
+  }
+
+  // Status of each asset at a depth grid: 'failed' above its threshold,
+  // 'wet' below it, 'impacted' when something it depends on is down (directly
+  // or further up the chain; `cause` names the failed site, `via` the
+  // dependency), else 'ok'. Cycles are fine, each asset is reached once.
+  function evaluateCriticalAssets(assets, depthGrid) {
+    const index = new Map(assets.map((a, i) => [a.id, i]));
+    const dependents = assets.map(() => []);
+    assets.forEach((a, i) => {
+      for (const id of a.dependsOn) if (index.has(id)) dependents[index.get(id)].push(i);
+    });
+    const results = assets.map((a) => {
+      const depth = sampleDepth(depthGrid, a.lat, a.lng);
+      const status = depth > a.failDepthM ? 'failed' : depth > WET_DEPTH_M ? 'wet' : 'ok';
+      return { id: a.id, depth, status, cause: null, via: null };
+    });
+    const queue = [];
+    results.forEach((r, i) => r.status === 'failed' && queue.push(i));
+    for (let head = 0; head < queue.length; head++) {
+      const i = queue[head];
+      for (const j of dependents[i]) {
+        if (results[j].status === 'failed' || results[j].status === 'impacted') continue;
+        results[j].status = 'impacted';
+        results[j].cause = results[i].cause || assets[i].id;
+        results[j].via = assets[i].id;
+        queue.push(j);
+      }
+    }
+    const down = results.filter((r) => r.status === 'failed' || r.status === 'impacted');
+    const byType = {};
+    for (const type of Object.keys(CRITICAL_ASSET_TYPES)) byType[type] = { total: 0, failed: 0, impacted: 0 };
+    assets.forEach((a, i) => {
+      byType[a.type].total += 1;
+      if (results[i].status === 'failed' || results[i].status === 'impacted') byType[a.type][results[i].status] += 1;
+    });
+    return {
+      results,
+      failedCount: results.filter((r) => r.status === 'failed').length,
+      impactedCount: results.filter((r) => r.status === 'impacted').length,
+      peopleAffected: down.reduce((sum, r) => sum + assets[index.get(r.id)].peopleServed, 0),
+      byType
+    };
+  }
+
+  // Steps through a level time series [{ t, level }] and tracks each
+  // building's maximum depth and the first time (t) it floods
+  function hydrographRunner(buildings, series, mitigation, context = {}) {
+    const n = buildings.length;
+    const maxDepth = new Float32Array(n);
+    const firstFlood = new Float64Array(n).fill(NaN);
+    const steps = [];
+    return {
+      runs: series.length,
+      get done() {
+        return steps.length;
+      },
+      step(count) {
+        const end = Math.min(series.length, steps.length + count);
+        for (let k = steps.length; k < end; k++) {
+          const { t, level } = series[k];
+          const r = evaluateScenarioArrays(buildings, level, mitigation, context);
+          for (let i = 0; i < n; i++) {
+            if (r.depth[i] > maxDepth[i]) maxDepth[i] = r.depth[i];
+            if (r.affected[i] && Number.isNaN(firstFlood[i])) firstFlood[i] = t;
+          }
+          steps.push({ t, level, totalDamage: r.totalDamage, affectedCount: r.affectedCount, criticalCount: r.criticalCount });
+        }
+        return steps.length >= series.length;
+      },
+      summary() {
+        const peak = steps.reduce((best, s) => (s.totalDamage > best.totalDamage ? s : best), steps[0]);
+        // Damage at every building's own maximum depth, which can exceed the
+        // damage at any single timestep
+        const curves = context.curves || DEFAULT_DAMAGE_CURVES;
+        let envelopeDamage = 0;
+        let floodedCount = 0;
+        buildings.forEach((b, i) => {
+          if (maxDepth[i] <= AFFECTED_DEPTH_M) return;
+          const occupancy = occupancyOf(b);
+          floodedCount += 1;
+          envelopeDamage += b.replacementCost * depthDamageRatio(maxDepth[i], curves[occupancy] || DEFAULT_DAMAGE_CURVES[occupancy]);
+        });
+        return { steps, peak, maxDepth, firstFlood, envelopeDamage, floodedCount };
+      }
+    };
+  }
+
+  function levelForReturnPeriod(returnPeriod) {
+    const x = Math.log(returnPeriod);
+    const first = STAGE_FREQUENCY[0];
+    const last = STAGE_FREQUENCY[STAGE_FREQUENCY.length - 1];
+    if (returnPeriod <= first[0]) return first[1];
+    for (let i = 1; i < STAGE_FREQUENCY.length; i++) {
+      const [t0, l0] = STAGE_FREQUENCY[i - 1];
+      const [t1, l1] = STAGE_FREQUENCY[i];
+      if (returnPeriod <= t1) {
+        const f = (x - Math.log(t0)) / (Math.log(t1) - Math.log(t0));
+        return l0 + f * (l1 - l0);
+      }
+    }
+    return last[1];
+  }
+
+  // Design rainfall depth (mm) of a T-year storm lasting durationH hours
+  function designRainfall(returnPeriod, durationH) {
+    return (IDF_A + IDF_A_PER_LOG_T * Math.log(returnPeriod)) * Math.pow(durationH, 1 - IDF_B);
+  }
+
+  // Return period of rainfallMm falling in durationH hours (inverse IDF)
+  function rainfallReturnPeriod(rainfallMm, durationH) {
+    const a = rainfallMm / Math.pow(durationH, 1 - IDF_B);
+    return Math.exp((a - IDF_A) / IDF_A_PER_LOG_T);
+  }
+
+  // Custom storm parameters, clamped; rainfall defaults to the design depth
+  function normalizeStorm(storm = {}) {
+    const read = (value, fallback, min, max) => {
+      const x = value === '' || value === null || value === undefined ? NaN : Number(value);
+      return Number.isFinite(x) ? Math.min(max, Math.max(min, x)) : fallback;
+    };
+    const durationH = read(storm.durationH, 12, 0.5, 72);
+    const returnPeriod = read(storm.returnPeriod, 100, 2, 1000);
+    const rainfallMm = read(storm.rainfallMm, Math.round(designRainfall(returnPeriod, durationH)), 1, 500);
+    const shape = storm.shape in HYDROGRAPH_SHAPES ? storm.shape : 'gamma';
+    return { rainfallMm, durationH, returnPeriod, shape };
+  }
+
+  // Level time series (cm above bankfull, hourly t) for a custom storm. The
+  // peak is the stage-frequency level of the rainfall's own return period, so
+  // design rainfall for T reproduces the T-year preset.
+  function stormHydrograph(storm) {
+    const s = normalizeStorm(storm);
+    const equivalentReturnPeriod = rainfallReturnPeriod(s.rainfallMm, s.durationH);
+    const peakCm = levelForReturnPeriod(equivalentReturnPeriod);
+    const timeToPeakH = CATCHMENT_LAG_H + s.durationH / 2;
+    const shape = HYDROGRAPH_SHAPES[s.shape].at;
+    const endH = 5 * timeToPeakH;
+    const stepH = Math.max(0.25, Math.ceil(endH / 200 * 4) / 4);
+    const series = [];
+    for (let k = 0; k * stepH <= endH; k++) {
+      const t = k * stepH;
+      const level = peakCm * shape(t / timeToPeakH);
+      series.push({ t, level: Math.round(level) });
+      if (t > timeToPeakH && level < 0.5) break;
+    }
+    return { ...s, equivalentReturnPeriod, peakCm, timeToPeakH, stepH, series };
+  }
+
+  // Expected annual damage: damage integrated over annual exceedance probability
+  // (trapezoidal rule on the stage–frequency curve). Events more frequent than
+  // the first return period are assumed harmless; rarer than the last one keep
+  // its damage.
+  function expectedAnnualDamage(damageAtLevel) {
+    const points = STAGE_FREQUENCY.map(([T, level]) => ({ p: 1 / T, damage: damageAtLevel(level) }));
+    let ead = 0;
+    for (let i = 1; i < points.length; i++) {
+      ead += (points[i - 1].p - points[i].p) * (points[i - 1].damage + points[i].damage) / 2;
+    }
+    const tail = points[points.length - 1];
+    return ead + tail.p * tail.damage;
+  }
+
+  // Mitigation state with the given measures on, each at its adoption from
+  // `adoption` ({ measureId: % }) or its default
+  function mitigationFromIds(ids, adoption = {}, measures = MEASURES) {
+    const m = {};
+    for (const measure of measures) {
+      m[measure.id] = ids.includes(measure.id) ? measureAdoption(measure, adoption[measure.id] ?? true) : 0;
+    }
+    return m;
+  }
+
+  function selectedMeasureIds(mitigation, measures = MEASURES) {
+    return measures.filter((measure) => measureAdoption(measure, mitigation[measure.id]) > 0).map((measure) => measure.id);
+  }
+
+  // damageAt callback for computeRoiEad over a building set; measures run at
+  // context.adoption, drawn measures only when their id is active
+  function scenarioDamage(buildings, context = {}) {
+    return (levelCm, ids) => evaluateScenario(buildings, levelCm, mitigationFromIds(ids, context.adoption, context.measures), {
+      ...context,
+      drawn: (context.drawn || []).filter((d) => ids.includes(d.id))
+    }).totalDamage;
+  }
+
+  // EAD and NPV of avoided damage for the selected mitigation and for each
+  // measure on its own, as a marginal addition, and as its Shapley share of
+  // the selected combination (shares add up to the combination's total).
+  // The exact Shapley value needs every subset of the selection, so above
+  // MAX_ENUMERATED_MEASURES selected measures each share is the mean of its
+  // first-in (standalone) and last-in (marginal) contributions, scaled to
+  // the total (shareMethod 'approximate').
+  // Costs are taken at each measure's adoption ({ measureId: % }, default
+  // adoption when missing), which damageAt should apply too.
+  //   damageAt(levelCm, activeIds) → total damage (€)
+  function computeRoiEad({ measures = MEASURES, adoption = {}, selected = [], horizon = 30, rate = 0.03, damageAt }) {
+    const n = measures.length;
+    const adoptions = measures.map((m) => measureAdoption(m, adoption[m.id] ?? true));
+    const costs = measures.map((m, i) => measureCost(m, adoptions[i]));
+    const factor = annuityFactor(horizon, rate);
+    // Combinations are sorted lists of measure indices, cached by their key
+    const eadCache = new Map();
+    const combine = (...parts) => [...new Set(parts.flat())].sort((a, b) => a - b);
+    const eadOf = (set) => {
+      const key = set.join(',');
+      if (!eadCache.has(key)) {
+        const ids = set.map((i) => measures[i].id);
+        eadCache.set(key, { set, ead: expectedAnnualDamage((level) => damageAt(level, ids)) });
+      }
+      return eadCache.get(key).ead;
+    };
+    const money = (avoidedEad) => ({ avoidedEad, npvAvoided: avoidedEad * factor });
+
+    const selectedSet = measures.map((m, i) => (selected.includes(m.id) ? i : -1)).filter((i) => i >= 0);
+    const without = (i) => selectedSet.filter((j) => j !== i);
+    const baseline = eadOf([]);
+    const eadSelected = eadOf(selectedSet);
+    const standalone = measures.map((_, i) => baseline - eadOf([i]));
+    const marginal = measures.map((_, i) => (selectedSet.includes(i)
+      ? eadOf(without(i)) - eadSelected
+      : eadSelected - eadOf(combine(selectedSet, i))));
+
+    // Shapley value over the subsets of the selection
+    const exact = selectedSet.length <= MAX_ENUMERATED_MEASURES;
+    const factorial = (k) => (k <= 1 ? 1 : k * factorial(k - 1));
+    const shapley = (i) => {
+      const others = without(i);
+      const s = selectedSet.length;
+      let value = 0;
+      for (let sub = 0; sub < 1 << others.length; sub++) {
+        const subset = others.filter((_, j) => sub & (1 << j));
+        const weight = factorial(subset.length) * factorial(s - subset.length - 1) / factorial(s);
+        value += weight * (eadOf(subset) - eadOf(combine(subset, i)));
+      }
+      return value;
+    };
+    const estimates = selectedSet.map((i) => (standalone[i] + marginal[i]) / 2);
+    const estimated = estimates.reduce((sum, v) => sum + v, 0);
+    const share = (i) => {
+      if (exact) return shapley(i);
+      const estimate = estimates[selectedSet.indexOf(i)];
+      return estimated !== 0 ? estimate * ((baseline - eadSelected) / estimated) : (baseline - eadSelected) / selectedSet.length;
+    };
+
+    const measureResults = measures.map((m, i) => {
+      const isSelected = selectedSet.includes(i);
+      return {
+        id: m.id,
+        label: m.label,
+        selected: isSelected,
+        adoption: adoptions[i],
+        cost: costs[i],
+        standalone: { ead: eadOf([i]), ...money(standalone[i]) },
+        marginal: money(marginal[i]),
+        share: money(isSelected ? share(i) : 0)
+      };
+    });
+
+    if (n <= MAX_ENUMERATED_MEASURES) {
+      for (let mask = 0; mask < 1 << n; mask++) eadOf(measures.map((_, i) => i).filter((i) => mask & (1 << i)));
+    }
+    const combinations = Array.from(eadCache.values())
+      .sort((a, b) => a.set.length - b.set.length || a.set.join(',').localeCompare(b.set.join(',')))
+      .map(({ set, ead }) => ({
+        measures: set.map((i) => measures[i].id),
+        cost: set.reduce((sum, i) => sum + costs[i], 0),
+        ead,
+        ...money(baseline - ead)
+      }));
+
+    return {
+      horizon,
+      rate,
+      annuityFactor: factor,
+      returnPeriods: STAGE_FREQUENCY.map(([T, level]) => ({ returnPeriod: T, probability: 1 / T, level })),
+      eadBaseline: baseline,
+      eadSelected,
+      ...money(baseline - eadSelected),
+      shareMethod: exact ? 'exact' : 'approximate',
+      measures: measureResults,
+      combinations
+    };
+  }
+
+  // Present value of 1 €/year over `horizon` years at discount `rate`
+  function annuityFactor(horizon, rate) {
+    if (rate === 0) return horizon;
+    return (1 - Math.pow(1 + rate, -horizon)) / rate;
+  }
+
+  // Standard normal draw (Box–Muller)
+  function normal(rand) {
+    return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+  }
+
+  // Mean-one log-normal factor
+  function lognormalFactor(rand, sd) {
+    return Math.exp(normal(rand) * sd - sd * sd / 2);
+  }
+
+  // One Monte Carlo run: perturbed level, class curves and building values.
+  // Run i has its own seeded stream, so results don't depend on batching.
+  function monteCarloRun(buildings, levelCm, mitigation, context = {}, options = {}, i = 0) {
+    const { seed = DEFAULT_SEED, levelSd, curveSd, valueSd } = { ...UNCERTAINTY_DEFAULTS, ...options };
+    const rand = mulberry32(Math.imul(seed ^ 0x5bd1e995, 0x27d4eb2d) + Math.imul(i + 1, 0x9e3779b1));
+    // Whole centimetres, so runs share cached depth grids
+    const level = Math.max(0, Math.round(levelCm + normal(rand) * levelSd));
+    const baseCurves = context.curves || DEFAULT_DAMAGE_CURVES;
+    const curves = {};
+    for (const { id } of OCCUPANCY_CLASSES) {
+      const factor = lognormalFactor(rand, curveSd);
+      curves[id] = (baseCurves[id] || DEFAULT_DAMAGE_CURVES[id]).map(([d, r]) => [d, Math.min(1, r * factor)]);
+    }
+    const summary = evaluateScenario(buildings, level, mitigation, { ...context, curves });
+    let totalDamage = 0;
+    const damageByClass = {};
+    for (const c of OCCUPANCY_CLASSES) damageByClass[c.id] = 0;
+    for (const r of summary.results) {
+      // Damage is linear in value; draw for every building to keep streams aligned
+      const damage = r.damage * lognormalFactor(rand, valueSd);
+      totalDamage += damage;
+      damageByClass[r.occupancy] += damage;
+    }
+    return {
+      level,
+      totalDamage,
+      affectedCount: summary.affectedCount,
+      criticalCount: summary.criticalCount,
+      damageByClass
+    };
+  }
+
+  function percentiles(values) {
+    const sorted = Float64Array.from(values).sort();
+    const at = (p) => {
+      if (!sorted.length) return 0;
+      const x = p * (sorted.length - 1);
+      const k = Math.floor(x);
+      const next = Math.min(sorted.length - 1, k + 1);
+      return sorted[k] + (sorted[next] - sorted[k]) * (x - k);
+    };
+    const mean = sorted.reduce((s, v) => s + v, 0) / (sorted.length || 1);
+    return { p5: at(0.05), p50: at(0.5), p95: at(0.95), mean };
+  }
+
+  // computeRoiEad over a building set as a one-step batched job, so the app
+  // can run it in the worker; options: { adoption, selected, horizon, rate }
+  function roiRunner(buildings, options, context = {}) {
+    let result = null;
+    return {
+      runs: 1,
+      get done() {
+        return result ? 1 : 0;
+      },
+      step() {
+        result = computeRoiEad({
+          ...options,
+          measures: [...(context.measures || MEASURES), ...drawnRoiMeasures(context.drawn || [])],
+          damageAt: scenarioDamage(buildings, { ...context, adoption: options.adoption })
+        });
+        return true;
+      },
+      summary: () => result
+    };
+  }
+
+  function summarizeMonteCarlo(samples) {
+    const damageByClass = {};
+    for (const { id } of OCCUPANCY_CLASSES) damageByClass[id] = percentiles(samples.map((s) => s.damageByClass[id]));
+    return {
+      runs: samples.length,
+      level: percentiles(samples.map((s) => s.level)),
+      totalDamage: percentiles(samples.map((s) => s.totalDamage)),
+      affectedCount: percentiles(samples.map((s) => s.affectedCount)),
+      criticalCount: percentiles(samples.map((s) => s.criticalCount)),
+      damageByClass
+    };
+  }
+
+  // Runs in batches (step), so callers can yield between them
+  function monteCarloRunner(buildings, levelCm, mitigation, context = {}, options = {}) {
+    const runs = options.runs || UNCERTAINTY_DEFAULTS.runs;
+    const samples = [];
+    return {
+      runs,
+      get done() {
+        return samples.length;
+      },
+      step(count) {
+        const end = Math.min(runs, samples.length + count);
+        for (let i = samples.length; i < end; i++) {
+          samples.push(monteCarloRun(buildings, levelCm, mitigation, context, options, i));
+        }
+        return samples.length >= runs;
+      },
+      summary: () => summarizeMonteCarlo(samples)
+    };
+  }
+
+  function runMonteCarlo(buildings, levelCm, mitigation, context = {}, options = {}) {
+    const runner = monteCarloRunner(buildings, levelCm, mitigation, context, options);
+    runner.step(runner.runs);
+    return runner.summary();
+  }
+
+  // Cells whose centre lies inside an observed outline (even-odd, so holes
+  // stay dry) and the cell window of its bounding box, which is where the
+  // extent is compared: a survey of one district is not penalised for water
+  // modelled elsewhere. Cached per outline and grid.
+  const observedMaskCache = new WeakMap();
+  function observedMask(grid, polygons) {
+    const cached = observedMaskCache.get(polygons);
+    if (cached && cached.grid === grid) return cached;
+    const mask = new Uint8Array(grid.cols * grid.rows);
+    const rings = polygons.flat();
+    let west = Infinity;
+    let east = -Infinity;
+    let south = Infinity;
+    let north = -Infinity;
+    for (const ring of rings) {
+      for (const [lng, lat] of ring) {
+        west = Math.min(west, lng);
+        east = Math.max(east, lng);
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+      }
+    }
+    const window = {
+      x0: Math.max(0, Math.floor((west - grid.west) / grid.cellLng)),
+      x1: Math.min(grid.cols - 1, Math.floor((east - grid.west) / grid.cellLng)),
+      y0: Math.max(0, Math.floor((south - grid.south) / grid.cellLat)),
+      y1: Math.min(grid.rows - 1, Math.floor((north - grid.south) / grid.cellLat))
+    };
+    // Scanlines through the cell centres: fill between pairs of crossings
+    for (let y = window.y0; y <= window.y1; y++) {
+      const lat = grid.south + (y + 0.5) * grid.cellLat;
+      const crossings = [];
+      for (const ring of rings) {
+        for (let k = 0, j = ring.length - 1; k < ring.length; j = k++) {
+          const [lng0, lat0] = ring[j];
+          const [lng1, lat1] = ring[k];
+          if (lat0 > lat !== lat1 > lat) crossings.push(lng0 + ((lat - lat0) / (lat1 - lat0)) * (lng1 - lng0));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+      for (let c = 0; c + 1 < crossings.length; c += 2) {
+        const from = Math.max(0, Math.ceil((crossings[c] - grid.west) / grid.cellLng - 0.5));
+        const to = Math.min(grid.cols - 1, Math.floor((crossings[c + 1] - grid.west) / grid.cellLng - 0.5));
+        for (let x = from; x <= to; x++) mask[y * grid.cols + x] = 1;
+      }
+    }
+    const result = { grid, mask, window };
+    observedMaskCache.set(polygons, result);
+    return result;
+  }
+
+  // Cell-by-cell contingency of modelled against observed extent inside the
+  // outline's bounding box: critical success index H / (H + M + F), hit rate
+  // H / (H + M) and false alarm ratio F / (H + F), NaN when undefined.
+  // `classes` holds the AGREEMENT_CLASSES index + 1 per cell, 0 elsewhere.
+  function extentAgreement(depthGrid, polygons) {
+    const { grid, depth } = depthGrid;
+    const { mask, window } = observedMask(grid, polygons);
+    const classes = new Uint8Array(mask.length);
+    let hits = 0;
+    let misses = 0;
+    let falseAlarms = 0;
+    let correctNegatives = 0;
+    for (let y = window.y0; y <= window.y1; y++) {
+      for (let x = window.x0; x <= window.x1; x++) {
+        const i = y * grid.cols + x;
+        const modelled = depth[i] > WET_DEPTH_M;
+        if (mask[i] && modelled) {
+          hits += 1;
+          classes[i] = 1;
+        } else if (mask[i]) {
+          misses += 1;
+          classes[i] = 2;
+        } else if (modelled) {
+          falseAlarms += 1;
+          classes[i] = 3;
+        } else {
+          correctNegatives += 1;
+        }
+      }
+    }
+    const ratio = (a, b) => (b > 0 ? a / b : NaN);
+    return {
+      hits,
+      misses,
+      falseAlarms,
+      correctNegatives,
+      cellAreaM2: grid.cellWidthM * grid.cellHeightM,
+      csi: ratio(hits, hits + misses + falseAlarms),
+      hitRate: ratio(hits, hits + misses),
+      falseAlarmRatio: ratio(falseAlarms, hits + falseAlarms),
+      classes
+    };
+  }
+
+  // Agreement areas as polygons in GeoJSON coordinates, one entry per class
+  function agreementZones(depthGrid, agreement) {
+    const { grid } = depthGrid;
+    return AGREEMENT_CLASSES.map((cls, k) => ({
+      agreement: cls,
+      polygons: FloodContours.contourPolygons(Float32Array.from(agreement.classes, (c) => (c === k + 1 ? 1 : 0)), grid.cols, grid.rows, 0.5)
+        .map((polygon) => polygon.map((ring) => ring.map((p) => gridToLngLat(grid, p))))
+    }));
+  }
+
+  // Modelled against observed water at each gauge. A reading of the water
+  // level becomes a depth over the model's ground, so the residual
+  // (modelled − observed depth, m) is the water-level error wherever both
+  // are wet. Gauges off the grid have a null residual.
+  function gaugeResiduals(depthGrid, gauges) {
+    const { grid, dem } = depthGrid.terrain;
+    const results = gauges.map((g) => {
+      const groundM = sampleGrid(grid, dem, g.lat, g.lng);
+      if (!Number.isFinite(groundM)) return { id: g.id, groundM: null, observedM: null, modelledM: null, residualM: null };
+      const observedM = g.depthM !== null && g.depthM !== undefined ? g.depthM : Math.max(0, g.stageM - groundM);
+      const modelledM = sampleDepth(depthGrid, g.lat, g.lng);
+      return { id: g.id, groundM, observedM, modelledM, residualM: modelledM - observedM };
+    });
+    const residuals = results.filter((r) => r.residualM !== null).map((r) => r.residualM);
+    const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN);
+    return { results, rmse: Math.sqrt(mean(residuals.map((r) => r * r))), bias: mean(residuals) };
+  }
+
+  // Fit of one level to an observed event ({ extent: polygons | null,
+  // gauges: [] }); lower scores fit better (see CALIBRATION_STEP_CM)
+  function observedFit(levelCm, mitigation, context, observed) {
+    const reduction = computeMitigationAttenuation(mitigation, context.measures);
+    const depthGrid = getDepthGrid(levelCm, reduction, withDrawnMeasures(context.terrain, context.drawn));
+    const extent = observed.extent ? extentAgreement(depthGrid, observed.extent) : null;
+    const gauges = observed.gauges && observed.gauges.length ? gaugeResiduals(depthGrid, observed.gauges) : null;
+    let score = 0;
+    if (extent) score += 1 - (Number.isFinite(extent.csi) ? extent.csi : 0);
+    if (gauges && Number.isFinite(gauges.rmse)) score += gauges.rmse;
+    return { level: levelCm, depthGrid, extent, gauges, score };
+  }
+
+  // Batched search for the level that best matches an observed event:
+  // every options.stepCm from 0 to options.maxCm, then every cm around the
+  // best of those. summary() → { best, fits } with fits in level order and
+  // only the statistics of each (no grids).
+  function calibrationRunner(observed, mitigation, context = {}, options = {}) {
+    const step = options.stepCm || CALIBRATION_STEP_CM;
+    const max = options.maxCm ?? CALIBRATION_MAX_CM;
+    const levels = [];
+    for (let level = 0; level <= max; level += step) levels.push(level);
+    const coarse = levels.length;
+    const fits = [];
+    let refined = false;
+    const stats = ({ level, extent, gauges, score }) => ({
+      level,
+      score,
+      csi: extent ? extent.csi : NaN,
+      hitRate: extent ? extent.hitRate : NaN,
+      falseAlarmRatio: extent ? extent.falseAlarmRatio : NaN,
+      rmse: gauges ? gauges.rmse : NaN,
+      bias: gauges ? gauges.bias : NaN
+    });
+    const best = () => fits.reduce((a, b) => (b.score < a.score ? b : a));
+    return {
+      get runs() {
+        return refined ? levels.length : coarse + 2 * (step - 1);
+      },
+      get done() {
+        return fits.length;
+      },
+      step(count) {
+        for (let k = 0; k < count && fits.length < levels.length; k++) {
+          fits.push(stats(observedFit(levels[fits.length], mitigation, context, observed)));
+          if (fits.length === coarse && !refined) {
+            refined = true;
+            const around = best().level;
+            for (let d = 1; d < step; d++) {
+              if (around - d >= 0) levels.push(around - d);
+              if (around + d <= max) levels.push(around + d);
+            }
+          }
+        }
+        return refined && fits.length >= levels.length;
+      },
+      summary: () => ({ best: best(), fits: [...fits].sort((a, b) => a.level - b.level) })
+    };
+  }
+
+  function formatEuro(value) {
+    return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(value);
+  }
+
+  return {
+    lyonCenter,
+    DEFAULT_SEED,
+    AFFECTED_DEPTH_M,
+    WET_DEPTH_M,
+    MANNING_N,
+    HAZARD_CLASSES,
+    DESIGN_STORMS,
+    STAGE_FREQUENCY,
+    RIVER_CENTERLINE,
+    HYDROGRAPH_SHAPES,
+    MEASURES,
+    MAX_MITIGATION_REDUCTION,
+    MAX_CUSTOM_MEASURES,
+    DRAWN_MEASURE_TYPES,
+    MAX_DRAWN_MEASURES,
+    OCCUPANCY_CLASSES,
+    DEFAULT_DAMAGE_CURVES,
+    UNCERTAINTY_DEFAULTS,
+    AGREEMENT_CLASSES,
+    PASSABLE_DEPTH_M,
+    CRITICAL_ASSET_TYPES,
+    mulberry32,
+    createSyntheticBuildings,
+    classifyUse,
+    measureAdoption,
+    measureCost,
+    measureEffect,
+    computeMitigationAttenuation,
+    normalizeMeasure,
+    customMeasuresFrom,
+    drawnMeasuresFrom,
+    drawnMeasureSize,
+    drawnRoiMeasures,
+    metersPerDegLng,
+    nearestOnPolyline,
+    geodesicLengthM,
+    geodesicAreaM2,
+    pointInRing,
+    createGrid,
+    cellCenter,
+    gridToLngLat,
+    sampleGrid,
+    createSyntheticTerrain,
+    createTerrainFromRaster,
+    defaultTerrain,
+    withDrawnMeasures,
+    computeDepthGrid,
+    getDepthGrid,
+    sampleDepth,
+    depthAtPoint,
+    transectProfile,
+    depthContours,
+    depthIsobands,
+    hazardRating,
+    hazardClass,
+    flowField,
+    flowAtPoint,
+    hazardZones,
+    generateFloodGeoJSON,
+    depthDamageRatio,
+    normalizeCurve,
+    damageCurvesFrom,
+    buildingOccupants,
+    roadNetworkFrom,
+    createSyntheticNetwork,
+    evacuationPlan,
+    evaluateScenario,
+    evaluateScenarioArrays,
+    criticalAssetType,
+    criticalAssetsFrom,
+    createCriticalAssets,
+    evaluateCriticalAssets,
+    hydrographRunner,
+    levelForReturnPeriod,
+    designRainfall,
+    rainfallReturnPeriod,
+    normalizeStorm,
+    stormHydrograph,
+    expectedAnnualDamage,
+    mitigationFromIds,
+    selectedMeasureIds,
+    scenarioDamage,
+    computeRoiEad,
+    roiRunner,
+    annuityFactor,
+    monteCarloRun,
+    summarizeMonteCarlo,
+    monteCarloRunner,
+    runMonteCarlo,
+    extentAgreement,
+    agreementZones,
+    gaugeResiduals,
+    observedFit,
+    calibrationRunner,
+    formatEuro
+  };
+});
@@ -0,0 +1,203 @@
+// Lyon Flood Lab — shortest paths on a road network
+// Plain script in the browser (window.FloodRouting), CommonJS module in Node.
+//
+// A graph is built from polylines ([lng, lat] vertices): lines that share a
+// vertex are connected there, so networks exported with split segments (as
+// OSM extracts are) route as expected. Edges are undirected and weighted by
+// the distance function the caller passes.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FloodRouting = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Vertices closer than ~0.1 m are the same node
+  const NODE_PRECISION = 1e6;
+
+  // { nodes: [[lng, lat]], edges: [{ a, b, lengthM }], adjacency: [[edge]] }
+  function buildGraph(lines, distance) {
+    const nodes = [];
+    const edges = [];
+    const adjacency = [];
+    const index = new Map();
+    const nodeAt = (p) => {
+      const key = `${Math.round(p[0] * NODE_PRECISION)},${Math.round(p[1] * NODE_PRECISION)}`;
+      if (!index.has(key)) {
+        index.set(key, nodes.length);
+        nodes.push([p[0], p[1]]);
+        adjacency.push([]);
+      }
+      return index.get(key);
+    };
+    for (const line of lines) {
+      for (let k = 1; k < line.length; k++) {
+        const a = nodeAt(line[k - 1]);
+        const b = nodeAt(line[k]);
+        if (a === b) continue;
+        adjacency[a].push(edges.length);
+        adjacency[b].push(edges.length);
+        edges.push({ a, b, lengthM: distance(nodes[a], nodes[b]) });
+      }
+    }
+    return { nodes, edges, adjacency };
+  }
+
+  // Connected nodes bucketed on a lng/lat grid of about one node per cell,
+  // built on first use per graph
+  const spatialIndexCache = new WeakMap();
+  function spatialIndex(graph) {
+    if (spatialIndexCache.has(graph)) return spatialIndexCache.get(graph);
+    const connected = [];
+    let minLng = Infinity;
+    let minLat = Infinity;
+    let maxLng = -Infinity;
+    let maxLat = -Infinity;
+    graph.nodes.forEach(([lng, lat], i) => {
+      if (!graph.adjacency[i].length) return;
+      connected.push(i);
+      minLng = Math.min(minLng, lng);
+      minLat = Math.min(minLat, lat);
+      maxLng = Math.max(maxLng, lng);
+      maxLat = Math.max(maxLat, lat);
+    });
+    const span = Math.max(maxLng - minLng, maxLat - minLat);
+    const cellDeg = span > 0 ? span / Math.ceil(Math.sqrt(connected.length)) : 1 / NODE_PRECISION;
+    const cols = Math.floor((maxLng - minLng) / cellDeg) + 1;
+    const rows = Math.floor((maxLat - minLat) / cellDeg) + 1;
+    const cells = new Map();
+    for (const i of connected) {
+      const key = Math.floor((graph.nodes[i][1] - minLat) / cellDeg) * cols + Math.floor((graph.nodes[i][0] - minLng) / cellDeg);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    }
+    const index = { count: connected.length, minLng, minLat, cellDeg, cols, rows, cells };
+    spatialIndexCache.set(graph, index);
+    return index;
+  }
+
+  // Index of the node nearest to a [lng, lat] point and its distance.
+  // Searches rings of grid cells outwards until no node outside them can be
+  // closer; distance must grow with the lng/lat offset (any geodesic does).
+  function nearestNode(graph, point, distance) {
+    const { count, minLng, minLat, cellDeg, cols, rows, cells } = spatialIndex(graph);
+    let best = -1;
+    let bestM = Infinity;
+    if (!count) return { node: best, distanceM: bestM };
+    const [lng, lat] = point;
+    const cx = Math.floor((lng - minLng) / cellDeg);
+    const cy = Math.floor((lat - minLat) / cellDeg);
+    const lastRing = Math.max(cx, cols - 1 - cx, cy, rows - 1 - cy);
+    for (let r = 0; r <= lastRing; r++) {
+      for (let y = Math.max(0, cy - r); y <= Math.min(rows - 1, cy + r); y++) {
+        // Whole top and bottom rows of the ring, only its ends in between
+        const step = y === cy - r || y === cy + r ? 1 : 2 * r;
+        for (let x = cx - r; x <= cx + r; x += step) {
+          if (x < 0 || x >= cols) continue;
+          for (const i of cells.get(y * cols + x) || []) {
+            const m = distance(point, graph.nodes[i]);
+            if (m < bestM) {
+              best = i;
+              bestM = m;
+            }
+          }
+        }
+      }
+      // Nodes past ring r are at least r cells away in lng or lat; the lng
+      // bound is taken at the latitude furthest from the equator it may span
+      const offset = r * cellDeg;
+      const farLat = Math.sign(lat || 1) * Math.min(90, Math.abs(lat) + offset);
+      if (best >= 0 && bestM <= Math.min(distance(point, [lng, lat + offset]), distance([lng, farLat], [lng + offset, farLat]))) break;
+    }
+    return { node: best, distanceM: bestM };
+  }
+
+  // Binary min-heap of [priority, value] pairs
+  function createHeap() {
+    const items = [];
+    return {
+      get size() {
+        return items.length;
+      },
+      push(priority, value) {
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+          const parent = (i - 1) >> 1;
+          if (items[parent][0] <= items[i][0]) break;
+          [items[parent], items[i]] = [items[i], items[parent]];
+          i = parent;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const l = 2 * i + 1;
+            const r = l + 1;
+            let m = i;
+            if (l < items.length && items[l][0] < items[m][0]) m = l;
+            if (r < items.length && items[r][0] < items[m][0]) m = r;
+            if (m === i) break;
+            [items[m], items[i]] = [items[i], items[m]];
+            i = m;
+          }
+        }
+        return top;
+      }
+    };
+  }
+
+  // Dijkstra from one node over the edges `passable(edgeIndex)` allows:
+  // { distance, via } per node, via = the edge it was reached by (-1 at the
+  // source or when unreachable, where distance is Infinity)
+  function shortestPaths(graph, source, passable = () => true) {
+    const n = graph.nodes.length;
+    const distance = new Float64Array(n).fill(Infinity);
+    const via = new Int32Array(n).fill(-1);
+    const heap = createHeap();
+    distance[source] = 0;
+    heap.push(0, source);
+    while (heap.size) {
+      const [d, node] = heap.pop();
+      if (d > distance[node]) continue;
+      for (const e of graph.adjacency[node]) {
+        if (!passable(e)) continue;
+        const edge = graph.edges[e];
+        const next = edge.a === node ? edge.b : edge.a;
+        const nd = d + edge.lengthM;
+        if (nd < distance[next]) {
+          distance[next] = nd;
+          via[next] = e;
+          heap.push(nd, next);
+        }
+      }
+    }
+    return { distance, via };
+  }
+
+  // Node coordinates from `node` back to the tree's source; null when unreachable
+  function pathFrom(graph, tree, node) {
+    if (!Number.isFinite(tree.distance[node])) return null;
+    const path = [graph.nodes[node]];
+    for (let at = node; tree.via[at] >= 0;) {
+      const edge = graph.edges[tree.via[at]];
+      at = edge.a === at ? edge.b : edge.a;
+      path.push(graph.nodes[at]);
+    }
+    return path;
+  }
+
+  return {
+    buildGraph,
+    nearestNode,
+    shortestPaths,
+    pathFrom
+  };
+});
@@ -0,0 +1,255 @@
+// Lyon Flood Lab — local analysis service (Node >= 18, no dependencies)
+//
+//   node server/analysis-service.js [--port 5000]
+//
+// Stands in for the Python service the app calls at `pythonService`
+// (localStorage, default http://localhost:5000):
+//
+//   POST /api/generate-analysis  before/after tiles around a building
+//   POST /api/depth-contours     depth isolines inside a bounding box
+//
+// Both take the scenario (measures, `seed`, `buildings`, `dem`, `curves`,
+// `dm`) in the query string, like the backend's GET routes, and their own
+// fields as a JSON body. Tiles come from OpenStreetMap, as on the map; when
+// they cannot be fetched, the model's terrain is drawn instead.
+
+'use strict';
+
+const FloodModel = require('../model.js');
+const { createServer, parseArgs, readScenario, readBody, sendJSON, handleHealth, HttpError } = require('./server.js');
+
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SIZE = 256;
+const TILE_TIMEOUT_MS = 5000;
+const MAX_CACHED_TILES = 256;
+// Matches the modal's canvases
+const IMAGE_WIDTH = 300;
+const IMAGE_HEIGHT = 200;
+const DEFAULT_ZOOM = 16;
+// Side of the squares the depth overlay is drawn with (px)
+const OVERLAY_CELL_PX = 6;
+const MAX_BODY_BYTES = 4096;
+// Contour levels traced per request, as many as the app's depth bands
+const MAX_CONTOUR_LEVELS = 12;
+
+// ---- Requests ----
+
+async function readJSONBody(req) {
+  try {
+    const body = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    if (!body || typeof body !== 'object') throw new Error('not an object');
+    return body;
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(400, 'body: invalid JSON');
+  }
+}
+
+function bodyNumber(body, name, fallback, min, max) {
+  const value = body[name] === undefined || body[name] === null ? fallback : Number(body[name]);
+  if (!Number.isFinite(value)) throw new HttpError(400, `${name}: not a number`);
+  return Math.min(max, Math.max(min, value));
+}
+
+// The body's level (cm) wins over the query string's, which defaults to 120
+async function readAnalysisScenario(body, params) {
+  const scenario = await readScenario(params);
+  const level = bodyNumber(body, 'level', scenario.level, 0, 1000);
+  const terrain = FloodModel.withDrawnMeasures(scenario.terrain, scenario.drawn);
+  const reduction = FloodModel.computeMitigationAttenuation(scenario.mitigation, scenario.measures);
+  return { ...scenario, level, terrain, depthGrid: FloodModel.getDepthGrid(level, reduction, terrain) };
+}
+
+// ---- Tiles ----
+
+// Web Mercator: lng/lat ↔ global pixel coordinates at zoom z
+function project(lng, lat, zoom) {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [((lng + 180) / 360) * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+}
+
+function unproject(x, y, zoom) {
+  const size = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / size;
+  return [(x / size) * 360 - 180, (Math.atan(Math.sinh(n)) * 180) / Math.PI];
+}
+
+const tileCache = new Map();
+async function fetchTile(z, x, y) {
+  const url = TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  if (!tileCache.has(url)) {
+    // OSM's tile policy asks for an identifying User-Agent
+    const res = await fetch(url, {
+      headers: { 'User-Agent': 'lyon-flood-lab-analysis/1.0' },
+      signal: AbortSignal.timeout(TILE_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    if (tileCache.size >= MAX_CACHED_TILES) tileCache.delete(tileCache.keys().next().value);
+    tileCache.set(url, Buffer.from(await res.arrayBuffer()).toString('base64'));
+  }
+  return tileCache.get(url);
+}
+
+// The tiles under the view, as SVG <image> elements; null when offline
+async function osmBasemap(view) {
+  const { left, top, zoom } = view;
+  const count = 2 ** zoom;
+  const jobs = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + IMAGE_HEIGHT - 1) / TILE_SIZE); ty++) {
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + IMAGE_WIDTH - 1) / TILE_SIZE); tx++) {
+      if (ty < 0 || ty >= count) continue;
+      const wrapped = ((tx % count) + count) % count;
+      jobs.push(fetchTile(zoom, wrapped, ty).then((png) =>
+        `<image x="${tx * TILE_SIZE - left}" y="${ty * TILE_SIZE - top}" width="${TILE_SIZE}" height="${TILE_SIZE}" href="data:image/png;base64,${png}"/>`));
+    }
+  }
+  try {
+    return (await Promise.all(jobs)).join('') + label('© OpenStreetMap contributors', IMAGE_WIDTH - 4, IMAGE_HEIGHT - 4, 'end', 9);
+  } catch (err) {
+    console.warn(`tiles: ${err.message}`);
+    return null;
+  }
+}
+
+// ---- Rendering ----
+
+function escapeXML(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function label(text, x, y, anchor = 'start', size = 12) {
+  return `<text x="${x}" y="${y}" text-anchor="${anchor}" font-family="sans-serif" font-size="${size}" fill="#fff" ` +
+    `stroke="#0b1020" stroke-width="3" paint-order="stroke">${escapeXML(text)}</text>`;
+}
+
+// view: the IMAGE_WIDTH × IMAGE_HEIGHT window centred on the point
+function viewAt(lng, lat, zoom) {
+  const [x, y] = project(lng, lat, zoom);
+  return { zoom, left: Math.round(x - IMAGE_WIDTH / 2), top: Math.round(y - IMAGE_HEIGHT / 2) };
+}
+
+// Calls fn(x, y, lng, lat) for the centre of every overlay square
+function eachCell(view, fn) {
+  for (let y = 0; y < IMAGE_HEIGHT; y += OVERLAY_CELL_PX) {
+    for (let x = 0; x < IMAGE_WIDTH; x += OVERLAY_CELL_PX) {
+      const [lng, lat] = unproject(view.left + x + OVERLAY_CELL_PX / 2, view.top + y + OVERLAY_CELL_PX / 2, view.zoom);
+      fn(x, y, lng, lat);
+    }
+  }
+}
+
+// Offline basemap: elevation shaded from low (dark green) to high (sand)
+function terrainBasemap(view, terrain) {
+  const samples = [];
+  eachCell(view, (x, y, lng, lat) => samples.push([x, y, FloodModel.sampleGrid(terrain.grid, terrain.dem, lat, lng)]));
+  const heights = samples.map((s) => s[2]).filter(Number.isFinite);
+  const low = Math.min(...heights);
+  const span = Math.max(1, Math.max(...heights) - low);
+  const rects = samples.map(([x, y, z]) => {
+    const t = Number.isFinite(z) ? (z - low) / span : 0;
+    const rgb = [58 + 150 * t, 84 + 110 * t, 52 + 90 * t].map(Math.round);
+    return `<rect x="${x}" y="${y}" width="${OVERLAY_CELL_PX}" height="${OVERLAY_CELL_PX}" fill="rgb(${rgb})"/>`;
+  });
+  return rects.join('') + label('Model terrain (tiles unavailable)', IMAGE_WIDTH - 4, IMAGE_HEIGHT - 4, 'end', 9);
+}
+
+// Modelled water, more opaque where deeper (same blue as the map's extent)
+function depthOverlay(view, depthGrid) {
+  const rects = [];
+  eachCell(view, (x, y, lng, lat) => {
+    const depth = FloodModel.sampleDepth(depthGrid, lat, lng);
+    if (depth <= FloodModel.WET_DEPTH_M) return;
+    const alpha = Math.min(0.8, 0.25 + depth * 0.3).toFixed(2);
+    rects.push(`<rect x="${x}" y="${y}" width="${OVERLAY_CELL_PX}" height="${OVERLAY_CELL_PX}" fill="rgba(88,166,255,${alpha})"/>`);
+  });
+  return rects.join('');
+}
+
+// Modelled buildings in view, the clicked one ringed
+function buildingMarks(view, buildings, lng, lat) {
+  const marks = [];
+  for (const b of buildings) {
+    const [bx, by] = project(b.lng, b.lat, view.zoom);
+    const x = bx - view.left;
+    const y = by - view.top;
+    if (x < 0 || y < 0 || x > IMAGE_WIDTH || y > IMAGE_HEIGHT) continue;
+    marks.push(`<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="${b.isCritical ? '#ff7b72' : '#7ee787'}" stroke="#000"/>`);
+  }
+  const [cx, cy] = project(lng, lat, view.zoom);
+  marks.push(`<circle cx="${(cx - view.left).toFixed(1)}" cy="${(cy - view.top).toFixed(1)}" r="8" fill="none" stroke="#f2cc60" stroke-width="2"/>`);
+  return marks.join('');
+}
+
+function svgDataURL(content) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_WIDTH}" height="${IMAGE_HEIGHT}" ` +
+    `viewBox="0 0 ${IMAGE_WIDTH} ${IMAGE_HEIGHT}"><rect width="100%" height="100%" fill="#0b1020"/>${content}</svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+// ---- Routes ----
+
+// Body { lat, lng, depth?, level?, zoom? } → { before_image, after_image }
+// as SVG data URLs, plus the modelled depth (m) and which basemap was used
+async function handleGenerateAnalysis(req, res, params) {
+  const body = await readJSONBody(req);
+  const lat = bodyNumber(body, 'lat', NaN, -85, 85);
+  const lng = bodyNumber(body, 'lng', NaN, -180, 180);
+  const zoom = Math.round(bodyNumber(body, 'zoom', DEFAULT_ZOOM, 12, 18));
+  const scenario = await readAnalysisScenario(body, params);
+  const depth = FloodModel.sampleDepth(scenario.depthGrid, lat, lng);
+  const view = viewAt(lng, lat, zoom);
+  const tiles = await osmBasemap(view);
+  const basemap = tiles || terrainBasemap(view, scenario.terrain);
+  const marks = buildingMarks(view, scenario.buildings, lng, lat);
+  sendJSON(res, 200, {
+    before_image: svgDataURL(basemap + marks + label('Before', 6, 16)),
+    after_image: svgDataURL(basemap + depthOverlay(view, scenario.depthGrid) + marks +
+      label(`${scenario.level} cm · ${depth.toFixed(2)} m here`, 6, 16)),
+    depth: Math.round(depth * 1000) / 1000,
+    level: scenario.level,
+    basemap: tiles ? 'osm' : 'terrain'
+  });
+}
+
+// Body { level?, bounds: [[south, west], [north, east]], interval? (m) } →
+// { level, contours: [{ level (m), coordinates: [[lat, lng], ...] }] }, one
+// outer ring per wet area deeper than each multiple of `interval`, up to
+// MAX_CONTOUR_LEVELS of them
+async function handleDepthContours(req, res, params) {
+  const body = await readJSONBody(req);
+  const interval = bodyNumber(body, 'interval', 0.5, 0.1, 5);
+  const bounds = Array.isArray(body.bounds) && body.bounds.length === 2 ? body.bounds.flat().map(Number) : [];
+  if (bounds.length !== 4 || !bounds.every(Number.isFinite)) throw new HttpError(400, 'bounds: expected [[south, west], [north, east]]');
+  const [south, west, north, east] = bounds;
+  const scenario = await readAnalysisScenario(body, params);
+  let deepest = 0;
+  for (const d of scenario.depthGrid.depth) if (d > deepest) deepest = d;
+  const inBounds = ([lng, lat]) => lat >= south && lat <= north && lng >= west && lng <= east;
+  const top = Math.min(deepest, interval * MAX_CONTOUR_LEVELS);
+  const contours = [];
+  for (let k = 1; k * interval <= top; k++) {
+    const level = Math.round(k * interval * 100) / 100;
+    for (const [outer] of FloodModel.depthContours(scenario.depthGrid, level)) {
+      if (!outer.some(inBounds)) continue;
+      contours.push({ level, coordinates: outer.map(([lng, lat]) => [Math.round(lat * 1e6) / 1e6, Math.round(lng * 1e6) / 1e6]) });
+    }
+  }
+  sendJSON(res, 200, { level: scenario.level, contours });
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.ANALYSIS_PORT) || 5000;
+  createServer({
+    get: { '/health': handleHealth },
+    post: {
+      '/api/generate-analysis': handleGenerateAnalysis,
+      '/api/depth-contours': handleDepthContours
+    }
+  }).listen(port, () => {
+    console.log(`Lyon Flood Lab analysis service on http://localhost:${port}`);
+  });
+}
+
+module.exports = { handleGenerateAnalysis, handleDepthContours };
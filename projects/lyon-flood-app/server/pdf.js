@@ -0,0 +1,63 @@
+// Minimal single-page PDF writer (Helvetica text only, no dependencies)
+
+'use strict';
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+// Standard Type 1 fonts only know WinAnsi; map what formatEuro produces
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (ch === '\\' || ch === '(' || ch === ')') out += `\\${ch}`;
+    else if (ch === '€') out += '\\200';
+    else if (ch === '\u00a0' || ch === '\u202f') out += ' ';
+    else if (ch === '\u2013' || ch === '\u2014') out += '-';
+    else if (code >= 32 && code < 256) out += ch;
+    else out += '?';
+  }
+  return out;
+}
+
+// lines: [{ text, size?, bold?, gap? }]
+function createTextPdf(lines, { title = 'Report' } = {}) {
+  const ops = ['BT'];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const line of lines) {
+    const size = line.size || 11;
+    y -= (line.gap || 0) + size * 1.4;
+    ops.push(`/${line.bold ? 'F2' : 'F1'} ${size} Tf`);
+    ops.push(`1 0 0 1 ${MARGIN} ${y.toFixed(2)} Tm`);
+    ops.push(`(${toWinAnsi(line.text)}) Tj`);
+  }
+  ops.push('ET');
+  const stream = ops.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+    `<< /Title (${toWinAnsi(title)}) /Producer (Lyon Flood Lab) >>`
+  ];
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(Buffer.byteLength(body, 'latin1'));
+    body += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) body += `${String(off).padStart(10, '0')} 00000 n \n`;
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  body += `startxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = { createTextPdf };
@@ -0,0 +1,479 @@
+// Lyon Flood Lab — local backend (Node >= 18, no dependencies)
+//
+//   node server/server.js [--port 3000]
+//
+// Serves the app itself plus the API routes app.js calls. Set LYON_API_KEY to
+// require a matching `apiKey` query parameter on every /api route. Short
+// links live in memory unless LYON_LINKS_FILE (or --links) names a JSON file.
+
+'use strict';
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const zlib = require('node:zlib');
+
+const FloodModel = require('../model.js');
+const FloodIO = require('../io.js');
+const FloodState = require('../state.js');
+const { createTextPdf } = require('./pdf.js');
+
+const APP_DIR = path.resolve(__dirname, '..');
+const STREAM_INTERVAL_MS = 200;
+// Stream levels stay within the app's slider range, in at most this many frames
+const MAX_LEVEL_CM = 300;
+const MAX_STREAM_FRAMES = 1000;
+// Reconnect delay suggested to EventSource clients
+const STREAM_RETRY_MS = 2000;
+const MAX_LINKS = 10000;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.geojson': 'application/geo+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+// Buildings are regenerated per seed, exactly like the client does
+const buildingCache = new Map();
+function buildingsForSeed(seed) {
+  if (!buildingCache.has(seed)) {
+    if (buildingCache.size > 32) buildingCache.clear();
+    buildingCache.set(seed, FloodModel.createSyntheticBuildings(seed));
+  }
+  return buildingCache.get(seed);
+}
+
+// Local data files named by the client (`buildings`, `dem`), relative to the
+// app directory and never outside it
+const fileCache = new Map();
+function loadDataFile(relative, parse) {
+  const file = path.resolve(APP_DIR, relative);
+  if (!file.startsWith(APP_DIR + path.sep)) throw new HttpError(400, `${relative}: outside the app directory`);
+  if (!fileCache.has(file)) {
+    const loading = fs.promises.readFile(file).then(parse);
+    loading.catch(() => fileCache.delete(file));
+    fileCache.set(file, loading);
+  }
+  return fileCache.get(file).catch((err) => {
+    if (err.code === 'ENOENT') throw new HttpError(404, `${relative}: not found`);
+    throw new HttpError(400, `${relative}: ${err.message}`);
+  });
+}
+
+async function loadDataset(params, seed) {
+  const buildingsPath = params.get('buildings');
+  const demPath = params.get('dem');
+  const buildings = buildingsPath
+    ? await loadDataFile(buildingsPath, (data) => FloodIO.buildingsFromGeoJSON(JSON.parse(data.toString('utf8'))).buildings
+      .map((b) => ({ ...b, occupancy: FloodModel.classifyUse(b.use) })))
+    : buildingsForSeed(seed);
+  const terrain = demPath
+    ? await loadDataFile(demPath, async (data) => {
+      const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+      const raster = await FloodIO.parseElevationFile(demPath, buffer, { inflate: (bytes) => zlib.inflateSync(bytes) });
+      return FloodModel.createTerrainFromRaster(FloodIO.rasterSampler(raster));
+    })
+    : FloodModel.defaultTerrain();
+  return { buildings, terrain };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readNumber(params, name, fallback) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Custom damage curves, as JSON { residential: [[depth, ratio], ...], ... }
+function readCurves(params) {
+  const raw = params.get('curves');
+  if (!raw) return FloodModel.DEFAULT_DAMAGE_CURVES;
+  try {
+    return FloodModel.damageCurvesFrom(JSON.parse(raw));
+  } catch {
+    throw new HttpError(400, 'curves: invalid JSON');
+  }
+}
+
+// Custom mitigation measures, as a JSON list of measure definitions
+function readMeasures(params) {
+  const raw = params.get('cm');
+  if (!raw) return FloodModel.MEASURES;
+  try {
+    return [...FloodModel.MEASURES, ...FloodModel.customMeasuresFrom(JSON.parse(raw))];
+  } catch {
+    throw new HttpError(400, 'cm: invalid JSON');
+  }
+}
+
+// Measures drawn on the map, as a JSON list (see FloodModel.drawnMeasuresFrom)
+function readDrawnMeasures(params) {
+  const raw = params.get('dm');
+  if (!raw) return [];
+  try {
+    return FloodModel.drawnMeasuresFrom(JSON.parse(raw));
+  } catch {
+    throw new HttpError(400, 'dm: invalid JSON');
+  }
+}
+
+// Measure flags (`gr=1`) and adoption levels (`gra=20`, default adoption
+// when missing); unselected measures keep theirs for the ROI table
+function readMitigation(params, measures) {
+  const mitigation = {};
+  const adoption = {};
+  for (const measure of measures) {
+    adoption[measure.id] = FloodModel.measureAdoption(measure, readNumber(params, `${measure.param}a`, measure.defaultAdoption));
+    mitigation[measure.id] = params.get(measure.param) === '1' ? adoption[measure.id] : 0;
+  }
+  return { mitigation, adoption };
+}
+
+async function readScenario(params) {
+  const measures = readMeasures(params);
+  const { mitigation, adoption } = readMitigation(params, measures);
+  const seed = readNumber(params, 'seed', 0) || FloodModel.DEFAULT_SEED;
+  const { buildings, terrain } = await loadDataset(params, seed);
+  return {
+    seed,
+    level: readNumber(params, 'level', 120),
+    mitigation,
+    adoption,
+    measures,
+    drawn: readDrawnMeasures(params),
+    buildings,
+    terrain,
+    curves: readCurves(params),
+    datasetLabel: params.get('buildings') || `synthetic, seed ${seed}`
+  };
+}
+
+// Drawn measures are always in place, so they count as selected
+function roiFor({ buildings, terrain, curves, measures, drawn, mitigation, adoption }, horizon, rate) {
+  return FloodModel.computeRoiEad({
+    measures: [...measures, ...FloodModel.drawnRoiMeasures(drawn)],
+    adoption,
+    selected: [...FloodModel.selectedMeasureIds(mitigation, measures), ...drawn.map((d) => d.id)],
+    horizon,
+    rate,
+    damageAt: FloodModel.scenarioDamage(buildings, { terrain, curves, measures, drawn, adoption })
+  });
+}
+
+function isAuthorized(params) {
+  const expected = process.env.LYON_API_KEY;
+  if (!expected) return true;
+  const given = Buffer.from(params.get('apiKey') || '');
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// ---- Short links ----
+
+// id → encoded state (see state.js); ids are content hashes, so posting the
+// same state twice gives the same link
+const links = new Map();
+let linksFile = null;
+
+function loadLinks(file) {
+  linksFile = file;
+  try {
+    for (const [id, s] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) links.set(id, s);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`${file}: ${err.message}`);
+  }
+}
+
+function saveLinks() {
+  if (!linksFile) return;
+  fs.writeFile(linksFile, JSON.stringify(Object.fromEntries(links)), (err) => {
+    if (err) console.error(`${linksFile}: ${err.message}`);
+  });
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleCreateLink(req, res) {
+  let encoded;
+  try {
+    encoded = JSON.parse(await readBody(req, FloodState.MAX_ENCODED_LENGTH + 100)).s;
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(400, 'body: invalid JSON');
+  }
+  try {
+    await FloodState.decodeState(encoded);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  const id = crypto.createHash('sha256').update(encoded).digest('base64url').slice(0, 10);
+  if (!links.has(id)) {
+    if (links.size >= MAX_LINKS) links.delete(links.keys().next().value);
+    links.set(id, encoded);
+    saveLinks();
+  }
+  sendJSON(res, 201, { id });
+}
+
+function handleGetLink(req, res, params) {
+  const s = links.get(params.get('id') || '');
+  if (!s) throw new HttpError(404, 'link not found');
+  sendJSON(res, 200, { s });
+}
+
+function handleHealth(req, res) {
+  sendJSON(res, 200, { status: 'ok', auth: Boolean(process.env.LYON_API_KEY) });
+}
+
+async function handleRoiEad(req, res, params) {
+  const scenario = await readScenario(params);
+  const horizon = Math.max(1, readNumber(params, 'horizon', 30));
+  const rate = Math.max(0, readNumber(params, 'rate', 0.03));
+  const roi = roiFor(scenario, horizon, rate);
+  sendJSON(res, 200, { seed: scenario.seed, mitigation: scenario.mitigation, ...roi });
+}
+
+async function handleReport(req, res, params) {
+  const scenario = await readScenario(params);
+  const { level, mitigation, measures, drawn, buildings, terrain, curves } = scenario;
+  const summary = FloodModel.evaluateScenario(buildings, level, mitigation, { terrain, curves, measures, drawn });
+  const roi = roiFor(scenario, 30, 0.03);
+  const euro = FloodModel.formatEuro;
+  const selected = measures.filter((m) => mitigation[m.id] > 0);
+
+  const pdf = createTextPdf([
+    { text: 'Lyon Flood Lab — Scenario report', size: 18, bold: true },
+    { text: `Generated ${new Date().toISOString()}`, size: 9 },
+    { text: 'Scenario', size: 13, bold: true, gap: 14 },
+    { text: `Water level above bankfull: ${level} cm` },
+    { text: `Mitigation: ${selected.map((m) => `${m.label} ${mitigation[m.id]} %`).join(', ') || 'none'}` },
+    ...(drawn.length ? [{ text: `Drawn on the map: ${FloodModel.drawnRoiMeasures(drawn).map((m) => m.label).join(', ')}` }] : []),
+    { text: `Buildings: ${buildings.length} (${scenario.datasetLabel}); terrain: ${params.get('dem') || 'synthetic'}` },
+    { text: 'Damages', size: 13, bold: true, gap: 14 },
+    { text: `Total damage: ${euro(summary.totalDamage)}` },
+    { text: `Buildings affected: ${summary.affectedCount}` },
+    { text: `Critical sites affected: ${summary.criticalCount}` },
+    { text: `People exposed: ${summary.exposedPeople}, of whom vulnerable: ${summary.exposedVulnerable}` },
+    { text: FloodModel.OCCUPANCY_CLASSES.map((c) => `${c.label} ${euro(summary.damageByClass[c.id])}`).join('   ') },
+    { text: `Damage curves: ${params.get('curves') ? 'custom' : 'default (JRC Europe)'}`, size: 9 },
+    { text: 'Expected annual damage (30 years, 3 %)', size: 13, bold: true, gap: 14 },
+    { text: `EAD without mitigation: ${euro(roi.eadBaseline)}` },
+    { text: `EAD with selected mitigation: ${euro(roi.eadSelected)}` },
+    { text: `NPV of avoided damage: ${euro(roi.npvAvoided)}` },
+    ...roi.measures.map((m) => ({
+      text: `${m.label} (${m.adoption} %): cost ${euro(m.cost)}, alone ${euro(m.standalone.npvAvoided)}` +
+        (m.selected ? `, share of selection ${euro(m.share.npvAvoided)}` : ' (not selected)')
+    })),
+    { text: 'Demonstration only — synthetic data and simplified hydrology. Not for engineering use.', size: 9, gap: 24 }
+  ], { title: 'Lyon Flood Lab report' });
+
+  res.writeHead(200, {
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': 'inline; filename="lyon-flood-report.pdf"'
+  });
+  res.end(pdf);
+}
+
+// One stream frame: the KPIs, plus with detail=full the flood extent and
+// per-building results so the client can draw them without running the model
+function streamFrame(scenario, level, full) {
+  const { mitigation, measures, drawn, buildings, terrain, curves } = scenario;
+  const context = { terrain, curves, measures, drawn };
+  if (!full) {
+    const summary = FloodModel.evaluateScenario(buildings, level, mitigation, context);
+    return {
+      level,
+      totalDamage: summary.totalDamage,
+      affectedCount: summary.affectedCount,
+      criticalCount: summary.criticalCount,
+      exposedPeople: summary.exposedPeople,
+      exposedVulnerable: summary.exposedVulnerable,
+      damageByClass: summary.damageByClass
+    };
+  }
+  const { depth, damage, affected, ...summary } = FloodModel.evaluateScenarioArrays(buildings, level, mitigation, context);
+  const reduction = FloodModel.computeMitigationAttenuation(mitigation, measures);
+  return {
+    level,
+    totalDamage: summary.totalDamage,
+    affectedCount: summary.affectedCount,
+    criticalCount: summary.criticalCount,
+    exposedPeople: summary.exposedPeople,
+    exposedVulnerable: summary.exposedVulnerable,
+    damageByClass: summary.damageByClass,
+    extent: FloodModel.generateFloodGeoJSON(level, reduction, FloodModel.withDrawnMeasures(terrain, drawn)),
+    buildings: {
+      depth: Array.from(depth, (d) => Math.round(d * 1000) / 1000),
+      damage: Array.from(damage, Math.round),
+      affected: Array.from(affected)
+    }
+  };
+}
+
+// Event ids are levels. A reconnecting EventSource sends the last one it saw
+// as Last-Event-ID; clients that reopen the stream themselves pass lastEventId.
+// Either way the stream resumes at the next step instead of starting over.
+async function handleStream(req, res, params) {
+  const scenario = await readScenario(params);
+  const full = params.get('detail') === 'full';
+  const clampLevel = (cm) => Math.min(MAX_LEVEL_CM, Math.max(0, cm));
+  const start = clampLevel(readNumber(params, 'start', 0));
+  const end = clampLevel(readNumber(params, 'end', MAX_LEVEL_CM));
+  const step = Math.abs(readNumber(params, 'step', 3));
+  if (!(step > 0) || (end - start) / step + 1 > MAX_STREAM_FRAMES) {
+    throw new HttpError(400, `step: expected a level step giving at most ${MAX_STREAM_FRAMES} frames`);
+  }
+  const lastId = Number(req.headers['last-event-id'] || params.get('lastEventId') || undefined);
+  let level = Number.isFinite(lastId) ? Math.max(start, lastId + step) : start;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const send = (event, data, id) => res.write(`${id === undefined ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const timer = setInterval(() => {
+    if (level > end) {
+      clearInterval(timer);
+      send('done', { level: end });
+      res.end();
+      return;
+    }
+    send('progress', streamFrame(scenario, level, full), level);
+    level += step;
+  }, STREAM_INTERVAL_MS);
+  req.on('close', () => clearInterval(timer));
+}
+
+function serveStatic(req, res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    throw new HttpError(400, 'malformed URL');
+  }
+  const relative = pathname === '/' ? 'index.html' : decoded.replace(/^\/+/, '');
+  const file = path.resolve(APP_DIR, relative);
+  if (!file.startsWith(APP_DIR + path.sep)) {
+    sendJSON(res, 403, { error: 'forbidden' });
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJSON(res, 404, { error: 'not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const routes = {
+  '/health': handleHealth,
+  '/api/roi-ead': handleRoiEad,
+  '/api/report.pdf': handleReport,
+  '/api/simulate/stream': handleStream,
+  '/api/links': handleGetLink
+};
+
+const postRoutes = {
+  '/api/links': handleCreateLink
+};
+
+// tables: { get, post } route maps; other GET paths serve the app's files
+async function handleRequest(tables, req, res) {
+  // The app is usually opened from another origin (file:// or a static host)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type' });
+    res.end();
+    return;
+  }
+  try {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      throw new HttpError(400, 'malformed URL');
+    }
+    const table = req.method === 'GET' ? tables.get : req.method === 'POST' ? tables.post : null;
+    if (!table || (req.method === 'POST' && !table[url.pathname])) {
+      sendJSON(res, 405, { error: 'method not allowed' });
+      return;
+    }
+    const handler = table[url.pathname];
+    if (!handler) {
+      serveStatic(req, res, url.pathname);
+      return;
+    }
+    if (url.pathname.startsWith('/api/') && !isAuthorized(url.searchParams)) {
+      sendJSON(res, 401, { error: 'invalid or missing apiKey' });
+      return;
+    }
+    await handler(req, res, url.searchParams);
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err);
+    if (!res.headersSent) sendJSON(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'internal error' });
+    else res.end();
+  }
+}
+
+function createServer(tables = { get: routes, post: postRoutes }) {
+  return http.createServer((req, res) => handleRequest(tables, req, res));
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.PORT) || 3000;
+  const linksPath = args.links || process.env.LYON_LINKS_FILE;
+  if (linksPath) loadLinks(path.resolve(linksPath));
+  createServer().listen(port, () => {
+    console.log(`Lyon Flood Lab backend on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createServer, parseArgs, readScenario, readNumber, readBody, sendJSON, handleHealth, HttpError };
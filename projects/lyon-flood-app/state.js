@@ -0,0 +1,264 @@
+// Lyon Flood Lab — shareable app state: versioned, validated and compressed
+// Plain script in the browser (window.FloodState), CommonJS module in Node.
+//
+// A link carries `s=<codec><base64url>`, codec 'z' for deflate-raw JSON or
+// 'j' for plain JSON (browsers without CompressionStream). The JSON has a
+// version `v`; version 1 is the older query string (level=…&gr=1&gra=20…),
+// read by stateFromParams. Older versions are migrated step by step, and
+// every decoded state goes through normalizeState, so a hand-edited or
+// truncated link never reaches the app unchecked.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    const zlib = require('node:zlib');
+    module.exports = factory(require('./model.js'), {
+      deflate: async (bytes) => new Uint8Array(zlib.deflateRawSync(bytes)),
+      inflate: async (bytes, maxLength) => new Uint8Array(zlib.inflateRawSync(bytes, { maxOutputLength: maxLength }))
+    });
+  } else {
+    root.FloodState = factory(root.FloodModel, null);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FloodModel, nodeCodec) {
+  'use strict';
+
+  const STATE_VERSION = 2;
+  const DEFAULT_LEVEL_CM = 120;
+  const MAX_LEVEL_CM = 300;
+  const STORMS = ['10', '50', '100', 'custom'];
+  const UNCERTAINTY_RUNS = [0, 100, 250, 1000];
+  // Encoded states longer than this are refused (links and stored short links)
+  const MAX_ENCODED_LENGTH = 60000;
+  // and so are states that inflate to more than this many bytes
+  const MAX_DECODED_LENGTH = 1000000;
+
+  // ---- Validation ----
+
+  function num(value, fallback, min, max) {
+    const x = value === '' || value === null || value === undefined ? NaN : Number(value);
+    return Number.isFinite(x) ? Math.min(max, Math.max(min, x)) : fallback;
+  }
+
+  function lngLat(p) {
+    return Array.isArray(p) && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1]))
+      ? [num(p[0], 0, -180, 180), num(p[1], 0, -90, 90)]
+      : null;
+  }
+
+  // Data paths are relative to the app, as `?buildings=` and `?dem=` take them
+  function dataPath(value) {
+    return typeof value === 'string' && value && !/^[a-z]+:|^\/|\.\./i.test(value) ? value : null;
+  }
+
+  // Any object → a complete current-version state, dropping what is invalid
+  function normalizeState(input) {
+    const s = input && typeof input === 'object' ? input : {};
+    const customMeasures = FloodModel.customMeasuresFrom(s.customMeasures);
+    const measures = [...FloodModel.MEASURES, ...customMeasures];
+    const adoption = {};
+    const mitigation = {};
+    for (const measure of measures) {
+      const a = s.adoption && s.adoption[measure.id];
+      adoption[measure.id] = FloodModel.measureAdoption(measure, a === undefined ? true : a);
+      const m = s.mitigation && s.mitigation[measure.id];
+      if (m !== undefined && m !== 0 && m !== false) mitigation[measure.id] = FloodModel.measureAdoption(measure, m === true ? adoption[measure.id] : m);
+    }
+    const curves = {};
+    if (s.curves && typeof s.curves === 'object') {
+      const all = FloodModel.damageCurvesFrom(s.curves);
+      for (const { id } of FloodModel.OCCUPANCY_CLASSES) {
+        if (JSON.stringify(all[id]) !== JSON.stringify(FloodModel.DEFAULT_DAMAGE_CURVES[id])) curves[id] = all[id];
+      }
+    }
+    const storm = STORMS.includes(String(s.storm)) ? String(s.storm) : '100';
+    const view = s.view && typeof s.view === 'object' && lngLat([s.view.lng, s.view.lat])
+      ? { lat: num(s.view.lat, 0, -85, 85), lng: num(s.view.lng, 0, -180, 180), zoom: num(s.view.zoom, 12.6, 1, 19) }
+      : null;
+    const layers = s.layers && typeof s.layers === 'object' ? s.layers : {};
+    const transect = Array.isArray(layers.transect) ? layers.transect.map(lngLat).filter(Boolean).slice(0, 200) : [];
+    const contours = layers.contours && typeof layers.contours === 'object'
+      ? { interval: num(layers.contours.interval, 0.5, 0.1, 5), smooth: layers.contours.smooth !== false }
+      : null;
+    const data = s.data && typeof s.data === 'object' ? s.data : {};
+    return {
+      v: STATE_VERSION,
+      level: Math.round(num(s.level, DEFAULT_LEVEL_CM, 0, MAX_LEVEL_CM)),
+      storm,
+      customStorm: storm === 'custom' ? FloodModel.normalizeStorm(s.customStorm || {}) : null,
+      mitigation,
+      adoption,
+      customMeasures,
+      drawn: FloodModel.drawnMeasuresFrom(s.drawn),
+      curves,
+      runs: UNCERTAINTY_RUNS.includes(Number(s.runs)) ? Number(s.runs) : 0,
+      seed: Math.round(num(s.seed, FloodModel.DEFAULT_SEED, 1, 2 ** 31 - 1)),
+      view,
+      layers: {
+        contours,
+        hazard: layers.hazard === true,
+        assets: layers.assets === true,
+        routes: layers.routes === true,
+        agreement: layers.agreement === true,
+        passableDepth: num(layers.passableDepth, FloodModel.PASSABLE_DEPTH_M, 0.05, 2),
+        transect: transect.length >= 2 ? transect : null,
+        profileStep: num(layers.profileStep, 50, 10, 500)
+      },
+      data: {
+        buildings: dataPath(data.buildings),
+        dem: dataPath(data.dem),
+        assets: dataPath(data.assets),
+        roads: dataPath(data.roads),
+        observed: dataPath(data.observed),
+        gauges: dataPath(data.gauges)
+      }
+    };
+  }
+
+  // ---- Migration ----
+
+  // Version 1: the query string before encoded states. `level=0` is a real
+  // level there (older readers turned it into the default).
+  function stateFromParams(params) {
+    const json = (name) => {
+      try {
+        return params.get(name) ? JSON.parse(params.get(name)) : undefined;
+      } catch {
+        return undefined;
+      }
+    };
+    const customMeasures = FloodModel.customMeasuresFrom(json('cm'));
+    const mitigation = {};
+    const adoption = {};
+    for (const measure of [...FloodModel.MEASURES, ...customMeasures]) {
+      const a = params.get(`${measure.param}a`);
+      if (a !== null) adoption[measure.id] = a;
+      if (params.get(measure.param) === '1') mitigation[measure.id] = true;
+    }
+    const custom = params.get('storm') === 'custom';
+    return {
+      v: 1,
+      level: params.has('level') ? params.get('level') : undefined,
+      storm: custom ? 'custom' : undefined,
+      customStorm: custom
+        ? { rainfallMm: params.get('rain'), durationH: params.get('dur'), returnPeriod: params.get('rp'), shape: params.get('shape') }
+        : undefined,
+      mitigation,
+      adoption,
+      customMeasures,
+      drawn: json('dm'),
+      curves: json('curves'),
+      runs: params.get('mc'),
+      seed: params.get('seed'),
+      data: {
+        buildings: params.get('buildings'),
+        dem: params.get('dem'),
+        assets: params.get('assets'),
+        roads: params.get('roads'),
+        observed: params.get('observed'),
+        gauges: params.get('gauges')
+      }
+    };
+  }
+
+  // Each step takes a state of version n to n + 1
+  const MIGRATIONS = {
+    // v1 → v2: the fields are the same, layers and view are new
+    1: (s) => ({ ...s, v: 2 })
+  };
+
+  function migrateState(input) {
+    let s = input;
+    let v = s && s.v !== undefined && s.v !== null ? Number(s.v) : 1;
+    if (!Number.isInteger(v) || v < 1) throw new Error(`state: unknown version ${JSON.stringify(s.v)}`);
+    if (v > STATE_VERSION) throw new Error(`state version ${v} is newer than this app (${STATE_VERSION})`);
+    while (v < STATE_VERSION) {
+      s = MIGRATIONS[v](s);
+      v += 1;
+    }
+    return normalizeState(s);
+  }
+
+  // ---- Encoding ----
+
+  // Output of a (de)compression stream; a RangeError once it passes
+  // maxLength bytes, like zlib's maxOutputLength
+  async function streamBytes(bytes, stream, maxLength = Infinity) {
+    const reader = new Response(bytes).body.pipeThrough(stream).getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      length += value.length;
+      if (length > maxLength) {
+        await reader.cancel();
+        throw new RangeError('output too long');
+      }
+      chunks.push(value);
+    }
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+
+  const codec = nodeCodec || (typeof CompressionStream === 'function'
+    ? {
+      deflate: (bytes) => streamBytes(bytes, new CompressionStream('deflate-raw')),
+      inflate: (bytes, maxLength) => streamBytes(bytes, new DecompressionStream('deflate-raw'), maxLength)
+    }
+    : null);
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('state: not base64url');
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  async function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(normalizeState(state)));
+    return codec ? `z${toBase64Url(await codec.deflate(bytes))}` : `j${toBase64Url(bytes)}`;
+  }
+
+  async function decodeState(text) {
+    if (typeof text !== 'string' || text.length < 2) throw new Error('state: empty');
+    if (text.length > MAX_ENCODED_LENGTH) throw new Error('state: too long');
+    let bytes = fromBase64Url(text.slice(1));
+    if (text[0] === 'z') {
+      if (!codec) throw new Error('state: this browser cannot decompress links');
+      try {
+        bytes = await codec.inflate(bytes, MAX_DECODED_LENGTH);
+      } catch (err) {
+        throw new Error(err instanceof RangeError ? 'state: too long' : 'state: corrupt or truncated');
+      }
+    } else if (text[0] !== 'j') {
+      throw new Error(`state: unknown encoding "${text[0]}"`);
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw new Error('state: invalid JSON');
+    }
+    if (!parsed || typeof parsed !== 'object') throw new Error('state: not an object');
+    return migrateState(parsed);
+  }
+
+  return {
+    STATE_VERSION,
+    MAX_ENCODED_LENGTH,
+    normalizeState,
+    stateFromParams,
+    migrateState,
+    encodeState,
+    decodeState
+  };
+});
@@ -0,0 +1,69 @@
+// Lyon Flood Lab — background model runs, so long jobs don't block the map
+//
+// Messages in:
+//   { type: 'data', buildings, terrain }  terrain null = synthetic
+//   { type: 'evaluate', id, levelCm, mitigation, curves, measures, drawn }
+//   { type: 'uncertainty', id, levelCm, mitigation, curves, measures, drawn, options }
+//   { type: 'timeline', id, series, mitigation, curves, measures, drawn }
+//   { type: 'calibration', id, observed, mitigation, measures, drawn, options }
+//   { type: 'roi', id, curves, measures, drawn, options }
+// Messages out:
+//   { type: 'evaluate', id, result }  per-building arrays are transferred
+//   { type: 'progress', job, id, done, runs }
+//   { type: 'uncertainty' | 'timeline' | 'calibration' | 'roi', id, result }
+// A newer job of the same type supersedes the running one between batches.
+
+importScripts('./contours.js', './routing.js', './model.js');
+
+const BATCH_RUNS = 10;
+
+let buildings = [];
+let terrain;
+// Job type → id of the job allowed to continue
+const running = {};
+
+// Model context of a job: the worker's terrain plus what the page sends
+function contextOf({ curves, measures, drawn }) {
+  return { terrain, curves, measures, drawn };
+}
+
+const RUNNERS = {
+  uncertainty: (job) => FloodModel.monteCarloRunner(buildings, job.levelCm, job.mitigation, contextOf(job), job.options),
+  timeline: (job) => FloodModel.hydrographRunner(buildings, job.series, job.mitigation, contextOf(job)),
+  calibration: (job) => FloodModel.calibrationRunner(job.observed, job.mitigation, contextOf(job), job.options),
+  roi: (job) => FloodModel.roiRunner(buildings, job.options, contextOf(job))
+};
+
+function evaluate(job) {
+  const { id, levelCm, mitigation } = job;
+  const result = FloodModel.evaluateScenarioArrays(buildings, levelCm, mitigation, contextOf(job));
+  self.postMessage({ type: 'evaluate', id, result }, [result.depth.buffer, result.damage.buffer, result.affected.buffer]);
+}
+
+function runBatched(message) {
+  const { type, id } = message;
+  running[type] = id;
+  const runner = RUNNERS[type](message);
+  const batch = () => {
+    if (running[type] !== id) return;
+    if (runner.step(BATCH_RUNS)) {
+      self.postMessage({ type, id, result: runner.summary() });
+      return;
+    }
+    self.postMessage({ type: 'progress', job: type, id, done: runner.done, runs: runner.runs });
+    setTimeout(batch, 0);
+  };
+  batch();
+}
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (message.type === 'data') {
+    buildings = message.buildings;
+    terrain = message.terrain || undefined;
+  } else if (message.type === 'evaluate') {
+    evaluate(message);
+  } else if (message.type in RUNNERS) {
+    runBatched(message);
+  }
+};